@@ -1,8 +1,9 @@
 const http = require('http');
+const config = require('./lib/config');
 
 const options = {
   hostname: 'localhost',
-  port: process.env.PORT || 3000,
+  port: config.port,
   path: '/health',
   method: 'GET',
   timeout: 2000
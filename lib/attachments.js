@@ -0,0 +1,130 @@
+// Corkboard Pro - Attachment rows, their files in uploads/ and API payloads
+
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+function parseRenditions(row) {
+  return row.renditions ? JSON.parse(row.renditions) : null;
+}
+
+// Image sizes for the client - { thumb, cover, full }, each { url, width,
+// height }. Passthrough images (animated GIFs) and images uploaded before
+// renditions existed use the original for every size.
+function renditionURLs(row) {
+  const renditions = parseRenditions(row);
+  if (!row.mime_type || !row.mime_type.startsWith('image/')) {
+    return null;
+  }
+
+  const original = { url: `/uploads/${row.filename}`, width: renditions?.width, height: renditions?.height };
+  return ['thumb', 'cover', 'full'].reduce((urls, name) => {
+    const rendition = renditions?.[name];
+    urls[name] = rendition ?
+      { url: `/uploads/${rendition.filename}`, width: rendition.width, height: rendition.height } :
+      original;
+    return urls;
+  }, {});
+}
+
+// Every file stored for an attachment - the original plus its renditions
+function storedFiles(row) {
+  const renditions = parseRenditions(row) || {};
+  return [row.filename, ...['thumb', 'cover', 'full']
+    .filter(name => renditions[name])
+    .map(name => renditions[name].filename)];
+}
+
+// Shape returned to clients, both in board payloads and from uploads
+function toJSON(row) {
+  return {
+    id: row.id,
+    card_id: row.card_id,
+    filename: row.filename,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    size: row.size,
+    url: `/uploads/${row.filename}`,
+    renditions: renditionURLs(row),
+    created_at: row.created_at
+  };
+}
+
+// Attach each card's attachments to a list of card rows
+function attachToCards(db, boardId, cards, callback) {
+  db.all(`SELECT a.* FROM attachments a
+          JOIN cards c ON c.id = a.card_id
+          WHERE c.board_id = ?
+          ORDER BY a.created_at`, [boardId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    cards.forEach(card => {
+      card.attachments = rows.filter(row => row.card_id === card.id).map(toJSON);
+    });
+    callback(null, cards);
+  });
+}
+
+// Remove stored files by name; a file that is already gone is not an error
+function removeFiles(filenames) {
+  filenames.forEach(filename => {
+    fs.unlink(path.join(UPLOAD_DIR, path.basename(filename)), (err) => {
+      if (err && err.code !== 'ENOENT') {
+        console.error(`Failed to remove upload ${filename}:`, err.message);
+      }
+    });
+  });
+}
+
+// Delete one attachment's row, then its file. Calls back with the deleted
+// row, or null when there was no such attachment.
+function deleteAttachment(db, attachmentId, callback) {
+  db.get('SELECT * FROM attachments WHERE id = ?', [attachmentId], (err, row) => {
+    if (err || !row) {
+      return callback(err, null);
+    }
+
+    db.run('DELETE FROM attachments WHERE id = ?', [attachmentId], (err) => {
+      if (err) {
+        return callback(err);
+      }
+      removeFiles(storedFiles(row));
+      callback(null, row);
+    });
+  });
+}
+
+// Delete every attachment row of the given cards. Calls back with the names
+// of their stored files, for removeFiles once the delete has been committed.
+function deleteCardAttachments(db, cardIds, callback) {
+  if (cardIds.length === 0) {
+    return callback(null, []);
+  }
+
+  const placeholders = cardIds.map(() => '?').join(', ');
+  db.all(`SELECT filename, renditions FROM attachments WHERE card_id IN (${placeholders})`, cardIds, (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    db.run(`DELETE FROM attachments WHERE card_id IN (${placeholders})`, cardIds, (err) => {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, rows.flatMap(storedFiles));
+    });
+  });
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  toJSON,
+  storedFiles,
+  attachToCards,
+  removeFiles,
+  deleteAttachment,
+  deleteCardAttachments
+};
@@ -0,0 +1,141 @@
+// Corkboard Pro - Authentication helpers
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const SHARE_TOKEN_TTL = '12h';
+const PASSWORD_SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  // Tokens signed with a random secret stop working when the process restarts
+  JWT_SECRET = crypto.randomBytes(48).toString('hex');
+  console.warn('JWT_SECRET is not set; using a random secret. Sessions will not survive a restart.');
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+// Strip a users row down to what is safe to send to clients
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name
+  };
+}
+
+// How a user is shown to the other people on a board: their name, or for
+// someone without one a label that does not give their email address away
+function displayName(user) {
+  if (user.name && user.name.trim()) {
+    return user.name.trim();
+  }
+  const local = (user.email || '').split('@')[0];
+  return local ? `${local[0]}***` : 'Someone';
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, name: user.name, type: 'access' },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens carry a token id (jti) so they can be revoked server-side
+function signRefreshToken(user, tokenId) {
+  return jwt.sign(
+    { sub: user.id, type: 'refresh' },
+    JWT_SECRET,
+    { expiresIn: REFRESH_TOKEN_TTL, jwtid: tokenId }
+  );
+}
+
+// Share access tokens let anonymous visitors of a share link follow the board
+// room. They name the link token, so rotating or revoking the link kills them.
+function signShareToken(link) {
+  return jwt.sign(
+    { sub: link.token, board: link.board_id, permission: link.permission, type: 'share' },
+    JWT_SECRET,
+    { expiresIn: SHARE_TOKEN_TTL }
+  );
+}
+
+function verifyToken(token, expectedType) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError('Unexpected token type');
+  }
+  return payload;
+}
+
+function userFromAccessToken(token) {
+  const payload = verifyToken(token, 'access');
+  return { id: payload.sub, email: payload.email, name: payload.name };
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Express middleware - attaches req.user or rejects with 401
+function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = userFromAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+// Socket.IO middleware - checks the user or share token sent in the handshake
+// auth payload and sets socket.user or socket.share
+function authenticateSocket(socket, next) {
+  const { token, shareToken } = socket.handshake.auth || {};
+  if (!token && !shareToken) {
+    return next(new Error('Unauthorized'));
+  }
+
+  try {
+    if (token) {
+      socket.user = userFromAccessToken(token);
+    } else {
+      const payload = verifyToken(shareToken, 'share');
+      socket.share = { token: payload.sub, boardId: payload.board };
+    }
+    next();
+  } catch (error) {
+    next(new Error('Unauthorized'));
+  }
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  displayName,
+  signAccessToken,
+  signRefreshToken,
+  signShareToken,
+  verifyToken,
+  authenticate,
+  authenticateSocket
+};
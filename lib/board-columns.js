@@ -0,0 +1,92 @@
+// Corkboard Pro - Kanban columns
+//
+// A board's columns are listed by position, a number that is only compared,
+// so a column can be moved between two others without renumbering the rest.
+// Cards point at their column with cards.column_id and are ordered in it by
+// cards.column_position the same way. Cards keep their x/y while in a column,
+// so the corkboard view is unchanged by anything done in the kanban view.
+// wip_limit is advisory: clients warn when a column holds more cards, but
+// nothing stops them going in.
+
+const { v4: uuidv4 } = require('uuid');
+const dbHelpers = require('./db');
+
+function toJSON(row) {
+  return {
+    id: row.id,
+    board_id: row.board_id,
+    name: row.name,
+    wip_limit: row.wip_limit,
+    position: row.position
+  };
+}
+
+async function listColumns(db, boardId) {
+  const rows = await dbHelpers.all(db, 'SELECT * FROM board_columns WHERE board_id = ? ORDER BY position, created_at',
+    [boardId]);
+  return rows.map(toJSON);
+}
+
+async function getColumn(db, columnId) {
+  const row = await dbHelpers.get(db, 'SELECT * FROM board_columns WHERE id = ?', [columnId]);
+  return row ? toJSON(row) : null;
+}
+
+// Add a column, after the last one unless a position is given
+async function createColumn(db, boardId, { name, wip_limit = null, position }) {
+  const id = uuidv4();
+  await dbHelpers.transaction(db, async () => {
+    if (position === undefined) {
+      const last = await dbHelpers.get(db, 'SELECT MAX(position) AS position FROM board_columns WHERE board_id = ?',
+        [boardId]);
+      position = last.position === null ? 0 : last.position + 1;
+    }
+    await dbHelpers.run(db, 'INSERT INTO board_columns (id, board_id, name, wip_limit, position) VALUES (?, ?, ?, ?, ?)',
+      [id, boardId, name, wip_limit, position]);
+  });
+  return getColumn(db, id);
+}
+
+// Resolves with the updated column, or null when the board has no such column
+async function updateColumn(db, boardId, columnId, updates) {
+  // Field names come from the column schema
+  const fields = Object.keys(updates);
+  const { changes } = await dbHelpers.run(db,
+    `UPDATE board_columns SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? AND board_id = ?`,
+    [...fields.map(field => updates[field]), columnId, boardId]);
+  return changes === 0 ? null : getColumn(db, columnId);
+}
+
+// Remove a column; its cards stay on the board without a column. Resolves
+// with the ids of the cards that were in it, or null when there was no such
+// column.
+function deleteColumn(db, boardId, columnId) {
+  return dbHelpers.transaction(db, async () => {
+    const { changes } = await dbHelpers.run(db, 'DELETE FROM board_columns WHERE id = ? AND board_id = ?',
+      [columnId, boardId]);
+    if (changes === 0) {
+      return null;
+    }
+
+    const cards = await dbHelpers.all(db, 'SELECT id FROM cards WHERE column_id = ?', [columnId]);
+    await dbHelpers.run(db, 'UPDATE cards SET column_id = NULL, column_position = NULL WHERE column_id = ?', [columnId]);
+    return cards.map(card => card.id);
+  });
+}
+
+function deleteBoardColumns(db, boardIds) {
+  if (boardIds.length === 0) {
+    return Promise.resolve({ changes: 0 });
+  }
+  const placeholders = boardIds.map(() => '?').join(', ');
+  return dbHelpers.run(db, `DELETE FROM board_columns WHERE board_id IN (${placeholders})`, boardIds);
+}
+
+module.exports = {
+  listColumns,
+  getColumn,
+  createColumn,
+  updateColumn,
+  deleteColumn,
+  deleteBoardColumns
+};
@@ -0,0 +1,67 @@
+// Corkboard Pro - Board operation log
+//
+// Card changes broadcast to a board room are numbered per board: boards.op_seq
+// counts them and board_ops keeps the last OP_LOG_LIMIT with their payloads.
+// A client that drops off rejoins with the last number it saw and has the
+// operations it missed replayed, or is sent the whole board when the log no
+// longer reaches back that far.
+
+const dbHelpers = require('./db');
+
+const OP_LOG_LIMIT = 1000;
+
+// Number an operation and store it. Resolves with its sequence number, or
+// null when the board no longer exists.
+function appendOp(db, boardId, type, data) {
+  return dbHelpers.transaction(db, async () => {
+    const board = await dbHelpers.get(db, 'UPDATE boards SET op_seq = op_seq + 1 WHERE id = ? RETURNING op_seq',
+      [boardId]);
+    if (!board) {
+      return null;
+    }
+
+    const seq = board.op_seq;
+    await dbHelpers.run(db, 'INSERT INTO board_ops (board_id, seq, type, data) VALUES (?, ?, ?, ?)',
+      [boardId, seq, type, JSON.stringify(data)]);
+    await dbHelpers.run(db, 'DELETE FROM board_ops WHERE board_id = ? AND seq <= ?', [boardId, seq - OP_LOG_LIMIT]);
+    return seq;
+  });
+}
+
+// The operations after since, as { seq, ops: [{ seq, type, data }] } where seq
+// is the board's latest. ops is null when they can't all be replayed - the log
+// has been trimmed past since, since is ahead of the board or not a number at
+// all. Resolves with null when the board does not exist.
+async function opsSince(db, boardId, since) {
+  const board = await dbHelpers.get(db, 'SELECT op_seq FROM boards WHERE id = ?', [boardId]);
+  if (!board) {
+    return null;
+  }
+
+  const seq = board.op_seq;
+  if (!Number.isInteger(since) || since > seq || since < 0) {
+    return { seq, ops: null };
+  }
+
+  const rows = await dbHelpers.all(db, 'SELECT seq, type, data FROM board_ops WHERE board_id = ? AND seq > ? ORDER BY seq',
+    [boardId, since]);
+  if (rows.length !== seq - since) {
+    return { seq, ops: null };
+  }
+  return { seq, ops: rows.map(row => ({ seq: row.seq, type: row.type, data: JSON.parse(row.data) })) };
+}
+
+function deleteBoardOps(db, boardIds) {
+  if (boardIds.length === 0) {
+    return Promise.resolve({ changes: 0 });
+  }
+  const placeholders = boardIds.map(() => '?').join(', ');
+  return dbHelpers.run(db, `DELETE FROM board_ops WHERE board_id IN (${placeholders})`, boardIds);
+}
+
+module.exports = {
+  OP_LOG_LIMIT,
+  appendOp,
+  opsSince,
+  deleteBoardOps
+};
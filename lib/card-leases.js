@@ -0,0 +1,110 @@
+// Corkboard Pro - Edit leases on card fields
+//
+// Before opening a card's title or details for editing, a client asks the
+// server for a lease on that field. Only one person holds a field at a time;
+// others see who has it and stay out. Leases are advisory - the API still
+// accepts writes - and end when the holder leaves the field, their socket
+// disconnects, or LEASE_TTL passes without the holder renewing (asking again).
+// Board owners can take a lease over from whoever has it.
+//
+// Leases live in memory only, like the sessions in card-text.js.
+
+const { displayName } = require('./auth');
+
+const LEASE_TTL = 2 * 60 * 1000;
+
+const leases = new Map();
+let expireListener = null;
+
+function leaseKey(cardId, field) {
+  return `${cardId}:${field}`;
+}
+
+// What clients see of a lease
+function toJSON(lease) {
+  return {
+    cardId: lease.cardId,
+    field: lease.field,
+    user: lease.user,
+    clientId: lease.socketId,
+    expiresAt: new Date(lease.expiresAt).toISOString()
+  };
+}
+
+function startTimer(lease) {
+  clearTimeout(lease.timer);
+  lease.expiresAt = Date.now() + LEASE_TTL;
+  lease.timer = setTimeout(() => {
+    if (leases.get(leaseKey(lease.cardId, lease.field)) === lease) {
+      leases.delete(leaseKey(lease.cardId, lease.field));
+      if (expireListener) {
+        expireListener(lease);
+      }
+    }
+  }, LEASE_TTL);
+}
+
+// Take or renew the lease on a card field for a socket. Someone else's lease
+// is only taken over with force, or when it is the same user in another tab.
+// Returns { lease, renewed, previous } - previous being the lease that was
+// replaced, if any - or { held } with the lease that stands in the way.
+function acquire({ boardId, cardId, field, socketId, user, force = false }) {
+  const key = leaseKey(cardId, field);
+  const existing = leases.get(key);
+
+  if (existing && existing.socketId === socketId) {
+    startTimer(existing);
+    return { lease: existing, renewed: true, previous: null };
+  }
+  if (existing && existing.user.id !== user.id && !force) {
+    return { held: existing };
+  }
+
+  if (existing) {
+    clearTimeout(existing.timer);
+  }
+  const lease = { boardId, cardId, field, socketId, user: { id: user.id, name: displayName(user) }, timer: null };
+  startTimer(lease);
+  leases.set(key, lease);
+  return { lease, renewed: false, previous: existing || null };
+}
+
+// Give up a socket's lease on a field. Returns the lease, or null when the
+// socket did not hold it.
+function release(cardId, field, socketId) {
+  const key = leaseKey(cardId, field);
+  const lease = leases.get(key);
+  if (!lease || lease.socketId !== socketId) {
+    return null;
+  }
+
+  clearTimeout(lease.timer);
+  leases.delete(key);
+  return lease;
+}
+
+// Give up every lease a socket holds, optionally only on one board
+function releaseSocket(socketId, boardId = null) {
+  return [...leases.values()]
+    .filter(lease => lease.socketId === socketId && (!boardId || lease.boardId === boardId))
+    .map(lease => release(lease.cardId, lease.field, socketId));
+}
+
+function boardLeases(boardId) {
+  return [...leases.values()].filter(lease => lease.boardId === boardId);
+}
+
+// Call listener(lease) when a lease runs out
+function onExpire(listener) {
+  expireListener = listener;
+}
+
+module.exports = {
+  LEASE_TTL,
+  toJSON,
+  acquire,
+  release,
+  releaseSocket,
+  boardLeases,
+  onExpire
+};
@@ -0,0 +1,235 @@
+// Corkboard Pro - Live merging of card titles and details
+//
+// Editors open a card field over the socket and send text operations (see
+// public/js/text-ot.js) made against the version of the field they last saw.
+// The server keeps one document per open field with the operations applied to
+// it, transforms an operation that arrives late over the ones that got in
+// first, and hands back what to relay - so two people typing in the same
+// field merge character by character instead of overwriting each other. The
+// merged text is saved to the card once typing pauses and when the last
+// editor closes the field, as one revision for each person who typed in it.
+//
+// Sessions live in memory only. Each has an id, and an editor holding an id
+// or version the server no longer knows is told to open the field again.
+
+const { v4: uuidv4 } = require('uuid');
+const TextOperation = require('../public/js/text-ot');
+const dbHelpers = require('./db');
+const revisions = require('./revisions');
+const { SCHEMAS } = require('./validation');
+
+const TEXT_FIELDS = ['title', 'details'];
+const HISTORY_LIMIT = 500;
+const SAVE_DELAY = 2000;
+
+const sessions = new Map();
+let saveListener = null;
+
+// resync tells the editor to open the field again and resend its changes
+function syncError(message, resync = false) {
+  const error = new Error(message);
+  error.resync = resync;
+  return error;
+}
+
+function sessionKey(cardId, field) {
+  return `${cardId}:${field}`;
+}
+
+function getSession(cardId, field) {
+  const session = sessions.get(sessionKey(cardId, field));
+  return session && !session.loading ? session : null;
+}
+
+// The session for a card field, loading the text from the database when
+// nobody has it open. Rejects for unknown fields and missing cards.
+function openSession(db, cardId, field) {
+  if (!TEXT_FIELDS.includes(field)) {
+    return Promise.reject(syncError(`${field} cannot be edited live`));
+  }
+
+  const key = sessionKey(cardId, field);
+  const existing = sessions.get(key);
+  if (existing) {
+    return existing.loading || Promise.resolve(existing);
+  }
+
+  const session = {
+    id: uuidv4(),
+    cardId,
+    field,
+    boardId: null,
+    text: '',
+    version: 0,
+    history: [],
+    editors: new Map(),
+    // Unsaved typing: user id => the text after their latest change, in the
+    // order of those changes
+    contributions: new Map(),
+    saveTimer: null
+  };
+  session.loading = dbHelpers.get(db, 'SELECT board_id, title, details FROM cards WHERE id = ? AND deleted_at IS NULL',
+    [cardId])
+    .then(row => {
+      if (!row) {
+        sessions.delete(key);
+        throw syncError('Card not found');
+      }
+      session.boardId = row.board_id;
+      session.text = row[field] || '';
+      delete session.loading;
+      return session;
+    }, error => {
+      sessions.delete(key);
+      throw error;
+    });
+
+  sessions.set(key, session);
+  return session.loading;
+}
+
+function addEditor(session, socketId, userId) {
+  session.editors.set(socketId, userId);
+}
+
+// Apply an editor's operation made against version. Returns the
+// operation as applied - transformed over anything that got in first - and the
+// new version, for relaying to the other editors.
+function applyOperation(db, session, { sessionId, version, op, userId }) {
+  if (sessionId !== session.id || !Number.isInteger(version) || version > session.version ||
+    version < session.version - session.history.length) {
+    throw syncError('Out of date - open the field again', true);
+  }
+  if (!TextOperation.isValid(op)) {
+    throw syncError('Invalid operation');
+  }
+
+  let transformed = op;
+  session.history.slice(session.history.length - (session.version - version)).forEach(concurrent => {
+    [transformed] = TextOperation.transform(transformed, concurrent);
+  });
+
+  if (TextOperation.baseLength(transformed) !== session.text.length) {
+    throw syncError('Operation does not match the text', true);
+  }
+  const text = TextOperation.apply(session.text, transformed);
+  const { maxLength } = SCHEMAS.card[session.field];
+  if (text.length > maxLength && text.length > session.text.length) {
+    throw syncError(`${session.field} must be at most ${maxLength} characters`);
+  }
+
+  record(db, session, text, transformed, userId);
+  return { op: transformed, version: session.version };
+}
+
+// Bring an open field in line with text written some other way (a plain
+// update, undo or a restored revision), which is already in the database.
+// Returns { session, op, version } to relay, or null when nobody has the
+// field open or it already holds that text.
+function replaceText(cardId, field, text) {
+  const session = getSession(cardId, field);
+  const value = text || '';
+  if (!session || session.text === value) {
+    return null;
+  }
+
+  const op = TextOperation.fromDiff(session.text, value);
+  record(null, session, value, op, null);
+  // The card already holds the new text, typing so far included
+  session.contributions.clear();
+  return { session, op, version: session.version };
+}
+
+function record(db, session, text, op, userId) {
+  session.text = text;
+  session.version++;
+  session.history.push(op);
+  if (session.history.length > HISTORY_LIMIT) {
+    session.history.shift();
+  }
+
+  if (db) {
+    session.contributions.delete(userId);
+    session.contributions.set(userId, text);
+    clearTimeout(session.saveTimer);
+    session.saveTimer = setTimeout(() => saveSession(db, session), SAVE_DELAY);
+  }
+}
+
+// Write the merged text to the card. Each person who typed gets a revision
+// with the text as it stood after their latest change, in the order of those
+// changes, so nobody is credited with what someone else typed.
+async function saveSession(db, session) {
+  clearTimeout(session.saveTimer);
+  session.saveTimer = null;
+  if (session.contributions.size === 0) {
+    dropIfIdle(session);
+    return;
+  }
+
+  const contributions = [...session.contributions];
+  session.contributions = new Map();
+  let saved = null;
+  try {
+    while (contributions.length > 0) {
+      const [userId, text] = contributions[0];
+      const result = await revisions.updateCard(db, session.cardId, { [session.field]: text }, { userId });
+      contributions.shift();
+      if (result && result.revisionId) {
+        saved = text;
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to save ${session.field} of card ${session.cardId}:`, error.message);
+    // Keep what was not written for the next save, behind any newer typing
+    session.contributions = new Map([
+      ...contributions.filter(([userId]) => !session.contributions.has(userId)),
+      ...session.contributions
+    ]);
+  }
+
+  if (saved !== null && saveListener) {
+    saveListener(session, { [session.field]: saved });
+  }
+  dropIfIdle(session);
+}
+
+// Remove an editor, saving and forgetting the session once nobody is left
+async function closeSession(db, session, socketId) {
+  session.editors.delete(socketId);
+  if (session.editors.size === 0) {
+    await saveSession(db, session);
+  }
+}
+
+function dropIfIdle(session) {
+  const key = sessionKey(session.cardId, session.field);
+  if (session.editors.size === 0 && session.contributions.size === 0 && sessions.get(key) === session) {
+    clearTimeout(session.saveTimer);
+    sessions.delete(key);
+  }
+}
+
+// Call listener(session, updates) after merged text has been written to a card
+function onSave(listener) {
+  saveListener = listener;
+}
+
+// Save everything that has unsaved text, for shutdown
+function saveAll(db) {
+  return Promise.all([...sessions.values()]
+    .filter(session => !session.loading && session.contributions.size > 0)
+    .map(session => saveSession(db, session)));
+}
+
+module.exports = {
+  TEXT_FIELDS,
+  getSession,
+  openSession,
+  addEditor,
+  applyOperation,
+  replaceText,
+  closeSession,
+  onSave,
+  saveAll
+};
@@ -0,0 +1,147 @@
+// Corkboard Pro - Server configuration
+//
+// Settings come from, in order of precedence: environment variables, a JSON
+// config file, and the defaults below. The file is the one named by
+// CORKBOARD_CONFIG, or corkboard.config.json in the working directory when it
+// exists, and uses the same keys as DEFAULTS:
+//
+//   { "apiBase": "https://api.example.com", "features": { "sharing": false } }
+//
+// Browsers are sent the part they need - where the API and socket server are,
+// which features are on and the upload limit - as window.CORKBOARD_CONFIG.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+  port: 3001,
+  databasePath: './corkboard.db',
+  trashRetentionDays: 30,
+  // Origins other than the server's own that may call the API and connect
+  // sockets; '*' allows any
+  corsOrigins: [],
+  // Where browsers reach the API and the socket server - empty for the
+  // origin the page was loaded from
+  apiBase: '',
+  socketUrl: '',
+  features: {
+    collaboration: true,
+    sharing: true,
+    attachments: true
+  },
+  maxFileSize: 5 * 1024 * 1024
+};
+
+// Environment variable for each setting, and how to read its value
+const ENV = {
+  port: ['PORT', 'integer'],
+  databasePath: ['DATABASE_URL', 'string'],
+  trashRetentionDays: ['TRASH_RETENTION_DAYS', 'number'],
+  corsOrigins: ['CORS_ORIGIN', 'list'],
+  apiBase: ['PUBLIC_API_URL', 'url'],
+  socketUrl: ['PUBLIC_SOCKET_URL', 'url'],
+  maxFileSize: ['MAX_FILE_SIZE', 'integer']
+};
+
+// Feature flags are FEATURE_<NAME>=true|false
+const featureEnv = name => `FEATURE_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+
+// Each parser returns undefined for a value it cannot read
+const PARSERS = {
+  string: value => String(value),
+  // An http(s) address without the trailing slash, or empty
+  url: (value) => {
+    const text = String(value).trim().replace(/\/+$/, '');
+    if (!text) {
+      return '';
+    }
+    try {
+      return ['http:', 'https:'].includes(new URL(text).protocol) ? text : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  },
+  number: (value) => {
+    const number = Number(value);
+    return String(value).trim() !== '' && Number.isFinite(number) && number >= 0 ? number : undefined;
+  },
+  integer: (value) => {
+    const number = PARSERS.number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  list: (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const text = String(value).toLowerCase();
+    return ['true', '1', 'on'].includes(text) ? true : ['false', '0', 'off'].includes(text) ? false : undefined;
+  }
+};
+
+function readFile(env) {
+  const file = env.CORKBOARD_CONFIG || 'corkboard.config.json';
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    if (env.CORKBOARD_CONFIG) {
+      throw new Error(`Config file ${filePath} does not exist`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Settings that cannot be read are reported and left at their default
+function pick(type, value, source) {
+  const parsed = PARSERS[type](value);
+  if (parsed === undefined) {
+    console.warn(`Ignoring ${source}: ${JSON.stringify(value)} is not a valid ${type}`);
+  }
+  return parsed;
+}
+
+function loadConfig(env = process.env) {
+  const file = readFile(env);
+  const config = { ...DEFAULTS, features: { ...DEFAULTS.features } };
+
+  Object.entries(ENV).forEach(([key, [name, type]]) => {
+    [[file[key], `${key} in the config file`], [env[name], name]].forEach(([value, source]) => {
+      if (value !== undefined) {
+        const parsed = pick(type, value, source);
+        if (parsed !== undefined) {
+          config[key] = parsed;
+        }
+      }
+    });
+  });
+
+  Object.keys(DEFAULTS.features).forEach(name => {
+    const fileFeatures = file.features || {};
+    [[fileFeatures[name], `features.${name} in the config file`], [env[featureEnv(name)], featureEnv(name)]]
+      .forEach(([value, source]) => {
+        if (value !== undefined) {
+          const parsed = pick('boolean', value, source);
+          if (parsed !== undefined) {
+            config.features[name] = parsed;
+          }
+        }
+      });
+  });
+
+  // The socket server is the API server unless it is somewhere else
+  config.socketUrl = config.socketUrl || config.apiBase;
+  return config;
+}
+
+module.exports = {
+  ...loadConfig(),
+  loadConfig
+};
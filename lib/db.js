@@ -0,0 +1,115 @@
+// Corkboard Pro - Database location and promise helpers for the sqlite3 callback API
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const DB_PATH = config.databasePath;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function columnExists(db, table, column) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  return columns.some(info => info.name === column);
+}
+
+// SQLite's CURRENT_TIMESTAMP is UTC without a zone; clients get ISO 8601
+function toISOTimestamp(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null;
+}
+
+// The app shares one connection, so transactions on it take turns, and
+// statements from outside the open transaction - other requests going about
+// their business - wait until it has ended rather than landing inside it and
+// being rolled back with it. The transaction's own statements are told apart
+// by the async context they were issued from.
+const pendingTransactions = new WeakMap();
+const gates = new WeakMap();
+const transactionContext = new AsyncLocalStorage();
+
+const GATED_METHODS = ['run', 'get', 'all', 'each', 'exec'];
+
+function gate(db) {
+  if (!gates.has(db)) {
+    const state = { transaction: null, waiting: [] };
+    GATED_METHODS.forEach(method => {
+      const original = db[method];
+      db[method] = function(...args) {
+        if (state.transaction && transactionContext.getStore() !== state.transaction) {
+          state.waiting.push(() => original.apply(db, args));
+          return db;
+        }
+        return original.apply(db, args);
+      };
+    });
+    gates.set(db, state);
+  }
+  return gates.get(db);
+}
+
+// Let go of the connection and send the statements that waited for it
+function endTransaction(state) {
+  state.transaction = null;
+  const waiting = state.waiting.splice(0);
+  transactionContext.exit(() => waiting.forEach(statement => statement()));
+}
+
+// Run work(db) inside BEGIN/COMMIT, rolling back if it throws. Resolves with
+// whatever work resolves with.
+function transaction(db, work) {
+  const state = gate(db);
+  const previous = pendingTransactions.get(db) || Promise.resolve();
+
+  const current = previous.catch(() => {}).then(() => {
+    const token = {};
+    state.transaction = token;
+    return transactionContext.run(token, async () => {
+      try {
+        await run(db, 'BEGIN IMMEDIATE TRANSACTION');
+        try {
+          const result = await work(db);
+          await run(db, 'COMMIT');
+          return result;
+        } catch (error) {
+          await run(db, 'ROLLBACK').catch(() => {});
+          throw error;
+        }
+      } finally {
+        endTransaction(state);
+      }
+    });
+  });
+
+  pendingTransactions.set(db, current);
+  return current;
+}
+
+module.exports = {
+  DB_PATH,
+  run,
+  get,
+  all,
+  columnExists,
+  toISOTimestamp,
+  transaction
+};
@@ -0,0 +1,332 @@
+// Corkboard Pro - Board export (JSON, Markdown, CSV, static HTML, zip)
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { escapeHTML } = require('./html');
+
+const EXPORT_FORMAT_VERSION = '1.0';
+const EXPORT_FORMATS = ['json', 'markdown', 'csv', 'html', 'zip'];
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const DEFAULT_CARD_COLOR = '#fef3c7';
+const CARD_WIDTH = 240;
+
+// Load a board with its kanban columns, its cards and each card's attachments
+function loadBoard(db, boardId, callback) {
+  db.get('SELECT id, name, color, created_at, updated_at FROM boards WHERE id = ? AND deleted_at IS NULL', [boardId], (err, board) => {
+    if (err || !board) {
+      return callback(err, null);
+    }
+
+    db.all('SELECT * FROM cards WHERE board_id = ? AND deleted_at IS NULL ORDER BY z_index', [boardId], (err, cards) => {
+      if (err) {
+        return callback(err);
+      }
+
+      db.all(`SELECT a.id, a.card_id, a.filename, a.original_name, a.mime_type, a.size, a.created_at
+              FROM attachments a JOIN cards c ON c.id = a.card_id
+              WHERE c.board_id = ? AND c.deleted_at IS NULL
+              ORDER BY a.created_at`, [boardId], (err, attachments) => {
+        if (err) {
+          return callback(err);
+        }
+
+        db.all(`SELECT id, name, wip_limit, position FROM board_columns WHERE board_id = ?
+                ORDER BY position, created_at`, [boardId], (err, columns) => {
+          if (err) {
+            return callback(err);
+          }
+
+          board.columns = columns;
+          board.cards = cards.map(card => ({
+            ...card,
+            tags: card.tags ? JSON.parse(card.tags) : [],
+            links: card.links ? JSON.parse(card.links) : [],
+            attachments: attachments.filter(attachment => attachment.card_id === card.id)
+          }));
+          callback(null, board);
+        });
+      });
+    });
+  });
+}
+
+// Cards in reading order - top to bottom, then left to right
+function readingOrder(cards) {
+  return [...cards].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+}
+
+function attachmentPath(attachment) {
+  return path.join(UPLOAD_DIR, path.basename(attachment.filename));
+}
+
+// Attachment contents as base64, or null when the file is gone from disk
+async function readAttachment(attachment) {
+  try {
+    const data = await fs.promises.readFile(attachmentPath(attachment));
+    return data.toString('base64');
+  } catch (error) {
+    return null;
+  }
+}
+
+function exportFilename(board, extension) {
+  const slug = board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+  return `${slug}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+// JSON - same envelope as the client-side export, so it imports the same way.
+// attachments: 'inline' embeds file contents as base64, 'none' only lists them.
+async function toJSON(board, { attachments = 'inline' } = {}) {
+  const cards = await Promise.all(board.cards.map(async card => ({
+    ...card,
+    attachments: await Promise.all(card.attachments.map(async attachment => ({
+      ...attachment,
+      data: attachments === 'inline' ? await readAttachment(attachment) : undefined
+    })))
+  })));
+
+  return {
+    version: EXPORT_FORMAT_VERSION,
+    exported: new Date().toISOString(),
+    board: { ...board, cards }
+  };
+}
+
+function isSafeLink(url) {
+  return /^(https?:|mailto:)/i.test(url || '');
+}
+
+// Markdown - one section per card: front title, then the back details
+function toMarkdown(board) {
+  const singleLine = (text) => String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+  const lines = [
+    `# ${singleLine(board.name)}`,
+    '',
+    `_Exported from Corkboard Pro on ${new Date().toISOString().split('T')[0]}_`,
+    ''
+  ];
+
+  readingOrder(board.cards).forEach(card => {
+    lines.push(`## ${singleLine(card.title) || 'Untitled card'}`, '');
+
+    const meta = [];
+    if (card.due_date) meta.push(`**Due:** ${card.due_date}`);
+    if (card.tags.length > 0) meta.push(`**Tags:** ${card.tags.join(', ')}`);
+    if (meta.length > 0) lines.push(meta.join(' · '), '');
+
+    if (card.body) lines.push(card.body.trim(), '');
+
+    if (card.details) {
+      lines.push('### Details', '', card.details.trim(), '');
+    }
+
+    if (card.links.length > 0) {
+      lines.push('### Links', '');
+      card.links.forEach(link => {
+        const name = singleLine(link.name) || link.url;
+        lines.push(isSafeLink(link.url) ? `- [${name}](${link.url})` : `- ${name}`);
+      });
+      lines.push('');
+    }
+
+    if (card.attachments.length > 0) {
+      lines.push('### Attachments', '');
+      card.attachments.forEach(attachment => lines.push(`- ${attachment.original_name}`));
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+const CSV_COLUMNS = ['id', 'title', 'body', 'details', 'color', 'tags', 'due_date', 'links', 'attachments',
+  'x', 'y', 'created_at', 'updated_at'];
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from evaluating cell text as a formula. Numbers -
+  // negative coordinates - are not text and stay as they are.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV - one row per card
+function toCSV(board) {
+  const rows = readingOrder(board.cards).map(card => ({
+    ...card,
+    tags: card.tags.join('; '),
+    links: card.links.map(link => link.name ? `${link.name} <${link.url}>` : link.url).join('; '),
+    attachments: card.attachments.map(attachment => attachment.original_name).join('; ')
+  }));
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+function safeColor(color, fallback) {
+  return /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : fallback;
+}
+
+function contrastColor(hexColor) {
+  const hex = hexColor.length === 4 ?
+    hexColor.slice(1).split('').map(c => c + c).join('') :
+    hexColor.slice(1, 7);
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.5 ? '#000000' : '#ffffff';
+}
+
+const HTML_STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+         background: #b8860b; color: #1a1a1a; }
+  header { display: flex; align-items: center; gap: 12px; padding: 16px 24px; background: #1a1a1a; color: #fff; }
+  header h1 { margin: 0; font-size: 20px; }
+  header p { margin: 0 0 0 auto; font-size: 12px; color: #a3a3a3; }
+  .dot { width: 14px; height: 14px; border-radius: 50%; }
+  .board { position: relative; margin: 24px; min-height: 400px; }
+  .card { position: absolute; width: ${CARD_WIDTH}px; padding: 16px; border-radius: 4px;
+          box-shadow: 0 10px 30px rgba(0,0,0,0.3); word-wrap: break-word; }
+  .card h2 { margin: 0 0 8px; font-size: 16px; }
+  .card p { margin: 0 0 8px; font-size: 14px; white-space: pre-wrap; }
+  .card .meta { font-size: 12px; opacity: 0.8; }
+  .card details { margin-top: 8px; font-size: 14px; white-space: pre-wrap; }
+  .card summary { cursor: pointer; font-weight: 600; }
+  .card ul { margin: 8px 0 0; padding-left: 18px; font-size: 13px; }
+  .card a { color: inherit; }
+  .card img { display: block; max-width: 100%; margin-top: 8px; border-radius: 4px; }
+  @media (max-width: 700px) {
+    .board { display: flex; flex-direction: column; gap: 16px; width: auto !important; height: auto !important; }
+    .card { position: static; width: auto; }
+  }
+`;
+
+// Static HTML - a single self-contained page laid out like the board, with
+// image attachments inlined so it works offline and without an account
+async function toHTML(board) {
+  const cards = await Promise.all(board.cards.map(async card => {
+    const images = await Promise.all(card.attachments
+      .filter(attachment => (attachment.mime_type || '').startsWith('image/'))
+      .map(async attachment => ({ attachment, data: await readAttachment(attachment) })));
+    return { card, images: images.filter(image => image.data) };
+  }));
+
+  // Cards can be anywhere on the canvas, so the page starts at the top-left card
+  const xs = board.cards.map(card => Number(card.x) || 0);
+  const ys = board.cards.map(card => Number(card.y) || 0);
+  const left = xs.length > 0 ? Math.min(...xs) : 0;
+  const top = ys.length > 0 ? Math.min(...ys) : 0;
+  const width = Math.max(0, ...xs.map(x => x - left + CARD_WIDTH));
+  const height = Math.max(400, ...ys.map(y => y - top + 320));
+
+  const renderCard = ({ card, images }) => {
+    const background = safeColor(card.color, DEFAULT_CARD_COLOR);
+    const meta = [
+      card.due_date ? `Due ${escapeHTML(card.due_date)}` : '',
+      card.tags.length > 0 ? card.tags.map(tag => `#${escapeHTML(tag)}`).join(' ') : ''
+    ].filter(Boolean).join(' · ');
+    const links = card.links.filter(link => isSafeLink(link.url));
+    const files = card.attachments.filter(attachment => !images.some(image => image.attachment.id === attachment.id));
+
+    return `
+    <article class="card" style="left: ${(Number(card.x) || 0) - left}px; top: ${(Number(card.y) || 0) - top}px; z-index: ${Number(card.z_index) || 1}; background: ${background}; color: ${contrastColor(background)};">
+      <h2>${escapeHTML(card.title || 'Untitled card')}</h2>
+      ${meta ? `<p class="meta">${meta}</p>` : ''}
+      ${card.body ? `<p>${escapeHTML(card.body)}</p>` : ''}
+      ${card.details ? `<details><summary>Details</summary>${escapeHTML(card.details)}</details>` : ''}
+      ${links.length > 0 ? `<ul>${links.map(link => `<li><a href="${escapeHTML(link.url)}" rel="noopener noreferrer">${escapeHTML(link.name || link.url)}</a></li>`).join('')}</ul>` : ''}
+      ${images.map(({ attachment, data }) => `<img src="data:${escapeHTML(attachment.mime_type)};base64,${data}" alt="${escapeHTML(attachment.original_name)}">`).join('')}
+      ${files.length > 0 ? `<ul>${files.map(attachment => `<li>📎 ${escapeHTML(attachment.original_name)}</li>`).join('')}</ul>` : ''}
+    </article>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="Corkboard Pro">
+  <title>${escapeHTML(board.name)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <header>
+    <span class="dot" style="background: ${safeColor(board.color, '#8b6914')};"></span>
+    <h1>${escapeHTML(board.name)}</h1>
+    <p>Snapshot exported ${escapeHTML(new Date().toUTCString())}</p>
+  </header>
+  <main class="board" style="width: ${width}px; height: ${height}px;">${cards.map(renderCard).join('')}
+  </main>
+</body>
+</html>
+`;
+}
+
+// Zip - board.json plus the attachment files under attachments/
+async function writeZip(board, res) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const data = await toJSON(board, { attachments: 'none' });
+
+  data.board.cards.forEach(card => {
+    card.attachments.forEach(attachment => {
+      attachment.file = `attachments/${attachment.id}${path.extname(attachment.original_name || '')}`;
+    });
+  });
+
+  archive.on('warning', error => console.warn('Export archive warning:', error));
+  archive.on('error', error => res.destroy(error));
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'board.json' });
+  data.board.cards.forEach(card => {
+    card.attachments.forEach(attachment => {
+      const filePath = attachmentPath(attachment);
+      if (fs.existsSync(filePath)) {
+        archive.file(filePath, { name: attachment.file });
+      }
+    });
+  });
+
+  await archive.finalize();
+}
+
+// Write a board export to an Express response as a file download
+async function sendExport(res, board, format, options = {}) {
+  const download = (extension, type) => {
+    res.attachment(exportFilename(board, extension));
+    res.type(type);
+  };
+
+  switch (format) {
+    case 'json':
+      download('json', 'application/json');
+      return res.send(JSON.stringify(await toJSON(board, options), null, 2));
+    case 'markdown':
+      download('md', 'text/markdown; charset=utf-8');
+      return res.send(toMarkdown(board));
+    case 'csv':
+      download('csv', 'text/csv; charset=utf-8');
+      return res.send(toCSV(board));
+    case 'html':
+      download('html', 'text/html; charset=utf-8');
+      return res.send(await toHTML(board));
+    case 'zip':
+      download('zip', 'application/zip');
+      return writeZip(board, res);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  loadBoard,
+  sendExport
+};
@@ -0,0 +1,120 @@
+// Corkboard Pro - Image uploads: clean originals and sized renditions
+//
+// The original upload is kept at full size in its own format. Renditions are
+// written next to it in uploads/:
+//   thumb - 200x200 crop for card thumbnails, in the original's format
+//   cover - up to 480px for card covers, in the original's format
+//   full  - up to 2048px WebP for the lightbox
+// Animated images (GIF, animated WebP) are used for every rendition as they
+// are. Every stored image has location metadata removed, and still images have
+// EXIF orientation applied (sharp cannot rotate animations).
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const RENDITIONS = {
+  thumb: { width: 200, height: 200, fit: 'cover' },
+  cover: { width: 480, height: 480, fit: 'inside' },
+  full: { width: 2048, height: 2048, fit: 'inside', format: 'webp' }
+};
+
+// Output settings per format; formats not listed here are stored as they are
+const FORMATS = {
+  jpeg: { extension: '.jpg', mimeType: 'image/jpeg', options: { quality: 82 } },
+  png: { extension: '.png', mimeType: 'image/png', options: { compressionLevel: 9 } },
+  webp: { extension: '.webp', mimeType: 'image/webp', options: { quality: 82 } }
+};
+
+function renditionFilename(filename, name, extension) {
+  return `${path.parse(filename).name}-${name}${extension}`;
+}
+
+// Settings for re-encoding an original in place; GIF is only re-encoded to
+// remove metadata from animations
+const CLEAN_OPTIONS = {
+  jpeg: { quality: 95 },
+  png: FORMATS.png.options,
+  webp: { quality: 95 },
+  gif: {}
+};
+
+// Re-encode the original in place when it carries EXIF, XMP or IPTC data
+// (which is where GPS coordinates live) or needs rotating. Pixels, frames,
+// format and color profile are kept; JPEG and WebP are re-encoded at high
+// quality.
+async function cleanOriginal(filePath, metadata, animated) {
+  const options = CLEAN_OPTIONS[metadata.format];
+  const needsRotating = !animated && (metadata.orientation || 1) !== 1;
+  if (!options || !(metadata.exif || metadata.xmp || metadata.iptc || needsRotating)) {
+    return;
+  }
+
+  const cleanPath = `${filePath}.clean`;
+  const image = sharp(filePath, { animated });
+  await (animated ? image : image.rotate())
+    .keepIccProfile()
+    .toFormat(metadata.format, options)
+    .toFile(cleanPath);
+  await fs.promises.rename(cleanPath, filePath);
+}
+
+// Process an uploaded image at filePath (stored as filename in the same
+// directory). Resolves with { size, renditions, files } where renditions is
+// the JSON stored on the attachment row and files lists every file written.
+async function processImage(filePath, filename) {
+  const metadata = await sharp(filePath).metadata();
+  const animated = (metadata.pages || 1) > 1 || metadata.format === 'gif';
+  // EXIF orientations 5-8 are rotated a quarter turn, swapping the sides.
+  // Animations lose their orientation along with the rest of their metadata.
+  const frameHeight = metadata.pageHeight || metadata.height;
+  const rotated = !animated && (metadata.orientation || 1) >= 5;
+  const width = rotated ? frameHeight : metadata.width;
+  const height = rotated ? metadata.width : frameHeight;
+
+  await cleanOriginal(filePath, metadata, animated);
+
+  // Animation would be lost by resizing, so every rendition is the original
+  if (animated || !FORMATS[metadata.format]) {
+    const { size } = await fs.promises.stat(filePath);
+    return { size, renditions: { width, height, passthrough: true }, files: [] };
+  }
+
+  const renditions = { width, height };
+  const files = [];
+  const directory = path.dirname(filePath);
+
+  try {
+    for (const [name, spec] of Object.entries(RENDITIONS)) {
+      const formatName = spec.format || metadata.format;
+      const format = FORMATS[formatName];
+      const outputName = renditionFilename(filename, name, format.extension);
+      const outputPath = path.join(directory, outputName);
+
+      const info = await sharp(filePath)
+        .rotate()
+        .resize(spec.width, spec.height, { fit: spec.fit, withoutEnlargement: true })
+        .toFormat(formatName, format.options)
+        .toFile(outputPath);
+      files.push(outputPath);
+
+      renditions[name] = {
+        filename: outputName,
+        mime_type: format.mimeType,
+        width: info.width,
+        height: info.height
+      };
+    }
+  } catch (error) {
+    files.forEach(file => fs.unlink(file, () => {}));
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  return { size, renditions, files };
+}
+
+module.exports = {
+  RENDITIONS,
+  processImage
+};
@@ -0,0 +1,402 @@
+// Corkboard Pro - Board import (validation, ID remapping, transactional insert)
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const dbHelpers = require('./db');
+const images = require('./images');
+const { MAX_ATTACHMENT_SIZE, ATTACHMENT_TYPES, SCHEMAS, validate } = require('./validation');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const MAX_CARDS = 2000;
+const MAX_COLUMNS = 100;
+
+// Cards without a position are laid out in rows
+const GRID_COLUMNS = 5;
+const GRID_SPACING_X = 280;
+const GRID_SPACING_Y = 240;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Check data against one of the API's schemas (lib/validation.js), so imported
+// cards hold nothing an edit could not. Returns { value } or { error } with
+// every problem as "field message".
+function checkSchema(schemaName, data, options) {
+  const { values, errors } = validate(schemaName, data, options);
+  return errors ?
+    { error: Object.entries(errors).map(([field, message]) => `${field} ${message}`).join('; ') } :
+    { value: values };
+}
+
+// Pick the fields a schema knows, leaving out unset ones, so export-only
+// fields such as ids and timestamps are not reported as unknown
+function pickFields(schemaName, data) {
+  return Object.keys(SCHEMAS[schemaName])
+    .filter(field => data[field] !== undefined && data[field] !== null)
+    .reduce((picked, field) => ({ ...picked, [field]: data[field] }), {});
+}
+
+function checkCardField(field, value) {
+  const result = checkSchema('card', { [field]: value }, { partial: true });
+  return result.error ? result : { value: result.value[field] };
+}
+
+// Links as exported, or as { url } from other apps, which are named by their
+// url. Links without an id get one when they are imported.
+function checkLink(link) {
+  if (!isObject(link)) {
+    return { error: 'link must be an object' };
+  }
+  const data = pickFields('link', link);
+  if (data.name === undefined || data.name === '') {
+    data.name = link.url;
+  }
+  return checkSchema('link', data);
+}
+
+function checkAttachment(attachment, index, warnings) {
+  const label = `attachments[${index}]`;
+
+  if (!isObject(attachment) || typeof attachment.data !== 'string' || !attachment.data) {
+    warnings.push(`${label} skipped: no file data (export with attachments inlined to include files)`);
+    return null;
+  }
+  if (!ATTACHMENT_TYPES.includes(attachment.mime_type)) {
+    warnings.push(`${label} skipped: type ${attachment.mime_type || 'unknown'} is not allowed`);
+    return null;
+  }
+
+  const buffer = Buffer.from(attachment.data, 'base64');
+  if (buffer.length === 0 || buffer.length > MAX_ATTACHMENT_SIZE) {
+    const maxSize = +(MAX_ATTACHMENT_SIZE / 1024 / 1024).toFixed(1);
+    warnings.push(`${label} skipped: file must be between 1 byte and ${maxSize}MB`);
+    return null;
+  }
+
+  const originalName = typeof attachment.original_name === 'string' && attachment.original_name ?
+    path.basename(attachment.original_name) : `attachment-${index + 1}`;
+
+  return {
+    original_name: originalName,
+    mime_type: attachment.mime_type,
+    buffer
+  };
+}
+
+// Ids from an export, which are only used to match cards to columns
+function sourceId(item) {
+  return isObject(item) && (typeof item.id === 'string' || typeof item.id === 'number') ? String(item.id) : null;
+}
+
+// Kanban columns are part of the board, so a bad one fails the whole import.
+// Columns without a position keep their order in the export.
+function checkColumns(columns, errors) {
+  if (!Array.isArray(columns)) {
+    errors.push('board.columns must be an array');
+    return [];
+  }
+  if (columns.length > MAX_COLUMNS) {
+    errors.push(`A board can import at most ${MAX_COLUMNS} columns`);
+    return [];
+  }
+
+  return columns.map((column, index) => {
+    const prefix = `board.columns[${index}].`;
+    const result = isObject(column) ? checkSchema('column', pickFields('column', column), { prefix }) :
+      { error: `${prefix.slice(0, -1)} must be an object` };
+    if (result.error) {
+      errors.push(result.error);
+      return null;
+    }
+    return { source_id: sourceId(column), position: index, ...result.value };
+  });
+}
+
+// Validate one card with the card schema. Content problems reject the card;
+// cosmetic ones fall back to defaults, and bad tags and links are dropped, with
+// a warning. columnIds are the source ids of the imported columns.
+function checkCard(card, index, columnIds) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isObject(card)) {
+    return { errors: ['card must be an object'], warnings };
+  }
+
+  const normalized = {
+    title: null,
+    body: null,
+    details: null,
+    color: SCHEMAS.card.color.default,
+    x: 20 + (index % GRID_COLUMNS) * GRID_SPACING_X,
+    y: 20 + Math.floor(index / GRID_COLUMNS) * GRID_SPACING_Y,
+    z_index: SCHEMAS.card.z_index.default,
+    tags: [],
+    links: [],
+    due_date: null,
+    is_flipped: Boolean(card.is_flipped),
+    column_id: null,
+    column_position: null
+  };
+
+  ['title', 'body', 'details', 'due_date'].forEach(field => {
+    if (card[field] !== undefined && card[field] !== null) {
+      const result = checkCardField(field, card[field]);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        normalized[field] = result.value;
+      }
+    }
+  });
+
+  if (card.color !== undefined && card.color !== null) {
+    const result = checkCardField('color', card.color);
+    if (result.error) {
+      warnings.push(`color ${JSON.stringify(card.color)} is not a hex color; using the default`);
+    } else {
+      normalized.color = result.value;
+    }
+  }
+
+  if (card.x !== undefined || card.y !== undefined) {
+    const [x, y] = ['x', 'y'].map(field =>
+      checkCardField(field, isFiniteNumber(card[field]) ? Math.round(card[field]) : card[field] ?? null));
+    if (x.error || y.error) {
+      warnings.push(`${x.error || y.error}; card was placed automatically`);
+    } else {
+      normalized.x = x.value;
+      normalized.y = y.value;
+    }
+  }
+
+  if (card.z_index !== undefined && card.z_index !== null) {
+    const result = checkCardField('z_index', isFiniteNumber(card.z_index) ? Math.round(card.z_index) : card.z_index);
+    if (result.error) {
+      warnings.push(`${result.error}; using the default`);
+    } else {
+      normalized.z_index = result.value;
+    }
+  }
+
+  if (card.tags !== undefined && card.tags !== null) {
+    if (!Array.isArray(card.tags)) {
+      errors.push('tags must be an array');
+    } else {
+      normalized.tags = card.tags
+        .map(tag => (typeof tag === 'string' ? tag.trim() : tag))
+        .filter(tag => !checkCardField('tags', [tag]).error)
+        .slice(0, SCHEMAS.card.tags.maxItems);
+      if (normalized.tags.length !== card.tags.length) {
+        warnings.push(`tags that are not text, longer than ${SCHEMAS.card.tags.items.maxLength} characters ` +
+          `or past the first ${SCHEMAS.card.tags.maxItems} were dropped`);
+      }
+    }
+  }
+
+  if (card.links !== undefined && card.links !== null) {
+    if (!Array.isArray(card.links)) {
+      errors.push('links must be an array');
+    } else {
+      card.links.forEach((link, linkIndex) => {
+        const result = checkLink(link);
+        if (result.error) {
+          warnings.push(`links[${linkIndex}] dropped: ${result.error}`);
+        } else if (normalized.links.length < SCHEMAS.card.links.maxItems) {
+          normalized.links.push({ id: uuidv4(), ...result.value });
+        } else {
+          warnings.push(`links[${linkIndex}] dropped: a card can have at most ${SCHEMAS.card.links.maxItems} links`);
+        }
+      });
+    }
+  }
+
+  if (card.column_id !== undefined && card.column_id !== null) {
+    const position = checkCardField('column_position', card.column_position ?? null);
+    if (!columnIds.has(String(card.column_id))) {
+      warnings.push(`column_id ${JSON.stringify(card.column_id)} is not a column in this import; ` +
+        'card was left out of any column');
+    } else if (position.error) {
+      warnings.push(`${position.error}; card was left out of any column`);
+    } else {
+      normalized.column_id = String(card.column_id);
+      normalized.column_position = position.value ?? index;
+    }
+  }
+
+  let attachments = [];
+  if (card.attachments !== undefined && card.attachments !== null) {
+    if (!Array.isArray(card.attachments)) {
+      errors.push('attachments must be an array');
+    } else {
+      attachments = card.attachments
+        .map((attachment, attachmentIndex) => checkAttachment(attachment, attachmentIndex, warnings))
+        .filter(Boolean);
+    }
+  }
+
+  return { errors, warnings, card: normalized, attachments };
+}
+
+// Validate an import payload - the { version, board: { ..., columns, cards } }
+// envelope produced by board export. Returns { errors } when the board itself
+// is unusable, otherwise { board, columns, cards } with a verdict for every card.
+function validateImport(payload) {
+  if (!isObject(payload) || !isObject(payload.board)) {
+    return { errors: ['board is required'] };
+  }
+
+  const source = payload.board;
+  const errors = [];
+
+  const name = checkSchema('board', { name: source.name }, { prefix: 'board.' });
+  if (name.error) {
+    errors.push(name.error);
+  }
+
+  const columns = source.columns === undefined || source.columns === null ? [] : checkColumns(source.columns, errors);
+
+  const sourceCards = source.cards === undefined || source.cards === null ? [] : source.cards;
+  if (!Array.isArray(sourceCards)) {
+    errors.push('board.cards must be an array');
+  } else if (sourceCards.length > MAX_CARDS) {
+    errors.push(`A board can import at most ${MAX_CARDS} cards`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const columnIds = new Set(columns.map(column => column.source_id).filter(id => id !== null));
+
+  return {
+    board: {
+      name: name.value.name,
+      color: source.color !== undefined && !checkSchema('board', { color: source.color }, { partial: true }).error ?
+        source.color : SCHEMAS.board.color.default
+    },
+    columns,
+    cards: sourceCards.map((card, index) => ({
+      index,
+      source_id: isObject(card) && (typeof card.id === 'string' || typeof card.id === 'number') ? card.id : null,
+      ...checkCard(card, index, columnIds)
+    }))
+  };
+}
+
+function attachmentFilename(originalName) {
+  return `${uuidv4()}-${Date.now()}-${originalName}`;
+}
+
+// Insert a validated import as a new board owned by ownerId. Every row gets a
+// fresh id; the board and all accepted cards are written in one transaction so
+// a failure leaves nothing behind. Resolves with the board and a per-card report.
+async function importBoard(db, ownerId, { board, columns, cards }) {
+  const boardId = uuidv4();
+  const accepted = cards.filter(entry => entry.errors.length === 0);
+  const writtenFiles = [];
+
+  // Cards point at their column by its id in the export
+  const columnIds = new Map();
+  columns.forEach(column => {
+    column.id = uuidv4();
+    if (column.source_id !== null && !columnIds.has(column.source_id)) {
+      columnIds.set(column.source_id, column.id);
+    }
+  });
+
+  // Files go to disk first; they are removed again if the transaction fails
+  accepted.forEach(entry => {
+    entry.id = uuidv4();
+    entry.attachments.forEach(attachment => {
+      attachment.id = uuidv4();
+      attachment.filename = attachmentFilename(attachment.original_name);
+    });
+  });
+
+  try {
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    }
+    for (const entry of accepted) {
+      for (const attachment of entry.attachments) {
+        const filePath = path.join(UPLOAD_DIR, attachment.filename);
+        await fs.promises.writeFile(filePath, attachment.buffer);
+        writtenFiles.push(filePath);
+
+        attachment.size = attachment.buffer.length;
+        attachment.renditions = null;
+        if (attachment.mime_type.startsWith('image/')) {
+          // An unreadable image is still imported, just without renditions
+          try {
+            const processed = await images.processImage(filePath, attachment.filename);
+            writtenFiles.push(...processed.files);
+            attachment.size = processed.size;
+            attachment.renditions = processed.renditions;
+          } catch (error) {
+            entry.warnings.push(`${attachment.original_name}: could not be read as an image, so no previews were made`);
+          }
+        }
+      }
+    }
+
+    await dbHelpers.transaction(db, async () => {
+      await dbHelpers.run(db, 'INSERT INTO boards (id, name, color, owner_id) VALUES (?, ?, ?, ?)',
+        [boardId, board.name, board.color, ownerId]);
+
+      for (const column of columns) {
+        await dbHelpers.run(db, 'INSERT INTO board_columns (id, board_id, name, wip_limit, position) VALUES (?, ?, ?, ?, ?)',
+          [column.id, boardId, column.name, column.wip_limit ?? null, column.position]);
+      }
+
+      for (const { id, card, attachments } of accepted) {
+        const columnId = card.column_id === null ? null : columnIds.get(card.column_id);
+        await dbHelpers.run(db, `INSERT INTO cards
+          (id, board_id, title, body, details, color, x, y, z_index, tags, links, due_date, is_flipped,
+            column_id, column_position)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, boardId, card.title, card.body, card.details, card.color, card.x, card.y, card.z_index,
+            JSON.stringify(card.tags), JSON.stringify(card.links), card.due_date, card.is_flipped ? 1 : 0,
+            columnId, columnId ? card.column_position : null]);
+
+        for (const attachment of attachments) {
+          await dbHelpers.run(db, `INSERT INTO attachments (id, card_id, filename, original_name, mime_type, size, renditions)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [attachment.id, id, attachment.filename, attachment.original_name, attachment.mime_type, attachment.size,
+              attachment.renditions ? JSON.stringify(attachment.renditions) : null]);
+        }
+      }
+    });
+  } catch (error) {
+    writtenFiles.forEach(filePath => fs.unlink(filePath, () => {}));
+    throw error;
+  }
+
+  return {
+    board: { id: boardId, name: board.name, color: board.color, owner_id: ownerId, role: 'owner' },
+    columns: columns.length,
+    imported: accepted.length,
+    rejected: cards.length - accepted.length,
+    cards: cards.map(entry => (entry.errors.length === 0 ? {
+      index: entry.index,
+      source_id: entry.source_id,
+      id: entry.id,
+      status: 'imported',
+      attachments: entry.attachments.length,
+      warnings: entry.warnings
+    } : {
+      index: entry.index,
+      source_id: entry.source_id,
+      status: 'rejected',
+      errors: entry.errors,
+      warnings: entry.warnings
+    }))
+  };
+}
+
+module.exports = {
+  validateImport,
+  importBoard
+};
@@ -0,0 +1,102 @@
+// Corkboard Pro - Versioned schema migrations
+//
+// Migrations live in migrations/ as NNN-short-name.js files exporting async
+// up(db) and down(db). Applied versions are recorded in schema_migrations, and
+// each migration runs in its own transaction together with that record, so a
+// failed migration leaves the schema as it was.
+
+const fs = require('fs');
+const path = require('path');
+const dbHelpers = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILENAME_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(FILENAME_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureMigrationsTable(db) {
+  return dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Every known migration with applied_at (null when pending), plus any applied
+// version whose file has gone missing
+async function status(db, dir = MIGRATIONS_DIR) {
+  await ensureMigrationsTable(db);
+  const applied = await dbHelpers.all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const migrations = loadMigrations(dir);
+
+  const rows = migrations.map(migration => {
+    const record = applied.find(row => row.version === migration.version);
+    return { version: migration.version, name: migration.name, applied_at: record ? record.applied_at : null };
+  });
+  applied
+    .filter(row => !migrations.some(migration => migration.version === row.version))
+    .forEach(row => rows.push({ ...row, missing: true }));
+
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations in order, up to and including version `to` when
+// given. Resolves with the migrations that were applied.
+async function migrateUp(db, { to = Infinity, dir = MIGRATIONS_DIR } = {}) {
+  const pending = (await status(db, dir)).filter(row => !row.applied_at && !row.missing && row.version <= to);
+  const migrations = loadMigrations(dir);
+  const applied = [];
+
+  for (const { version } of pending) {
+    const migration = migrations.find(item => item.version === version);
+    await dbHelpers.transaction(db, async () => {
+      await migration.up(db);
+      await dbHelpers.run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]);
+    });
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+// Roll back the most recent `steps` applied migrations, newest first.
+// Resolves with the migrations that were rolled back.
+async function migrateDown(db, { steps = 1, dir = MIGRATIONS_DIR } = {}) {
+  const rows = (await status(db, dir)).filter(row => row.applied_at).reverse().slice(0, steps);
+  const migrations = loadMigrations(dir);
+  const rolledBack = [];
+
+  for (const row of rows) {
+    const migration = migrations.find(item => item.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version} (${row.name}) is applied but its file is missing`);
+    }
+
+    await dbHelpers.transaction(db, async () => {
+      await migration.down(db);
+      await dbHelpers.run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  status,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,108 @@
+// Corkboard Pro - Board roles and permissions
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Roles that can be granted to collaborators (ownership is never shared)
+const COLLABORATOR_ROLES = ['viewer', 'commenter', 'editor'];
+
+function hasRole(role, requiredRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Look up a user's role on a board. Calls back with { exists, role, deleted }
+// where role is null when the user has no access at all and deleted is true
+// for boards in the trash.
+function getBoardRole(db, boardId, userId, callback) {
+  db.get(`SELECT b.owner_id, b.deleted_at, c.role
+          FROM boards b
+          LEFT JOIN board_collaborators c ON c.board_id = b.id AND c.user_id = ?
+          WHERE b.id = ?`,
+    [userId, boardId], (err, row) => {
+    if (err) {
+      return callback(err);
+    }
+    if (!row) {
+      return callback(null, { exists: false, role: null });
+    }
+    const role = row.owner_id === userId ? 'owner' : (row.role || null);
+    callback(null, { exists: true, role, deleted: Boolean(row.deleted_at) });
+  });
+}
+
+// Board id resolvers for requireBoardRole - each calls back with the board id
+// the request targets, or null when the referenced row doesn't exist. Cards in
+// the trash only resolve through trashedCard.
+const boardIdFrom = {
+  params: (db, req, callback) => callback(null, req.params.id),
+
+  body: (db, req, callback) => callback(null, req.body.board_id || null),
+
+  trashedBoard: (db, req, callback) => {
+    db.get('SELECT id FROM boards WHERE id = ? AND deleted_at IS NOT NULL', [req.params.id], (err, board) => {
+      callback(err, board ? board.id : null);
+    });
+  },
+
+  card: (db, req, callback) => {
+    db.get('SELECT board_id FROM cards WHERE id = ? AND deleted_at IS NULL', [req.params.id], (err, card) => {
+      callback(err, card ? card.board_id : null);
+    });
+  },
+
+  trashedCard: (db, req, callback) => {
+    db.get('SELECT board_id FROM cards WHERE id = ? AND deleted_at IS NOT NULL', [req.params.id], (err, card) => {
+      callback(err, card ? card.board_id : null);
+    });
+  },
+
+  attachment: (db, req, callback) => {
+    db.get(`SELECT c.board_id FROM attachments a
+            JOIN cards c ON c.id = a.card_id
+            WHERE a.id = ? AND c.deleted_at IS NULL`, [req.params.id], (err, row) => {
+      callback(err, row ? row.board_id : null);
+    });
+  }
+};
+
+// Express middleware factory - rejects the request unless req.user holds at
+// least requiredRole on the target board. Boards in the trash count as missing
+// unless includeDeleted is set. Sets req.boardId and req.boardRole.
+function requireBoardRole(db, requiredRole, resolveBoardId = boardIdFrom.params, { includeDeleted = false } = {}) {
+  return (req, res, next) => {
+    resolveBoardId(db, req, (err, boardId) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!boardId) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      getBoardRole(db, boardId, req.user.id, (err, access) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        // Boards the user can't see at all look the same as missing ones
+        if (!access.exists || !access.role || (access.deleted && !includeDeleted)) {
+          return res.status(404).json({ error: 'Board not found' });
+        }
+        if (!hasRole(access.role, requiredRole)) {
+          return res.status(403).json({ error: `This action requires the ${requiredRole} role on this board` });
+        }
+
+        req.boardId = boardId;
+        req.boardRole = access.role;
+        next();
+      });
+    });
+  };
+}
+
+module.exports = {
+  ROLES,
+  COLLABORATOR_ROLES,
+  hasRole,
+  getBoardRole,
+  boardIdFrom,
+  requireBoardRole
+};
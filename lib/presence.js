@@ -0,0 +1,102 @@
+// Corkboard Pro - Who is on each board
+//
+// Signed-in users in a board's socket room, tracked by who they are rather
+// than by socket, so someone with the board open in two tabs is listed once.
+// Each tab reports whether it is idle and which card field it is editing; a
+// person is idle only when all their tabs are, and is editing whatever any of
+// them has open. Everyone in the room sees the roster, so it holds names but
+// never email addresses. Kept in memory - the room is rebuilt as clients
+// reconnect.
+
+const { displayName } = require('./auth');
+
+const boards = new Map();
+
+function tabsOf(boardId) {
+  if (!boards.has(boardId)) {
+    boards.set(boardId, new Map());
+  }
+  return boards.get(boardId);
+}
+
+function hasUser(tabs, userId) {
+  return [...tabs.values()].some(tab => tab.user.id === userId);
+}
+
+// Add a socket to a board. Returns true when it is the user's first tab there.
+function join(boardId, socketId, user, { idle = false } = {}) {
+  const tabs = tabsOf(boardId);
+  const first = !hasUser(tabs, user.id);
+  tabs.set(socketId, {
+    user: { id: user.id, name: displayName(user) },
+    idle: Boolean(idle),
+    editing: null,
+    joinedAt: tabs.has(socketId) ? tabs.get(socketId).joinedAt : Date.now()
+  });
+  return first;
+}
+
+// Remove a socket from a board. Returns the user when that was their last
+// tab there, otherwise null.
+function leave(boardId, socketId) {
+  const tabs = boards.get(boardId);
+  const tab = tabs && tabs.get(socketId);
+  if (!tab) {
+    return null;
+  }
+
+  tabs.delete(socketId);
+  if (tabs.size === 0) {
+    boards.delete(boardId);
+  }
+  return hasUser(tabs, tab.user.id) ? null : tab.user;
+}
+
+// Set a tab's idle flag ({ idle }) or the field it is editing
+// ({ editing: { cardId, field } or null }). Returns whether anything changed.
+function update(boardId, socketId, changes) {
+  const tab = boards.has(boardId) && boards.get(boardId).get(socketId);
+  if (!tab) {
+    return false;
+  }
+
+  let changed = false;
+  if (changes.idle !== undefined && tab.idle !== Boolean(changes.idle)) {
+    tab.idle = Boolean(changes.idle);
+    changed = true;
+  }
+  if (changes.editing !== undefined && JSON.stringify(tab.editing) !== JSON.stringify(changes.editing)) {
+    tab.editing = changes.editing;
+    changed = true;
+  }
+  return changed;
+}
+
+// The board's roster, earliest arrival first: [{ id, name, status, editing, tabs }]
+// where status is 'active' or 'idle' and editing lists the open fields as
+// [{ cardId, field }]
+function list(boardId) {
+  const users = new Map();
+  (boards.get(boardId) || new Map()).forEach(tab => {
+    const entry = users.get(tab.user.id) || { ...tab.user, idle: true, editing: [], tabs: 0, joinedAt: tab.joinedAt };
+    entry.idle = entry.idle && tab.idle;
+    entry.tabs++;
+    entry.joinedAt = Math.min(entry.joinedAt, tab.joinedAt);
+    if (tab.editing && !entry.editing.some(editing =>
+      editing.cardId === tab.editing.cardId && editing.field === tab.editing.field)) {
+      entry.editing.push(tab.editing);
+    }
+    users.set(tab.user.id, entry);
+  });
+
+  return [...users.values()]
+    .sort((a, b) => a.joinedAt - b.joinedAt)
+    .map(({ idle, joinedAt, ...user }) => ({ ...user, status: idle ? 'idle' : 'active' }));
+}
+
+module.exports = {
+  join,
+  leave,
+  update,
+  list
+};
@@ -0,0 +1,242 @@
+// Corkboard Pro - Card revision history
+//
+// Every write to a card stores a revision with who made it, the fields that
+// changed ({ field: { from, to } }) and a snapshot of the card afterwards.
+// Creating, trashing and restoring a card are recorded too, without changes.
+// Restoring a revision copies the content fields of its snapshot back onto
+// the card; position and flip state stay where they are. A user moving a card
+// about saves its position over and over, so moves that follow their own
+// within POSITION_MERGE_WINDOW are folded into that revision.
+
+const { v4: uuidv4 } = require('uuid');
+const dbHelpers = require('./db');
+const { SCHEMAS } = require('./validation');
+const { displayName } = require('./auth');
+
+const CARD_FIELDS = Object.keys(SCHEMAS.card);
+const CONTENT_FIELDS = ['title', 'body', 'details', 'color', 'tags', 'links', 'due_date'];
+const JSON_FIELDS = ['tags', 'links'];
+const POSITION_FIELDS = ['x', 'y', 'z_index'];
+const POSITION_MERGE_WINDOW = '-60 seconds';
+
+// A card row as the API shapes it, limited to the fields clients can write
+function cardState(row) {
+  return CARD_FIELDS.reduce((state, field) => {
+    let value = row[field] === undefined ? null : row[field];
+    if (JSON_FIELDS.includes(field)) {
+      value = value ? JSON.parse(value) : [];
+    } else if (field === 'is_flipped') {
+      value = Boolean(value);
+    }
+    state[field] = value;
+    return state;
+  }, {});
+}
+
+// Value as stored in the cards table
+function columnValue(field, value) {
+  if (JSON_FIELDS.includes(field)) {
+    return JSON.stringify(value);
+  }
+  if (field === 'is_flipped') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+// The fields of updates that differ from state, as { field: { from, to } }
+function diffCard(state, updates) {
+  return Object.keys(updates).reduce((changes, field) => {
+    if (JSON.stringify(state[field]) !== JSON.stringify(updates[field])) {
+      changes[field] = { from: state[field], to: updates[field] };
+    }
+    return changes;
+  }, {});
+}
+
+function toJSON(row) {
+  return {
+    id: row.id,
+    card_id: row.card_id,
+    action: row.action,
+    changes: JSON.parse(row.changes),
+    snapshot: JSON.parse(row.snapshot),
+    restored_from: row.restored_from,
+    user: row.user_id ? { id: row.user_id, name: displayName({ name: row.user_name, email: row.user_email }) } : null,
+    created_at: dbHelpers.toISOTimestamp(row.created_at)
+  };
+}
+
+function recordRevision(db, { card, userId, action, changes = {}, restoredFrom = null }) {
+  const id = uuidv4();
+  return dbHelpers.run(db, `INSERT INTO card_revisions (id, card_id, board_id, user_id, action, changes, snapshot, restored_from)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, card.id, card.board_id, userId, action, JSON.stringify(changes), JSON.stringify(cardState(card)), restoredFrom])
+    .then(() => id);
+}
+
+// Record a revision that changes no fields - 'create' for a newly inserted
+// card row, 'delete' and 'undelete' when it goes in and out of the trash
+function recordEvent(db, card, userId, action) {
+  return recordRevision(db, { card, userId, action });
+}
+
+const isMove = changes => Object.keys(changes).every(field => POSITION_FIELDS.includes(field));
+
+// Fold a move into the user's previous revision when that was a recent move
+// too. Resolves with that revision's id - or null when the card is back where
+// the revision started and it was dropped - or undefined when there was no
+// revision to fold into.
+async function mergeMove(db, card, userId, changes) {
+  const last = await dbHelpers.get(db, `SELECT id, user_id, action, changes, created_at >= datetime('now', ?) AS recent
+                                        FROM card_revisions
+                                        WHERE card_id = ?
+                                        ORDER BY created_at DESC, rowid DESC
+                                        LIMIT 1`, [POSITION_MERGE_WINDOW, card.id]);
+  if (!last || !last.recent || last.user_id !== userId || last.action !== 'update' || !isMove(JSON.parse(last.changes))) {
+    return undefined;
+  }
+
+  const merged = JSON.parse(last.changes);
+  Object.entries(changes).forEach(([field, { from, to }]) => {
+    merged[field] = { from: merged[field] ? merged[field].from : from, to };
+    if (merged[field].from === merged[field].to) {
+      delete merged[field];
+    }
+  });
+
+  if (Object.keys(merged).length === 0) {
+    await dbHelpers.run(db, 'DELETE FROM card_revisions WHERE id = ?', [last.id]);
+    return null;
+  }
+  await dbHelpers.run(db, `UPDATE card_revisions SET changes = ?, snapshot = ?, created_at = CURRENT_TIMESTAMP
+                           WHERE id = ?`, [JSON.stringify(merged), JSON.stringify(cardState(card)), last.id]);
+  return last.id;
+}
+
+// Write the fields of updates that differ from the card row and record them.
+// Callers run this inside a transaction.
+async function writeChanges(db, row, updates, { userId, action, restoredFrom = null }) {
+  const changes = diffCard(cardState(row), updates);
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    return { changes, revisionId: null };
+  }
+
+  // Field names come from the card schema
+  const setClause = fields.map(field => `${field} = ?`).join(', ');
+  await dbHelpers.run(db, `UPDATE cards SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...fields.map(field => columnValue(field, changes[field].to)), row.id]);
+
+  const card = await dbHelpers.get(db, 'SELECT * FROM cards WHERE id = ?', [row.id]);
+  const merged = action === 'update' && isMove(changes) ? await mergeMove(db, card, userId, changes) : undefined;
+  const revisionId = merged !== undefined ? merged :
+    await recordRevision(db, { card, userId, action, changes, restoredFrom });
+  return { changes, revisionId };
+}
+
+// Apply validated updates to a card and record what changed, in one
+// transaction. Resolves with { changes, revisionId }, or null when the card
+// does not exist; updates that change nothing leave no revision.
+function updateCard(db, cardId, updates, { userId, action = 'update', restoredFrom = null } = {}) {
+  return dbHelpers.transaction(db, async () => {
+    const row = await dbHelpers.get(db, 'SELECT * FROM cards WHERE id = ?', [cardId]);
+    if (!row) {
+      return null;
+    }
+    return writeChanges(db, row, updates, { userId, action, restoredFrom });
+  });
+}
+
+// Who last changed a field of a card, or null when nobody has since creation
+async function lastChangedBy(db, cardId, field) {
+  const row = await dbHelpers.get(db, `SELECT r.user_id, u.name, u.email
+                                       FROM card_revisions r
+                                       LEFT JOIN users u ON u.id = r.user_id
+                                       WHERE r.card_id = ? AND json_extract(r.changes, ?) IS NOT NULL
+                                       ORDER BY r.created_at DESC, r.rowid DESC
+                                       LIMIT 1`, [cardId, `$.${field}`]);
+  return row && row.user_id ? { id: row.user_id, name: displayName(row) } : null;
+}
+
+// Undo or redo one user's edit: set each field in values, but only where the
+// card still holds the value in expected. Fields someone has changed since are
+// left alone and reported as conflicts ([{ field, user }]). Resolves with
+// { changes, revisionId, conflicts }, or null when the card does not exist.
+function undoCardChange(db, cardId, values, expected, userId) {
+  return dbHelpers.transaction(db, async () => {
+    const row = await dbHelpers.get(db, 'SELECT * FROM cards WHERE id = ? AND deleted_at IS NULL', [cardId]);
+    if (!row) {
+      return null;
+    }
+
+    const state = cardState(row);
+    const applicable = {};
+    const conflicted = [];
+    Object.keys(values).forEach(field => {
+      const current = JSON.stringify(state[field]);
+      if (current === JSON.stringify(expected[field] === undefined ? null : expected[field])) {
+        applicable[field] = values[field];
+      } else if (current !== JSON.stringify(values[field])) {
+        conflicted.push(field);
+      }
+    });
+
+    const result = Object.keys(applicable).length > 0 ?
+      await writeChanges(db, row, applicable, { userId, action: 'undo' }) :
+      { changes: {}, revisionId: null };
+    const conflicts = [];
+    for (const field of conflicted) {
+      conflicts.push({ field, user: await lastChangedBy(db, cardId, field) });
+    }
+    return { ...result, conflicts };
+  });
+}
+
+// A card's revisions, newest first
+async function listRevisions(db, cardId) {
+  const rows = await dbHelpers.all(db, `SELECT r.*, u.name AS user_name, u.email AS user_email
+                                        FROM card_revisions r
+                                        LEFT JOIN users u ON u.id = r.user_id
+                                        WHERE r.card_id = ?
+                                        ORDER BY r.created_at DESC, r.rowid DESC`, [cardId]);
+  return rows.map(toJSON);
+}
+
+// Put a card's content back the way it was at a revision. Resolves with
+// { changes, revisionId }, or null when the revision is not one of the card's.
+async function restoreRevision(db, cardId, revisionId, userId) {
+  const revision = await dbHelpers.get(db, 'SELECT snapshot FROM card_revisions WHERE id = ? AND card_id = ?',
+    [revisionId, cardId]);
+  if (!revision) {
+    return null;
+  }
+
+  const snapshot = JSON.parse(revision.snapshot);
+  const values = CONTENT_FIELDS.reduce((result, field) => {
+    result[field] = snapshot[field] === undefined ? null : snapshot[field];
+    return result;
+  }, {});
+  return updateCard(db, cardId, values, { userId, action: 'restore', restoredFrom: revisionId });
+}
+
+function deleteCardRevisions(db, cardIds) {
+  if (cardIds.length === 0) {
+    return Promise.resolve({ changes: 0 });
+  }
+  const placeholders = cardIds.map(() => '?').join(', ');
+  return dbHelpers.run(db, `DELETE FROM card_revisions WHERE card_id IN (${placeholders})`, cardIds);
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  cardState,
+  columnValue,
+  diffCard,
+  recordEvent,
+  updateCard,
+  undoCardChange,
+  listRevisions,
+  restoreRevision,
+  deleteCardRevisions
+};
@@ -0,0 +1,143 @@
+// Corkboard Pro - Full-text card search (SQLite FTS5)
+
+const { escapeHTML } = require('./html');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Private-use characters mark highlighted terms until the snippet is escaped
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+
+// Column weights for bm25(), in cards_fts column order (card_id is unindexed)
+const RANK_WEIGHTS = [0, 10.0, 5.0, 2.0, 4.0, 1.0];
+
+// Turn free text into an FTS5 query. Every word has to match and the last one
+// is treated as a prefix, so results show up while the user is still typing.
+function toMatchExpression(query) {
+  const terms = String(query).match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms
+    .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// Escape FTS5 output for HTML and turn the match markers into <mark> tags
+function markHighlights(text) {
+  if (!text) {
+    return text;
+  }
+  return escapeHTML(text)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+function isValidDate(value) {
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+// Read and validate search options from a query string. Returns { error } or
+// { options }.
+function parseSearchParams(params) {
+  const options = {
+    query: (params.q || '').trim(),
+    boardId: params.board_id || null,
+    tag: params.tag || null,
+    color: params.color || null,
+    dueFrom: params.due_from || null,
+    dueTo: params.due_to || null,
+    limit: Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(params.offset, 10) || 0, 0)
+  };
+
+  if (options.query && !toMatchExpression(options.query)) {
+    return { error: 'Search query must contain at least one word' };
+  }
+  if (options.dueFrom && !isValidDate(options.dueFrom)) {
+    return { error: 'due_from must be a valid date' };
+  }
+  if (options.dueTo && !isValidDate(options.dueTo)) {
+    return { error: 'due_to must be a valid date' };
+  }
+  if (!options.query && !options.boardId && !options.tag && !options.color && !options.dueFrom && !options.dueTo) {
+    return { error: 'Provide a search query or at least one filter' };
+  }
+
+  return { options };
+}
+
+// Search the cards a user can see, across all of their boards. Text queries
+// are ranked by relevance; filter-only searches return the newest cards first.
+function searchCards(db, userId, options, callback) {
+  const conditions = ['(b.owner_id = ? OR bc.user_id IS NOT NULL)', 'c.deleted_at IS NULL', 'b.deleted_at IS NULL'];
+  const filterParams = [userId];
+
+  if (options.boardId) {
+    conditions.push('c.board_id = ?');
+    filterParams.push(options.boardId);
+  }
+  if (options.tag) {
+    conditions.push(`EXISTS (SELECT 1 FROM json_each(CASE WHEN json_valid(c.tags) THEN c.tags ELSE '[]' END)
+                             WHERE lower(value) = lower(?))`);
+    filterParams.push(options.tag);
+  }
+  if (options.color) {
+    conditions.push('lower(c.color) = lower(?)');
+    filterParams.push(options.color);
+  }
+  if (options.dueFrom) {
+    conditions.push('date(c.due_date) >= date(?)');
+    filterParams.push(options.dueFrom);
+  }
+  if (options.dueTo) {
+    conditions.push('date(c.due_date) <= date(?)');
+    filterParams.push(options.dueTo);
+  }
+
+  const columns = `c.id, c.board_id, b.name AS board_name, b.color AS board_color,
+                   c.title, c.color, c.due_date, c.tags, c.updated_at`;
+  const access = `JOIN boards b ON b.id = c.board_id
+                  LEFT JOIN board_collaborators bc ON bc.board_id = b.id AND bc.user_id = ?`;
+
+  let sql;
+  let params;
+  if (options.query) {
+    sql = `SELECT ${columns},
+                  highlight(cards_fts, 1, ?, ?) AS title_highlight,
+                  snippet(cards_fts, -1, ?, ?, '…', 16) AS snippet,
+                  bm25(cards_fts, ${RANK_WEIGHTS.join(', ')}) AS rank
+           FROM cards_fts
+           JOIN cards c ON c.rowid = cards_fts.rowid
+           ${access}
+           WHERE cards_fts MATCH ? AND ${conditions.join(' AND ')}
+           ORDER BY rank
+           LIMIT ? OFFSET ?`;
+    params = [MARK_START, MARK_END, MARK_START, MARK_END, userId, toMatchExpression(options.query), ...filterParams];
+  } else {
+    sql = `SELECT ${columns}, NULL AS title_highlight, NULL AS snippet, NULL AS rank
+           FROM cards c
+           ${access}
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY c.updated_at DESC
+           LIMIT ? OFFSET ?`;
+    params = [userId, ...filterParams];
+  }
+  params.push(options.limit, options.offset);
+
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, rows.map(row => ({
+      ...row,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      title_highlight: markHighlights(row.title_highlight),
+      snippet: markHighlights(row.snippet)
+    })));
+  });
+}
+
+module.exports = {
+  parseSearchParams,
+  searchCards
+};
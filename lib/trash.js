@@ -0,0 +1,227 @@
+// Corkboard Pro - Trash for boards and cards
+//
+// Deleting a board or card only sets deleted_at. Trashed items can be
+// restored until they are deleted for good, either by hand or by the purge
+// that runs hourly once they are older than TRASH_RETENTION_DAYS (30 by
+// default; 0 keeps them until someone empties the trash). Purging removes the
+// rows together with their attachments, revisions and files, and also clears
+// files in uploads/ that no attachment refers to.
+
+const fs = require('fs');
+const path = require('path');
+const dbHelpers = require('./db');
+const attachments = require('./attachments');
+const revisions = require('./revisions');
+const boardOps = require('./board-ops');
+const boardColumns = require('./board-columns');
+const config = require('./config');
+
+const RETENTION_DAYS = config.trashRetentionDays;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Files younger than this may belong to an upload that is still being saved
+const ORPHAN_MIN_AGE = 60 * 60 * 1000;
+
+function purgeAt(deletedAt) {
+  if (!RETENTION_DAYS) {
+    return null;
+  }
+  return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function deletedBy(row) {
+  return row.deleted_by ? { id: row.deleted_by, name: row.deleted_by_name } : null;
+}
+
+function boardToJSON(row) {
+  const deletedAt = dbHelpers.toISOTimestamp(row.deleted_at);
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color,
+    card_count: row.card_count,
+    deleted_at: deletedAt,
+    deleted_by: deletedBy(row),
+    purge_at: purgeAt(deletedAt)
+  };
+}
+
+function cardToJSON(row) {
+  const deletedAt = dbHelpers.toISOTimestamp(row.deleted_at);
+  return {
+    id: row.id,
+    board_id: row.board_id,
+    board_name: row.board_name,
+    board_color: row.board_color,
+    title: row.title,
+    details: row.details,
+    color: row.color,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    deleted_at: deletedAt,
+    deleted_by: deletedBy(row),
+    purge_at: purgeAt(deletedAt)
+  };
+}
+
+// What a user can restore: trashed boards they own, and trashed cards on
+// boards they can edit. With boardId, only that board's cards; with ownedOnly,
+// only cards on boards they own, which is what they may delete for good.
+async function listTrash(db, userId, { boardId = null, ownedOnly = false } = {}) {
+  const boards = boardId ? [] : await dbHelpers.all(db, `
+    SELECT b.id, b.name, b.color, b.deleted_at, b.deleted_by, u.name AS deleted_by_name,
+           (SELECT COUNT(*) FROM cards c WHERE c.board_id = b.id AND c.deleted_at IS NULL) AS card_count
+    FROM boards b
+    LEFT JOIN users u ON u.id = b.deleted_by
+    WHERE b.owner_id = ? AND b.deleted_at IS NOT NULL
+    ORDER BY b.deleted_at DESC`, [userId]);
+
+  const cards = await dbHelpers.all(db, `
+    SELECT c.*, b.name AS board_name, b.color AS board_color, u.name AS deleted_by_name
+    FROM cards c
+    JOIN boards b ON b.id = c.board_id
+    LEFT JOIN board_collaborators bc ON bc.board_id = b.id AND bc.user_id = ?
+    LEFT JOIN users u ON u.id = c.deleted_by
+    WHERE c.deleted_at IS NOT NULL AND b.deleted_at IS NULL
+      AND (b.owner_id = ? ${ownedOnly ? '' : "OR bc.role = 'editor'"})
+      ${boardId ? 'AND c.board_id = ?' : ''}
+    ORDER BY c.deleted_at DESC`, boardId ? [userId, userId, boardId] : [userId, userId]);
+
+  return { boards: boards.map(boardToJSON), cards: cards.map(cardToJSON), retention_days: RETENTION_DAYS };
+}
+
+// Delete the rows of cards with their attachments and history. Resolves with
+// { changes, files } - files being the attachment files to remove afterwards.
+async function deleteCardRows(db, cardIds) {
+  const files = await new Promise((resolve, reject) => {
+    attachments.deleteCardAttachments(db, cardIds, (err, filenames) => (err ? reject(err) : resolve(filenames)));
+  });
+  await revisions.deleteCardRevisions(db, cardIds);
+
+  const placeholders = cardIds.map(() => '?').join(', ');
+  const { changes } = await dbHelpers.run(db, `DELETE FROM cards WHERE id IN (${placeholders})`, cardIds);
+  return { changes, files };
+}
+
+// Delete cards for good, with their attachments (rows and files) and history.
+// The rows go in one transaction; files are removed once it has committed.
+async function purgeCards(db, cardIds) {
+  if (cardIds.length === 0) {
+    return 0;
+  }
+
+  const { changes, files } = await dbHelpers.transaction(db, () => deleteCardRows(db, cardIds));
+  attachments.removeFiles(files);
+  return changes;
+}
+
+// Delete boards for good, with every card on them, their collaborators,
+// share links, operation log and columns - in one transaction, like purgeCards
+async function purgeBoards(db, boardIds) {
+  if (boardIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = boardIds.map(() => '?').join(', ');
+  const { changes, files } = await dbHelpers.transaction(db, async () => {
+    const cards = await dbHelpers.all(db, `SELECT id FROM cards WHERE board_id IN (${placeholders})`, boardIds);
+    const { files } = cards.length > 0 ?
+      await deleteCardRows(db, cards.map(card => card.id)) :
+      { files: [] };
+
+    await dbHelpers.run(db, `DELETE FROM board_collaborators WHERE board_id IN (${placeholders})`, boardIds);
+    await dbHelpers.run(db, `DELETE FROM share_links WHERE board_id IN (${placeholders})`, boardIds);
+    await boardOps.deleteBoardOps(db, boardIds);
+    await boardColumns.deleteBoardColumns(db, boardIds);
+    const { changes } = await dbHelpers.run(db, `DELETE FROM boards WHERE id IN (${placeholders})`, boardIds);
+    return { changes, files };
+  });
+  attachments.removeFiles(files);
+  return changes;
+}
+
+// Delete for good everything in the user's trash that they own. Resolves
+// with the counts and the purged cards as [{ id, board_id }].
+async function emptyTrash(db, userId, options = {}) {
+  const { boards, cards } = await listTrash(db, userId, { ...options, ownedOnly: true });
+  return {
+    boards: await purgeBoards(db, boards.map(board => board.id)),
+    cards: await purgeCards(db, cards.map(card => card.id)),
+    purgedCards: cards.map(({ id, board_id: boardId }) => ({ id, board_id: boardId }))
+  };
+}
+
+// Remove files in uploads/ that no attachment refers to
+async function removeOrphanedFiles(db, { minAge = ORPHAN_MIN_AGE } = {}) {
+  const rows = await dbHelpers.all(db, 'SELECT filename, renditions FROM attachments');
+  const referenced = new Set(rows.flatMap(attachments.storedFiles));
+  const now = Date.now();
+  let removed = 0;
+
+  for (const filename of await fs.promises.readdir(attachments.UPLOAD_DIR)) {
+    if (filename.startsWith('.') || referenced.has(filename)) {
+      continue;
+    }
+
+    const filePath = path.join(attachments.UPLOAD_DIR, filename);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.isFile() && now - stats.mtimeMs >= minAge) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  return removed;
+}
+
+// Purge trashed boards and cards older than the retention period, then
+// orphaned files. Resolves with { boards, cards, files } counts.
+async function purgeExpired(db, retentionDays = RETENTION_DAYS) {
+  const result = { boards: 0, cards: 0, files: 0 };
+
+  if (retentionDays > 0) {
+    const cutoff = `-${retentionDays} days`;
+    const boards = await dbHelpers.all(db,
+      "SELECT id FROM boards WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)", [cutoff]);
+    result.boards = await purgeBoards(db, boards.map(board => board.id));
+
+    const cards = await dbHelpers.all(db,
+      "SELECT id FROM cards WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)", [cutoff]);
+    result.cards = await purgeCards(db, cards.map(card => card.id));
+  }
+
+  result.files = await removeOrphanedFiles(db);
+  return result;
+}
+
+// Run purgeExpired now and then every hour
+function startPurgeSchedule(db, { interval = PURGE_INTERVAL } = {}) {
+  const purge = () => purgeExpired(db)
+    .then(({ boards, cards, files }) => {
+      if (boards || cards || files) {
+        console.log(`Trash purge removed ${boards} boards, ${cards} cards and ${files} orphaned files`);
+      }
+    })
+    .catch(err => console.error('Trash purge failed:', err.message));
+
+  purge();
+  const timer = setInterval(purge, interval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  listTrash,
+  purgeCards,
+  purgeBoards,
+  emptyTrash,
+  purgeExpired,
+  removeOrphanedFiles,
+  startPurgeSchedule
+};
@@ -0,0 +1,228 @@
+// Corkboard Pro - Schemas for API writes
+//
+// Each schema lists the only fields a client may write, with their types.
+// validate() drops nothing silently: unknown fields and bad values come back
+// as { field: message } so the client can show them next to the input.
+
+const config = require('./config');
+
+const MAX_ATTACHMENT_SIZE = config.maxFileSize;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'text/markdown'];
+
+// Field types - each check returns { value } with the normalized value, or
+// { error } with a message that reads after the field name
+const TYPES = {
+  string: (value, spec) => {
+    if (typeof value !== 'string') {
+      return { error: 'must be text' };
+    }
+    const text = spec.trim ? value.trim() : value;
+    if (spec.minLength && text.length < spec.minLength) {
+      return { error: text.length === 0 ? 'must not be empty' : `must be at least ${spec.minLength} characters` };
+    }
+    if (spec.maxLength && text.length > spec.maxLength) {
+      return { error: `must be at most ${spec.maxLength} characters` };
+    }
+    return { value: text };
+  },
+
+  id: (value) => (typeof value === 'string' && /^[\w-]{1,64}$/.test(value) ?
+    { value } : { error: 'must be an id' }),
+
+  color: (value) => (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ?
+    { value } : { error: 'must be a hex color like #fef3c7' }),
+
+  number: (value, spec) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: 'must be a number' };
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      return { error: `must be at least ${spec.min}` };
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      return { error: `must be at most ${spec.max}` };
+    }
+    return { value };
+  },
+
+  integer: (value, spec) => (Number.isInteger(value) ? TYPES.number(value, spec) : { error: 'must be a whole number' }),
+
+  boolean: (value) => (typeof value === 'boolean' ? { value } : { error: 'must be true or false' }),
+
+  // An ISO 8601 date (2024-05-01) or date-time (2024-05-01T09:30:00Z)
+  date: (value) => {
+    const isoDate = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+    if (typeof value !== 'string' || !isoDate.test(value) || Number.isNaN(new Date(value).getTime())) {
+      return { error: 'must be an ISO date like 2024-05-01' };
+    }
+    return { value };
+  },
+
+  url: (value, spec) => {
+    const result = TYPES.string(value, spec);
+    if (result.error) {
+      return result;
+    }
+    try {
+      const { protocol } = new URL(result.value);
+      if (!['http:', 'https:', 'mailto:'].includes(protocol)) {
+        return { error: 'must be an http, https or mailto link' };
+      }
+    } catch (error) {
+      return { error: 'must be a full URL like https://example.com' };
+    }
+    return result;
+  },
+
+  enum: (value, spec) => (spec.values.includes(value) ?
+    { value } : { error: `must be one of: ${spec.values.join(', ')}` }),
+
+  array: (value, spec, field) => {
+    if (!Array.isArray(value)) {
+      return { error: 'must be a list' };
+    }
+    if (spec.maxItems && value.length > spec.maxItems) {
+      return { error: `must have at most ${spec.maxItems} items` };
+    }
+
+    const errors = {};
+    const items = value.map((item, index) => checkField(`${field}[${index}]`, item, spec.items, errors));
+    return Object.keys(errors).length > 0 ? { errors } : { value: items };
+  },
+
+  object: (value, spec, field) => {
+    const { values, errors } = validate(spec.schema, value, { prefix: `${field}.` });
+    return errors ? { errors } : { value: values };
+  }
+};
+
+const SCHEMAS = {
+  board: {
+    name: { type: 'string', trim: true, minLength: 1, maxLength: 200, required: true },
+    color: { type: 'color', default: '#8b6914' }
+  },
+
+  card: {
+    board_id: { type: 'id', required: true },
+    title: { type: 'string', maxLength: 1000, nullable: true },
+    body: { type: 'string', maxLength: 100000, nullable: true },
+    details: { type: 'string', maxLength: 100000, nullable: true },
+    color: { type: 'color', default: '#fef3c7' },
+    // The canvas has no edges; the bounds only keep coordinates exact numbers
+    x: { type: 'integer', min: -1e12, max: 1e12, default: 0 },
+    y: { type: 'integer', min: -1e12, max: 1e12, default: 0 },
+    z_index: { type: 'integer', min: 0, max: 1000000, default: 1 },
+    tags: {
+      type: 'array',
+      maxItems: 50,
+      items: { type: 'string', trim: true, minLength: 1, maxLength: 50 },
+      default: []
+    },
+    links: { type: 'array', maxItems: 50, items: { type: 'object', schema: 'link' }, default: [] },
+    due_date: { type: 'date', nullable: true },
+    is_flipped: { type: 'boolean', default: false },
+    // Kanban column (lib/board-columns.js) and the card's place in it
+    column_id: { type: 'id', nullable: true },
+    column_position: { type: 'number', min: -1e12, max: 1e12, nullable: true }
+  },
+
+  column: {
+    name: { type: 'string', trim: true, minLength: 1, maxLength: 100, required: true },
+    wip_limit: { type: 'integer', min: 1, max: 1000, nullable: true },
+    position: { type: 'number', min: -1e12, max: 1e12 }
+  },
+
+  link: {
+    id: { type: 'string', maxLength: 64 },
+    name: { type: 'string', trim: true, minLength: 1, maxLength: 200, required: true },
+    url: { type: 'url', trim: true, maxLength: 2048, required: true },
+    createdAt: { type: 'date' }
+  },
+
+  // Metadata of an uploaded file, checked after multer has stored it
+  attachment: {
+    original_name: { type: 'string', minLength: 1, maxLength: 255, required: true },
+    mime_type: { type: 'enum', values: ATTACHMENT_TYPES, required: true },
+    size: { type: 'integer', min: 1, max: MAX_ATTACHMENT_SIZE, required: true }
+  }
+};
+
+function checkField(field, value, spec, errors) {
+  if (value === null && spec.nullable) {
+    return null;
+  }
+  // Empty optional dates are how clients clear a due date
+  if (value === '' && spec.type === 'date' && spec.nullable) {
+    return null;
+  }
+  if (value === null || value === undefined) {
+    errors[field] = 'is required';
+    return undefined;
+  }
+
+  const result = TYPES[spec.type](value, spec, field);
+  if (result.error) {
+    errors[field] = result.error;
+  }
+  if (result.errors) {
+    Object.assign(errors, result.errors);
+  }
+  return result.value;
+}
+
+// Validate data against a named schema. With partial set (updates) only the
+// fields present are checked; otherwise required fields must be there and
+// defaults fill in the rest. Returns { values } or { errors }.
+function validate(schemaName, data, { partial = false, prefix = '' } = {}) {
+  const schema = SCHEMAS[schemaName];
+  const errors = {};
+  const values = {};
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: { [prefix.replace(/\.$/, '') || schemaName]: 'must be an object' } };
+  }
+
+  Object.keys(data).forEach(field => {
+    if (!schema[field] && data[field] !== undefined) {
+      errors[`${prefix}${field}`] = 'is not a field that can be set';
+    }
+  });
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    if (data[field] === undefined) {
+      if (!partial && spec.required) {
+        errors[`${prefix}${field}`] = 'is required';
+      } else if (!partial && spec.default !== undefined) {
+        values[field] = spec.default;
+      }
+      return;
+    }
+    values[field] = checkField(`${prefix}${field}`, data[field], spec, errors);
+  });
+
+  if (partial && Object.keys(values).length === 0 && Object.keys(errors).length === 0) {
+    return { errors: { [schemaName]: 'needs at least one field to update' } };
+  }
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+}
+
+// Express middleware - replaces req.body with the validated values or
+// answers 400 with { error, fields: { field: message } }
+function validateBody(schemaName, options = {}) {
+  return (req, res, next) => {
+    const { values, errors } = validate(schemaName, req.body || {}, options);
+    if (errors) {
+      return res.status(400).json({ error: `Invalid ${schemaName}`, fields: errors });
+    }
+    req.body = values;
+    next();
+  };
+}
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  ATTACHMENT_TYPES,
+  SCHEMAS,
+  validate,
+  validateBody
+};
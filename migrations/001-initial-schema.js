@@ -0,0 +1,64 @@
+// Boards, cards, attachments and collaborators. Databases created before
+// migrations existed already have these tables, so they are created only if
+// missing.
+
+const { run } = require('../lib/db');
+
+async function up(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS boards (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    color TEXT DEFAULT '#8b6914',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    owner_id TEXT,
+    is_public BOOLEAN DEFAULT 0,
+    share_token TEXT UNIQUE
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS cards (
+    id TEXT PRIMARY KEY,
+    board_id TEXT,
+    title TEXT,
+    body TEXT,
+    details TEXT,
+    color TEXT DEFAULT '#fef3c7',
+    x INTEGER DEFAULT 0,
+    y INTEGER DEFAULT 0,
+    z_index INTEGER DEFAULT 1,
+    tags TEXT,
+    due_date DATE,
+    is_flipped BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    card_id TEXT,
+    filename TEXT,
+    original_name TEXT,
+    mime_type TEXT,
+    size INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (card_id) REFERENCES cards (id) ON DELETE CASCADE
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS board_collaborators (
+    board_id TEXT,
+    user_id TEXT,
+    role TEXT DEFAULT 'viewer',
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(db) {
+  await run(db, 'DROP TABLE IF EXISTS board_collaborators');
+  await run(db, 'DROP TABLE IF EXISTS attachments');
+  await run(db, 'DROP TABLE IF EXISTS cards');
+  await run(db, 'DROP TABLE IF EXISTS boards');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Links on cards, stored as JSON. Older databases got this column from an
+// ALTER TABLE at startup, so it is only added when missing.
+
+const { run, columnExists } = require('../lib/db');
+
+async function up(db) {
+  if (!await columnExists(db, 'cards', 'links')) {
+    await run(db, 'ALTER TABLE cards ADD COLUMN links TEXT');
+  }
+}
+
+async function down(db) {
+  await run(db, 'ALTER TABLE cards DROP COLUMN links');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// User accounts, refresh tokens, and one collaborator row per user per board
+
+const { run } = require('../lib/db');
+
+async function up(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT UNIQUE NOT NULL,
+    name TEXT,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  )`);
+
+  // Older databases can hold the same user twice on a board; keep the row with
+  // the highest role, then the newest, so the unique index can be built
+  await run(db, `DELETE FROM board_collaborators WHERE rowid IN (
+    SELECT rowid FROM (
+      SELECT rowid, ROW_NUMBER() OVER (
+        PARTITION BY board_id, user_id
+        ORDER BY CASE role WHEN 'owner' THEN 3 WHEN 'editor' THEN 2 WHEN 'commenter' THEN 1 ELSE 0 END DESC,
+          joined_at DESC, rowid DESC
+      ) AS rank
+      FROM board_collaborators
+    ) WHERE rank > 1
+  )`);
+
+  await run(db, `CREATE UNIQUE INDEX IF NOT EXISTS idx_board_collaborators_board_user
+    ON board_collaborators (board_id, user_id)`);
+}
+
+async function down(db) {
+  await run(db, 'DROP INDEX IF EXISTS idx_board_collaborators_board_user');
+  await run(db, 'DROP TABLE IF EXISTS refresh_tokens');
+  await run(db, 'DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
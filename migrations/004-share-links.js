@@ -0,0 +1,25 @@
+// Share links - several per board, each with its own permission, expiry and
+// optional password
+
+const { run } = require('../lib/db');
+
+async function up(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS share_links (
+    id TEXT PRIMARY KEY,
+    board_id TEXT NOT NULL,
+    token TEXT UNIQUE NOT NULL,
+    permission TEXT NOT NULL DEFAULT 'view',
+    password_hash TEXT,
+    expires_at DATETIME,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME,
+    FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(db) {
+  await run(db, 'DROP TABLE IF EXISTS share_links');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,64 @@
+// Full-text search over cards (SQLite FTS5). cards_fts shares rowids with
+// cards and triggers keep it in step; existing cards are indexed on the way up.
+
+const { run } = require('../lib/db');
+
+// tags and links are stored as JSON - index the words, not the syntax
+function tagsText(column) {
+  return `(SELECT group_concat(value, ' ')
+           FROM json_each(CASE WHEN json_valid(${column}) THEN ${column} ELSE json_array(${column}) END))`;
+}
+
+function linksText(column) {
+  return `(SELECT group_concat(
+             CASE WHEN type = 'object'
+               THEN coalesce(json_extract(value, '$.name'), '') || ' ' || coalesce(json_extract(value, '$.url'), '')
+               ELSE value END, ' ')
+           FROM json_each(CASE WHEN json_valid(${column}) THEN ${column} ELSE json_array(${column}) END))`;
+}
+
+function indexedValues(prefix) {
+  return `${prefix}.rowid, ${prefix}.id, ${prefix}.title, ${prefix}.body, ${prefix}.details,
+          ${tagsText(`${prefix}.tags`)}, ${linksText(`${prefix}.links`)}`;
+}
+
+async function up(db) {
+  await run(db, `CREATE VIRTUAL TABLE IF NOT EXISTS cards_fts USING fts5(
+    card_id UNINDEXED,
+    title,
+    body,
+    details,
+    tags,
+    links,
+    tokenize = 'porter unicode61'
+  )`);
+
+  await run(db, `CREATE TRIGGER IF NOT EXISTS cards_fts_insert AFTER INSERT ON cards BEGIN
+    INSERT INTO cards_fts (rowid, card_id, title, body, details, tags, links)
+    VALUES (${indexedValues('new')});
+  END`);
+
+  await run(db, `CREATE TRIGGER IF NOT EXISTS cards_fts_update AFTER UPDATE OF title, body, details, tags, links ON cards BEGIN
+    DELETE FROM cards_fts WHERE rowid = old.rowid;
+    INSERT INTO cards_fts (rowid, card_id, title, body, details, tags, links)
+    VALUES (${indexedValues('new')});
+  END`);
+
+  await run(db, `CREATE TRIGGER IF NOT EXISTS cards_fts_delete AFTER DELETE ON cards BEGIN
+    DELETE FROM cards_fts WHERE rowid = old.rowid;
+  END`);
+
+  // Index cards written before the triggers existed
+  await run(db, `INSERT INTO cards_fts (rowid, card_id, title, body, details, tags, links)
+    SELECT ${indexedValues('c')} FROM cards c
+    WHERE c.rowid NOT IN (SELECT rowid FROM cards_fts)`);
+}
+
+async function down(db) {
+  await run(db, 'DROP TRIGGER IF EXISTS cards_fts_delete');
+  await run(db, 'DROP TRIGGER IF EXISTS cards_fts_update');
+  await run(db, 'DROP TRIGGER IF EXISTS cards_fts_insert');
+  await run(db, 'DROP TABLE IF EXISTS cards_fts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Image renditions (thumb, cover, full) stored as JSON on each attachment.
+// Databases that ran the server before migrations may already have it.
+
+const { run, columnExists } = require('../lib/db');
+
+async function up(db) {
+  if (!await columnExists(db, 'attachments', 'renditions')) {
+    await run(db, 'ALTER TABLE attachments ADD COLUMN renditions TEXT');
+  }
+}
+
+async function down(db) {
+  await run(db, 'ALTER TABLE attachments DROP COLUMN renditions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Card revision history - one row per card write with the changed fields and
+// a snapshot of the card afterwards
+
+const { run } = require('../lib/db');
+
+async function up(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS card_revisions (
+    id TEXT PRIMARY KEY,
+    card_id TEXT NOT NULL,
+    board_id TEXT NOT NULL,
+    user_id TEXT,
+    action TEXT NOT NULL DEFAULT 'update',
+    changes TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    restored_from TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_card_revisions_card ON card_revisions (card_id, created_at)');
+}
+
+async function down(db) {
+  await run(db, 'DROP TABLE IF EXISTS card_revisions');
+}
+
+module.exports = { up, down };
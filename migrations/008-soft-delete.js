@@ -0,0 +1,26 @@
+// Soft delete - trashed boards and cards keep their rows with deleted_at set
+// until they are restored or purged
+
+const { run, columnExists } = require('../lib/db');
+
+async function up(db) {
+  for (const table of ['boards', 'cards']) {
+    if (!await columnExists(db, table, 'deleted_at')) {
+      await run(db, `ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME`);
+    }
+    if (!await columnExists(db, table, 'deleted_by')) {
+      await run(db, `ALTER TABLE ${table} ADD COLUMN deleted_by TEXT`);
+    }
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table} (deleted_at)`);
+  }
+}
+
+async function down(db) {
+  for (const table of ['boards', 'cards']) {
+    await run(db, `DROP INDEX IF EXISTS idx_${table}_deleted_at`);
+    await run(db, `ALTER TABLE ${table} DROP COLUMN deleted_by`);
+    await run(db, `ALTER TABLE ${table} DROP COLUMN deleted_at`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Board operation log - each board numbers the card changes broadcast to its
+// room, and the latest ones are kept so reconnecting clients can catch up
+
+const { run, columnExists } = require('../lib/db');
+
+async function up(db) {
+  if (!await columnExists(db, 'boards', 'op_seq')) {
+    await run(db, 'ALTER TABLE boards ADD COLUMN op_seq INTEGER NOT NULL DEFAULT 0');
+  }
+
+  await run(db, `CREATE TABLE IF NOT EXISTS board_ops (
+    board_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (board_id, seq)
+  )`);
+}
+
+async function down(db) {
+  await run(db, 'DROP TABLE IF EXISTS board_ops');
+  await run(db, 'ALTER TABLE boards DROP COLUMN op_seq');
+}
+
+module.exports = { up, down };
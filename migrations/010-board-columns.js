@@ -0,0 +1,33 @@
+// Kanban columns - each board can have named columns with an optional WIP
+// limit, and a card records which column it is in and where in it
+
+const { run, columnExists } = require('../lib/db');
+
+async function up(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS board_columns (
+    id TEXT PRIMARY KEY,
+    board_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    wip_limit INTEGER,
+    position REAL NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE
+  )`);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_board_columns_board_id ON board_columns (board_id)');
+
+  if (!await columnExists(db, 'cards', 'column_id')) {
+    await run(db, 'ALTER TABLE cards ADD COLUMN column_id TEXT');
+  }
+  if (!await columnExists(db, 'cards', 'column_position')) {
+    await run(db, 'ALTER TABLE cards ADD COLUMN column_position REAL');
+  }
+}
+
+async function down(db) {
+  await run(db, 'ALTER TABLE cards DROP COLUMN column_position');
+  await run(db, 'ALTER TABLE cards DROP COLUMN column_id');
+  await run(db, 'DROP INDEX IF EXISTS idx_board_columns_board_id');
+  await run(db, 'DROP TABLE IF EXISTS board_columns');
+}
+
+module.exports = { up, down };
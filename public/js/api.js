@@ -1,7 +1,7 @@
 // Corkboard Pro - API Client
 
 class APIClient extends EventEmitter {
-    constructor(baseURL = 'http://localhost:3001') {
+    constructor(baseURL = Utils.getConfig().apiBase) {
         super();
         this.baseURL = baseURL;
         this.defaultHeaders = {
@@ -10,10 +10,46 @@ class APIClient extends EventEmitter {
         this.timeout = 10000; // 10 seconds
         this.retryAttempts = 3;
         this.retryDelay = 1000; // 1 second
+
+        // Auth session
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.user = null;
+        this.refreshPromise = null;
+        this.loadSession();
+    }
+
+    // Session management
+    loadSession() {
+        const session = storage.loadFromLocal('auth_session');
+        if (session) {
+            this.accessToken = session.accessToken;
+            this.refreshToken = session.refreshToken;
+            this.user = session.user;
+        }
+    }
+
+    saveSession(session) {
+        this.accessToken = session.accessToken;
+        this.refreshToken = session.refreshToken;
+        this.user = session.user;
+        storage.saveToLocal('auth_session', session);
+        this.emit('authenticated', session.user);
+    }
+
+    clearSession() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.user = null;
+        storage.removeFromLocal('auth_session');
+    }
+
+    isAuthenticated() {
+        return Boolean(this.accessToken && this.refreshToken);
     }
 
     // Generic request method with error handling and retries
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, isAuthRetry = false) {
         const url = `${this.baseURL}/api/${endpoint}`;
         const requestOptions = {
             method: 'GET',
@@ -21,6 +57,13 @@ class APIClient extends EventEmitter {
             ...options
         };
 
+        if (this.accessToken) {
+            requestOptions.headers = {
+                ...requestOptions.headers,
+                'Authorization': `Bearer ${this.accessToken}`
+            };
+        }
+
         // Add request timeout
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
@@ -35,17 +78,27 @@ class APIClient extends EventEmitter {
                 const response = await fetch(url, requestOptions);
                 clearTimeout(timeoutId);
 
+                // Expired access token - refresh once and replay the request
+                if (response.status === 401 && !isAuthRetry && this.refreshToken && !endpoint.startsWith('auth/')) {
+                    await this.refreshAccessToken();
+                    return this.request(endpoint, options, true);
+                }
+
                 if (!response.ok) {
                     const errorData = await response.json().catch(() => ({}));
+                    // Validation errors come with a message per field
+                    const fieldMessages = Object.entries(errorData.fields || {})
+                        .map(([field, message]) => `${field} ${message}`);
+                    const message = errorData.message || errorData.error || `HTTP ${response.status}`;
                     const error = new APIError(
-                        errorData.message || `HTTP ${response.status}`,
+                        fieldMessages.length > 0 ? `${message}: ${fieldMessages.join('; ')}` : message,
                         response.status,
                         errorData
                     );
                     throw error;
                 }
 
-                const data = await response.json();
+                const data = options.responseType === 'blob' ? await response.blob() : await response.json();
                 this.emit('request-success', { url, data, attempt });
                 return data;
 
@@ -111,6 +164,58 @@ class APIClient extends EventEmitter {
         });
     }
 
+    // Auth API methods
+    async register(email, password, name) {
+        const session = await this.post('auth/register', { email, password, name });
+        this.saveSession(session);
+        return session.user;
+    }
+
+    async login(email, password) {
+        const session = await this.post('auth/login', { email, password });
+        this.saveSession(session);
+        return session.user;
+    }
+
+    async logout() {
+        const refreshToken = this.refreshToken;
+        this.clearSession();
+        this.emit('logged-out');
+
+        if (refreshToken) {
+            await this.post('auth/logout', { refreshToken }).catch(() => {
+                // Token is already gone locally; the server copy expires on its own
+            });
+        }
+    }
+
+    // Concurrent 401s share a single refresh request
+    async refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.post('auth/refresh', { refreshToken: this.refreshToken })
+                .then(session => {
+                    this.saveSession(session);
+                    return session.accessToken;
+                })
+                .catch(error => {
+                    // Keep the session when the server is merely unreachable
+                    if (error.isClientError) {
+                        this.clearSession();
+                        this.emit('auth-required', error);
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    async getCurrentUser() {
+        return this.get('auth/me');
+    }
+
     // Board API methods
     async getBoards() {
         return this.get('boards');
@@ -132,6 +237,44 @@ class APIClient extends EventEmitter {
         return this.delete(`boards/${boardId}`);
     }
 
+    // Collaborator API methods
+    async getCollaborators(boardId) {
+        return this.get(`boards/${boardId}/collaborators`);
+    }
+
+    async addCollaborator(boardId, email, role) {
+        return this.post(`boards/${boardId}/collaborators`, { email, role });
+    }
+
+    async updateCollaboratorRole(boardId, userId, role) {
+        return this.put(`boards/${boardId}/collaborators/${userId}`, { role });
+    }
+
+    async removeCollaborator(boardId, userId) {
+        return this.delete(`boards/${boardId}/collaborators/${userId}`);
+    }
+
+    async getBoardPresence(boardId) {
+        return this.get(`boards/${boardId}/presence`);
+    }
+
+    // Kanban column API methods
+    async getColumns(boardId) {
+        return this.get(`boards/${boardId}/columns`);
+    }
+
+    async createColumn(boardId, columnData) {
+        return this.post(`boards/${boardId}/columns`, columnData);
+    }
+
+    async updateColumn(boardId, columnId, updates) {
+        return this.put(`boards/${boardId}/columns/${columnId}`, updates);
+    }
+
+    async deleteColumn(boardId, columnId) {
+        return this.delete(`boards/${boardId}/columns/${columnId}`);
+    }
+
     // Card API methods
     async createCard(cardData) {
         return this.post('cards', cardData);
@@ -145,6 +288,45 @@ class APIClient extends EventEmitter {
         return this.delete(`cards/${cardId}`);
     }
 
+    async getCardHistory(cardId) {
+        return this.get(`cards/${cardId}/history`);
+    }
+
+    async restoreCardRevision(cardId, revisionId) {
+        return this.post(`cards/${cardId}/restore/${revisionId}`);
+    }
+
+    // Set values only where the card still holds expected - used by undo/redo
+    async undoCardChange(cardId, values, expected) {
+        return this.post(`cards/${cardId}/undo`, { values, expected });
+    }
+
+    // Trash API methods
+    // Trashed boards and cards, or only one board's trashed cards
+    async getTrash(boardId = null) {
+        return this.get('trash', boardId ? { board_id: boardId } : {});
+    }
+
+    async restoreTrashedCard(cardId) {
+        return this.post(`trash/cards/${cardId}/restore`);
+    }
+
+    async deleteTrashedCard(cardId) {
+        return this.delete(`trash/cards/${cardId}`);
+    }
+
+    async restoreTrashedBoard(boardId) {
+        return this.post(`trash/boards/${boardId}/restore`);
+    }
+
+    async deleteTrashedBoard(boardId) {
+        return this.delete(`trash/boards/${boardId}`);
+    }
+
+    async emptyTrash(boardId = null) {
+        return this.delete(boardId ? `trash?board_id=${encodeURIComponent(boardId)}` : 'trash');
+    }
+
     // Attachment API methods
     async uploadAttachment(cardId, file) {
         return this.uploadFile(`cards/${cardId}/attachments`, file);
@@ -155,16 +337,31 @@ class APIClient extends EventEmitter {
     }
 
     // Sharing API methods
-    async getSharedBoard(token) {
-        return this.get(`shared/${token}`);
+    async getSharedBoard(token, password = null) {
+        const headers = password ? { 'X-Share-Password': password } : {};
+        return this.request(`shared/${token}`, { method: 'GET', headers });
+    }
+
+    async joinSharedBoard(token, password = null) {
+        return this.post(`shared/${token}/join`, password ? { password } : {});
+    }
+
+    async getShareLinks(boardId) {
+        return this.get(`boards/${boardId}/share`);
+    }
+
+    // options: { permission, expires_at, password }
+    async generateShareToken(boardId, options = {}) {
+        return this.post(`boards/${boardId}/share`, options);
     }
 
-    async generateShareToken(boardId) {
-        return this.post(`boards/${boardId}/share`);
+    async rotateShareToken(boardId, linkId) {
+        return this.post(`boards/${boardId}/share/${linkId}/rotate`);
     }
 
-    async revokeShareToken(boardId) {
-        return this.delete(`boards/${boardId}/share`);
+    // Revokes a single link, or every link on the board when linkId is omitted
+    async revokeShareToken(boardId, linkId = null) {
+        return this.delete(linkId ? `boards/${boardId}/share/${linkId}` : `boards/${boardId}/share`);
     }
 
     // Search API methods
@@ -173,9 +370,10 @@ class APIClient extends EventEmitter {
     }
 
     // Export API methods
-    async exportBoard(boardId, format = 'json') {
-        const data = await this.get(`boards/${boardId}/export`, { format });
-        return data;
+    // Resolves to a Blob with the exported file
+    async exportBoard(boardId, format = 'json', options = {}) {
+        const params = new URLSearchParams({ format, ...options }).toString();
+        return this.request(`boards/${boardId}/export?${params}`, { method: 'GET', responseType: 'blob' });
     }
 
     // Import API methods
@@ -210,6 +408,11 @@ class APIError extends Error {
         return this.status >= 400 && this.status < 500;
     }
 
+    // { field: message } for requests rejected by server-side validation
+    get fieldErrors() {
+        return this.data.fields || {};
+    }
+
     get isServerError() {
         return this.status >= 500;
     }
@@ -336,16 +539,7 @@ class BoardManager extends EventEmitter {
         try {
             this.emit('board-deleting', boardId);
             await this.api.deleteBoard(boardId);
-            
-            this.boards.delete(boardId);
-            this.clearCacheItem(`board_${boardId}`);
-            this.clearCacheItem(`board_full_${boardId}`);
-
-            if (this.activeBoard && this.activeBoard.id === boardId) {
-                this.activeBoard = null;
-            }
-
-            this.emit('board-deleted', boardId);
+            this.forgetBoard(boardId);
             return true;
         } catch (error) {
             this.emit('board-delete-error', { boardId, error });
@@ -353,14 +547,53 @@ class BoardManager extends EventEmitter {
         }
     }
 
+    // Changes to boards made elsewhere - by a collaborator, or by us in
+    // another tab - that the server told us about
+    applyBoardUpdate(boardId, updates) {
+        const board = this.boards.get(boardId);
+        if (!board) return null;
+
+        Object.assign(board, updates);
+        if (this.activeBoard && this.activeBoard.id === boardId && this.activeBoard !== board) {
+            Object.assign(this.activeBoard, updates);
+        }
+        this.setCacheItem(`board_${boardId}`, board);
+        this.clearCacheItem(`board_full_${boardId}`);
+
+        this.emit('board-updated', { boardId, updates });
+        return board;
+    }
+
+    rememberBoard(board) {
+        this.boards.set(board.id, board);
+        this.setCacheItem(`board_${board.id}`, board);
+        this.emit('board-created', board);
+        return board;
+    }
+
+    // Drop a board that was deleted or that we can no longer see
+    forgetBoard(boardId) {
+        this.boards.delete(boardId);
+        this.clearCacheItem(`board_${boardId}`);
+        this.clearCacheItem(`board_full_${boardId}`);
+
+        if (this.activeBoard && this.activeBoard.id === boardId) {
+            this.activeBoard = null;
+        }
+
+        this.emit('board-deleted', boardId);
+    }
+
     // Card operations
     async createCard(cardData) {
         try {
             this.emit('card-creating', cardData);
             const card = await this.api.createCard(cardData);
             
-            // Add card to active board if it matches
-            if (this.activeBoard && this.activeBoard.id === cardData.board_id) {
+            // Add card to active board if it matches - the broadcast of it may
+            // have got there first
+            if (this.activeBoard && this.activeBoard.id === cardData.board_id &&
+                !this.activeBoard.cards.some(c => c.id === card.id)) {
                 this.activeBoard.cards.push(card);
                 this.setCacheItem(`board_full_${cardData.board_id}`, this.activeBoard);
             }
@@ -395,6 +628,23 @@ class BoardManager extends EventEmitter {
         }
     }
 
+    // Resolves with { updates, conflicts } - the fields that were written, and
+    // [{ field, user }] for those someone else has changed since
+    async undoCardChange(cardId, values, expected) {
+        const result = await this.api.undoCardChange(cardId, values, expected);
+
+        if (this.activeBoard && Object.keys(result.updates).length > 0) {
+            const card = this.activeBoard.cards.find(c => c.id === cardId);
+            if (card) {
+                Object.assign(card, result.updates);
+                this.setCacheItem(`board_full_${this.activeBoard.id}`, this.activeBoard);
+            }
+            this.emit('card-updated', { cardId, updates: result.updates });
+        }
+
+        return result;
+    }
+
     async deleteCard(cardId) {
         try {
             this.emit('card-deleting', cardId);
@@ -414,6 +664,30 @@ class BoardManager extends EventEmitter {
         }
     }
 
+    // Trash - restored items go back where they were
+    async restoreCard(cardId) {
+        const card = await this.api.restoreTrashedCard(cardId);
+
+        if (this.activeBoard && this.activeBoard.id === card.board_id &&
+            !this.activeBoard.cards.some(c => c.id === card.id)) {
+            this.activeBoard.cards.push(card);
+            this.setCacheItem(`board_full_${card.board_id}`, this.activeBoard);
+        }
+
+        this.emit('card-restored', card);
+        return card;
+    }
+
+    async restoreBoard(boardId) {
+        const board = await this.api.restoreTrashedBoard(boardId);
+
+        this.boards.set(board.id, board);
+        this.setCacheItem(`board_${board.id}`, board);
+
+        this.emit('board-restored', board);
+        return board;
+    }
+
     // Cache management
     setCacheItem(key, data) {
         this.cache.set(key, {
@@ -479,8 +753,19 @@ class BoardManager extends EventEmitter {
         return null;
     }
 
-    // Search functionality
-    searchCards(query, boardId = null) {
+    // Search functionality - full-text search on the server across every
+    // board the user can see, falling back to the loaded boards when offline
+    async searchCards(query, filters = {}) {
+        try {
+            const { results } = await this.api.search(query, filters);
+            return results;
+        } catch (error) {
+            if (error.status) throw error;
+            return this.searchLoadedCards(query, filters.board_id);
+        }
+    }
+
+    searchLoadedCards(query, boardId = null) {
         const boards = boardId ? [this.getBoardById(boardId)] : this.getAllBoards();
         const results = [];
 
@@ -498,15 +783,18 @@ class BoardManager extends EventEmitter {
                 );
 
                 if (matchesTitle || matchesBody || matchesDetails || matchesTags) {
+                    // Same shape as the server's search results
                     results.push({
-                        card,
-                        board,
-                        matches: {
-                            title: matchesTitle,
-                            body: matchesBody,
-                            details: matchesDetails,
-                            tags: matchesTags
-                        }
+                        id: card.id,
+                        board_id: board.id,
+                        board_name: board.name,
+                        board_color: board.color,
+                        title: card.title,
+                        color: card.color,
+                        due_date: card.due_date,
+                        tags: card.tags || [],
+                        title_highlight: Utils.sanitizeHTML(card.title || ''),
+                        snippet: null
                     });
                 }
             });
@@ -9,11 +9,55 @@ class CorkboardApp extends EventEmitter {
         this.initialized = false;
         this.activeBoard = null;
         this.selectedCards = new Set();
+        // Input listeners that keep the edit lease on the field being edited
+        this.leaseRenewals = new WeakMap();
         this.searchQuery = '';
         this.activeFilters = new Set();
         this.gridMode = true;
         this.gridSize = 280;
         this.gridVerticalSize = 220;
+
+        // Canvas pan and zoom for each board (see getViewport)
+        this.viewports = storage.loadFromLocal('board_viewports') || {};
+        this.zoomLimits = { min: 0.1, max: 3 };
+        this.saveViewportsTimer = null;
+        this.spaceHeld = false;
+        this.minimap = null;
+
+        // Board views - each board is shown in the one it was last switched to
+        this.views = [
+            { id: 'corkboard', icon: '▦', label: 'Corkboard' },
+            { id: 'kanban', icon: '▥', label: 'Kanban' },
+            { id: 'calendar', icon: '📅', label: 'Calendar' },
+            { id: 'table', icon: '☰', label: 'Table' }
+        ];
+        this.boardViews = storage.loadFromLocal('board_views') || {};
+        // date is the YYYY-MM-DD the calendar is showing, null for today
+        this.calendar = { mode: 'month', scope: 'board', ...storage.loadFromLocal('calendar_options'), date: null };
+        this.calendarAllCards = null;
+        this.calendarLoading = null;
+        this.calendarDrag = null;
+        this.tableColumns = [
+            { id: 'title', label: 'Title', width: 220 },
+            { id: 'details', label: 'Details', width: 300 },
+            { id: 'color', label: 'Color', width: 70 },
+            { id: 'tags', label: 'Tags', width: 160 },
+            { id: 'due_date', label: 'Due', width: 130 },
+            { id: 'links', label: 'Links', width: 70 },
+            { id: 'attachments', label: 'Files', width: 70 },
+            { id: 'created_at', label: 'Created', width: 170 },
+            { id: 'updated_at', label: 'Updated', width: 170 }
+        ];
+        this.tableEditableFields = ['title', 'details', 'color', 'due_date'];
+        this.tableOptions = {
+            sort: { column: 'updated_at', direction: 'desc' },
+            widths: {},
+            hidden: [],
+            ...storage.loadFromLocal('table_options')
+        };
+        // The cell being edited, kept so a redraw can put the editor back
+        this.tableEditing = null;
+        this.tableAnchor = null;
         
         // Keyboard state
         this.keyboardShortcuts = new Map();
@@ -27,10 +71,14 @@ class CorkboardApp extends EventEmitter {
             dragOffset: { x: 0, y: 0 }
         };
         
-        // Undo/Redo system
-        this.undoStack = [];
-        this.redoStack = [];
-        this.maxUndoSteps = 50;
+        // Undo/Redo - commands replayed through boardManager (see undo.js)
+        this.undoManager = new UndoManager(50);
+
+        // Attachments - the server's upload limits, from its config.
+        // Browsers rarely report text/markdown, so .md files go by extension.
+        const { uploads } = Utils.getConfig();
+        this.maxAttachmentSize = uploads.maxFileSize;
+        this.attachmentAccept = uploads.allowedTypes.map(type => (type === 'text/markdown' ? '.md' : type)).join(',');
         
         // Performance optimization
         this.renderQueue = [];
@@ -40,6 +88,9 @@ class CorkboardApp extends EventEmitter {
         this.debouncedUpdateCard = Utils.debounce((cardId, field, value) => {
             this.updateCard(cardId, field, value);
         }, 300);
+
+        this.debouncedGlobalSearch = Utils.debounce(() => this.runGlobalSearch(), 250);
+        this.debouncedImportPreview = Utils.debounce(() => this.refreshImportPreview(), 300);
         
         this.init();
     }
@@ -54,6 +105,12 @@ class CorkboardApp extends EventEmitter {
             // Setup event listeners
             this.setupEventListeners();
             
+            // Make sure we have a signed-in user before talking to the API
+            await this.ensureAuthenticated();
+
+            // Accept a share link opened from the shared board page (?join=token)
+            await this.acceptShareLink();
+
             // Load initial data
             await this.loadInitialData();
             
@@ -216,6 +273,14 @@ class CorkboardApp extends EventEmitter {
         this.keyboardShortcuts.set('cmd+s', () => this.saveAll());
         this.keyboardShortcuts.set('ctrl+a', () => this.selectAllCards());
         this.keyboardShortcuts.set('cmd+a', () => this.selectAllCards());
+        this.keyboardShortcuts.set('ctrl+k', () => this.showGlobalSearch());
+        this.keyboardShortcuts.set('+', () => this.isCanvasView() && this.zoomBy(1.25));
+        this.keyboardShortcuts.set('=', () => this.isCanvasView() && this.zoomBy(1.25));
+        this.keyboardShortcuts.set('-', () => this.isCanvasView() && this.zoomBy(1 / 1.25));
+        this.keyboardShortcuts.set('0', () => this.isCanvasView() && this.zoomTo(1));
+        this.keyboardShortcuts.set('1', () => this.isCanvasView() && this.zoomToFit());
+        this.keyboardShortcuts.set('2', () => this.isCanvasView() && this.zoomToSelection());
+        this.keyboardShortcuts.set('cmd+k', () => this.showGlobalSearch());
 
         // Arrow keys for card navigation
         this.keyboardShortcuts.set('ArrowUp', () => this.navigateCards('up'));
@@ -265,6 +330,11 @@ class CorkboardApp extends EventEmitter {
             ui.showStatus('You are back online. Syncing changes...', 'info');
         });
 
+        // Session expired and could not be refreshed
+        api.on('auth-required', () => {
+            this.handleAuthRequired();
+        });
+
         // Board manager events
         boardManager.on('board-loaded', (board) => {
             this.activeBoard = board;
@@ -283,8 +353,25 @@ class CorkboardApp extends EventEmitter {
             this.queueRender();
         });
 
-        // Collaboration events - temporarily disabled for debugging
-        /*
+        // Live text editing keeps the card model in step with what is on screen
+        textSync.on('text-changed', ({ cardId, field, text }) => {
+            const card = this.getCardById(cardId);
+            if (card) card[field] = text;
+        });
+
+        // Without a live session the field is saved whole, as before
+        textSync.on('unavailable', ({ cardId, field, text }) => {
+            if (this.getCardById(cardId)) {
+                this.updateCard(cardId, field, text, { undoable: false });
+            }
+        });
+
+        textSync.on('error', ({ message }) => {
+            ui.showToast(message, 'error');
+        });
+
+        // Collaboration events - our own changes come back too, so applying
+        // one twice must do no harm
         collaboration.on('remote-card-created', (cardData) => {
             this.handleRemoteCardCreated(cardData);
         });
@@ -296,13 +383,65 @@ class CorkboardApp extends EventEmitter {
         collaboration.on('remote-card-deleted', (cardId) => {
             this.handleRemoteCardDeleted(cardId);
         });
-        */
+
+        // Someone deleted a trashed card for good - it may be in our trash
+        collaboration.on('remote-card-purged', () => {
+            this.refreshTrash();
+        });
+
+        collaboration.on('remote-board-snapshot', (snapshot) => {
+            this.handleRemoteBoardSnapshot(snapshot);
+        });
+
+        collaboration.on('remote-board-updated', (boardData) => {
+            this.handleRemoteBoardUpdated(boardData);
+        });
+
+        collaboration.on('remote-board-deleted', (deleted) => {
+            this.handleRemoteBoardGone(deleted.id,
+                `"%s" was deleted by ${deleted.deleted_by?.name || 'its owner'}`, deleted.deleted_by?.id);
+        });
+
+        collaboration.on('remote-board-removed', (removed) => {
+            this.handleRemoteBoardGone(removed.id, 'You no longer have access to "%s"',
+                removed.by_owner ? null : api.user?.id);
+        });
+
+        collaboration.on('remote-board-added', (board) => {
+            this.handleRemoteBoardAdded(board);
+        });
+
+        collaboration.on('remote-board-columns', ({ boardId, columns }) => {
+            if (this.activeBoard?.id !== boardId) return;
+            this.activeBoard.columns = columns;
+            this.queueRender();
+        });
+
+        collaboration.on('remote-collaborators-changed', (boardId) => {
+            if (this.collaboratorsModal?.parentElement && this.activeBoard?.id === boardId) {
+                this.refreshCollaborators(boardId);
+            }
+        });
+
+        collaboration.on('presence-changed', () => {
+            this.renderPresence();
+        });
+
+        collaboration.on('leases-changed', () => {
+            this.renderLeases();
+        });
+
+        collaboration.on('lease-revoked', (revoked) => {
+            this.handleLeaseRevoked(revoked);
+        });
 
         // Window events
         window.addEventListener('resize', Utils.debounce(() => {
             this.queueRender();
         }, 200));
 
+        this.setupCanvasListeners();
+
         window.addEventListener('beforeunload', () => {
             this.saveAll();
             if (this.activeBoard) {
@@ -321,14 +460,140 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
+    // Authentication
+    async ensureAuthenticated() {
+        if (api.isAuthenticated()) return api.user;
+        return this.showAuthModal();
+    }
+
+    async handleAuthRequired() {
+        if (!this.initialized) return;
+
+        await this.showAuthModal();
+        await this.loadInitialData();
+        this.queueRender();
+    }
+
+    showAuthModal(mode = 'login') {
+        if (this.authPromise) return this.authPromise;
+
+        this.authPromise = new Promise((resolve) => {
+            this.authResolve = resolve;
+        });
+
+        const content = `
+            <form class="auth-form" onsubmit="event.preventDefault(); app.submitAuth()">
+                <div class="form-group auth-name-group" style="display: none;">
+                    <label class="form-label" for="auth-name">Name</label>
+                    <input type="text" id="auth-name" class="form-input" autocomplete="name">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="auth-email">Email</label>
+                    <input type="email" id="auth-email" class="form-input" autocomplete="email" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="auth-password">Password</label>
+                    <input type="password" id="auth-password" class="form-input" autocomplete="current-password" required>
+                </div>
+                <div class="auth-error" id="auth-error"></div>
+                <button type="submit" hidden></button>
+            </form>
+            <p class="auth-switch">
+                <span class="auth-switch-text"></span>
+                <a href="#" onclick="event.preventDefault(); app.toggleAuthMode()"></a>
+            </p>
+        `;
+
+        this.authModal = ui.createModal('Sign In', content, {
+            closable: false,
+            buttons: [
+                { text: 'Sign In', type: 'primary', onclick: 'app.submitAuth()' }
+            ]
+        });
+
+        this.setAuthMode(mode);
+
+        setTimeout(() => {
+            this.authModal?.querySelector('#auth-email')?.focus();
+        }, 100);
+
+        return this.authPromise;
+    }
+
+    setAuthMode(mode) {
+        const modal = this.authModal;
+        if (!modal) return;
+
+        this.authMode = mode;
+        const isRegister = mode === 'register';
+
+        modal.querySelector('.modal-title').textContent = isRegister ? 'Create Account' : 'Sign In';
+        modal.querySelector('.modal-footer .btn-primary').textContent = isRegister ? 'Create Account' : 'Sign In';
+        modal.querySelector('.auth-name-group').style.display = isRegister ? '' : 'none';
+        modal.querySelector('#auth-password').autocomplete = isRegister ? 'new-password' : 'current-password';
+        modal.querySelector('.auth-switch-text').textContent = isRegister ? 'Already have an account?' : 'No account yet?';
+        modal.querySelector('.auth-switch a').textContent = isRegister ? 'Sign in' : 'Create one';
+        modal.querySelector('#auth-error').textContent = '';
+    }
+
+    toggleAuthMode() {
+        this.setAuthMode(this.authMode === 'register' ? 'login' : 'register');
+    }
+
+    async submitAuth() {
+        const modal = this.authModal;
+        if (!modal) return;
+
+        const name = modal.querySelector('#auth-name').value.trim();
+        const email = modal.querySelector('#auth-email').value.trim();
+        const password = modal.querySelector('#auth-password').value;
+        const errorElement = modal.querySelector('#auth-error');
+
+        if (!email || !password) {
+            errorElement.textContent = 'Please enter your email and password';
+            return;
+        }
+
+        try {
+            const user = this.authMode === 'register' ?
+                await api.register(email, password, name) :
+                await api.login(email, password);
+
+            ui.closeModal(modal);
+            this.authModal = null;
+
+            const resolve = this.authResolve;
+            this.authPromise = null;
+            this.authResolve = null;
+
+            ui.showToast(`Signed in as ${user.name}`, 'success');
+            resolve(user);
+        } catch (error) {
+            errorElement.textContent = error.message;
+        }
+    }
+
+    async signOut() {
+        await api.logout();
+
+        // Don't leave the previous user's boards cached on this device
+        storage.removeFromLocal('boards');
+        storage.removeFromLocal('last_active_board');
+
+        window.location.reload();
+    }
+
     setupCollaboration() {
         if (this.activeBoard) {
-            collaboration.joinBoard(this.activeBoard.id);
+            collaboration.joinBoard(this.activeBoard.id, this.activeBoard.op_seq);
         }
 
         // Handle connection status
+        let connectedBefore = collaboration.connected;
         collaboration.on('connected', () => {
             ui.showStatus('Connected to collaboration server', 'success');
+            if (connectedBefore) this.syncBoardList();
+            connectedBefore = true;
         });
 
         collaboration.on('disconnected', () => {
@@ -389,6 +654,7 @@ class CorkboardApp extends EventEmitter {
                 </div>
             </div>
             <div class="toolbar-center">
+                ${this.renderViewSwitcher()}
                 <div class="search-container">
                     <span class="search-icon">🔍</span>
                     <input type="text" class="search-input" 
@@ -399,6 +665,13 @@ class CorkboardApp extends EventEmitter {
                 </div>
             </div>
             <div class="toolbar-right">
+                <div class="presence-stack"></div>
+                <button class="control-btn" 
+                        onclick="app.showGlobalSearch()"
+                        title="Search all boards (Ctrl+K)">
+                    <span class="control-btn-icon">🔎</span>
+                    All Boards
+                </button>
                 <button class="control-btn ${this.activeFilters.size > 0 ? 'active' : ''}" 
                         onclick="app.toggleFilterBar()"
                         title="Show filters">
@@ -418,10 +691,55 @@ class CorkboardApp extends EventEmitter {
             </div>
         `;
 
+        this.renderPresence();
+
         // Render filter bar if needed
         this.renderFilterBar();
     }
 
+    // Everyone with the board open, in the order they arrived. Idle people are
+    // faded; someone editing gets a pencil, and clicking them shows the card.
+    renderPresence() {
+        const stack = document.querySelector('.presence-stack');
+        if (!stack) return;
+
+        const maxAvatars = 5;
+        const users = collaboration.roster;
+        const hidden = users.slice(maxAvatars);
+
+        stack.innerHTML = users.slice(0, maxAvatars).map(user => this.renderPresenceAvatar(user)).join('') +
+            (hidden.length > 0 ? `
+                <div class="presence-avatar presence-more"
+                     title="${Utils.sanitizeHTML(hidden.map(user => user.name).join(', ')).replace(/"/g, '&quot;')}">
+                    +${hidden.length}
+                </div>
+            ` : '');
+    }
+
+    renderPresenceAvatar(user) {
+        const { name } = user;
+        const isSelf = api.user?.id === user.id;
+        const idle = user.status === 'idle';
+        const editing = user.editing[0];
+
+        const details = [isSelf ? `${name} (you)` : name, idle ? 'Idle' : 'Viewing'];
+        user.editing.forEach(({ cardId, field }) => {
+            const card = this.getCardById(cardId);
+            details.push(`Editing the ${field} of "${card?.title || 'Untitled'}"`);
+        });
+        const initials = name.split(/[\s@.]+/).filter(Boolean).slice(0, 2)
+            .map(part => part[0].toUpperCase()).join('');
+
+        return `
+            <div class="presence-avatar ${idle ? 'idle' : ''} ${editing ? 'editing' : ''}"
+                 style="background-color: ${collaboration.getUserColor(user.id)}"
+                 title="${Utils.sanitizeHTML(details.join(' - ')).replace(/"/g, '&quot;')}"
+                 ${editing ? `onclick="app.scrollToCard('${editing.cardId}')"` : ''}>
+                ${Utils.sanitizeHTML(initials)}
+            </div>
+        `;
+    }
+
     renderBoardTab(board) {
         const isActive = this.activeBoard && this.activeBoard.id === board.id;
         return `
@@ -468,12 +786,46 @@ class CorkboardApp extends EventEmitter {
         document.querySelector('.toolbar').after(filterBar);
     }
 
+    // Board view switcher, in the toolbar
+    renderViewSwitcher() {
+        const current = this.getBoardView();
+        return `
+            <div class="view-switcher">
+                ${this.views.map(view => `
+                    <button class="view-switcher-btn ${view.id === current ? 'active' : ''}"
+                            onclick="app.setBoardView('${view.id}')"
+                            title="${view.label} view">
+                        <span class="control-btn-icon">${view.icon}</span>
+                        ${view.label}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getBoardView(board = this.activeBoard) {
+        const view = board && this.boardViews[board.id];
+        return this.views.some(({ id }) => id === view) ? view : 'corkboard';
+    }
+
+    setBoardView(view) {
+        if (!this.activeBoard || this.getBoardView() === view) return;
+
+        this.boardViews[this.activeBoard.id] = view;
+        storage.saveToLocal('board_views', this.boardViews);
+        this.clearCardSelection();
+        this.queueRender();
+    }
+
     renderCorkBoard() {
         const corkBoard = document.querySelector('.cork-board');
         if (!corkBoard || !this.activeBoard?.cards) return;
 
-        // Update board classes - always use grid mode
-        corkBoard.className = 'cork-board grid-mode';
+        // Update board classes - the corkboard view always uses grid mode
+        const view = this.getBoardView();
+        corkBoard.className = view === 'corkboard' ? 'cork-board grid-mode corkboard-view' : `cork-board ${view}-view`;
+        corkBoard.style.backgroundSize = '';
+        corkBoard.style.backgroundPosition = '';
 
         // Filter cards based on search and filters
         const filteredCards = this.getFilteredCards();
@@ -482,160 +834,1217 @@ class CorkboardApp extends EventEmitter {
         corkBoard.innerHTML = '';
 
         // Render cards
-        filteredCards.forEach(card => {
-            const cardElement = this.createCardElement(card);
-            corkBoard.appendChild(cardElement);
-        });
+        if (view === 'kanban') {
+            this.renderKanbanBoard(corkBoard, filteredCards);
+        } else if (view === 'calendar') {
+            this.renderCalendarBoard(corkBoard, filteredCards);
+        } else if (view === 'table') {
+            this.renderTableBoard(corkBoard, filteredCards);
+        } else {
+            // Cards go on a layer that is moved and scaled as a whole
+            const canvas = document.createElement('div');
+            canvas.className = 'cork-canvas';
+            filteredCards.forEach(card => {
+                const cardElement = this.createCardElement(card);
+                canvas.appendChild(cardElement);
+            });
+            corkBoard.appendChild(canvas);
+            this.renderCanvasOverlays(corkBoard);
+            this.applyViewport();
+        }
 
         // Setup card event listeners
         this.setupCardEventListeners();
         
         // Setup simple auto-save for cards
         this.setupAutoSave();
+
+        textSync.renderCarets();
+        this.renderLeases();
     }
 
-    getFilteredCards() {
-        if (!this.activeBoard?.cards) return [];
+    // Outline card fields someone else is editing, with their name
+    renderLeases() {
+        document.querySelectorAll('.card-content.leased').forEach(content => {
+            content.classList.remove('leased');
+            content.querySelector('.card-lease-label')?.remove();
+        });
 
-        let cards = [...this.activeBoard.cards];
+        collaboration.leases.forEach(({ cardId, field }) => {
+            const lease = collaboration.leaseHolder(cardId, field);
+            const textarea = lease && CardTextSync.textareaFor(cardId, field);
+            if (!textarea) return;
+
+            const content = textarea.parentNode;
+            const label = document.createElement('div');
+            label.className = 'card-lease-label';
+            label.textContent = `${lease.user.name} is editing`;
+            content.classList.add('leased');
+            content.style.setProperty('--lease-color', collaboration.getUserColor(lease.user.id));
+            content.appendChild(label);
+        });
+    }
 
-        // Search filter
-        if (this.searchQuery) {
-            const query = this.searchQuery.toLowerCase();
-            cards = cards.filter(card => 
-                (card.title && card.title.toLowerCase().includes(query)) ||
-                (card.body && card.body.toLowerCase().includes(query)) ||
-                (card.details && card.details.toLowerCase().includes(query)) ||
-                (card.tags && card.tags.some(tag => tag.toLowerCase().includes(query)))
-            );
-        }
+    // Kanban View - the board's columns side by side, each with its cards in
+    // order. Cards whose column is gone, or that were never put in one, wait
+    // in a "No column" lane. Moving cards here never touches their x/y, so the
+    // corkboard view is just as it was.
+    getKanbanColumns() {
+        return [...(this.activeBoard?.columns || [])].sort((a, b) => a.position - b.position);
+    }
 
-        // Tag filters
-        if (this.activeFilters.size > 0) {
-            cards = cards.filter(card => 
-                card.tags && Array.from(this.activeFilters).some(filter => 
-                    card.tags.includes(filter)
-                )
-            );
-        }
+    // The cards in a column (null for those outside any), in order
+    getColumnCards(columnId, cards = this.activeBoard?.cards || []) {
+        const columnIds = new Set(this.getKanbanColumns().map(column => column.id));
+        return cards
+            .filter(card => (columnId ? card.column_id === columnId : !columnIds.has(card.column_id)))
+            .sort((a, b) => ((a.column_position ?? Infinity) - (b.column_position ?? Infinity)) ||
+                (a.z_index || 0) - (b.z_index || 0));
+    }
 
-        return cards;
+    // A position between two neighbours, either of which may be missing.
+    // Positions are only compared, so halving the gap never renumbers others.
+    kanbanPosition(previous, next) {
+        const before = previous?.column_position ?? null;
+        const after = next?.column_position ?? null;
+        if (before !== null && after !== null) return (before + after) / 2;
+        if (before !== null) return before + 1;
+        if (after !== null) return after - 1;
+        return 0;
     }
 
-    createCardElement(card) {
-        const cardDiv = document.createElement('div');
-        cardDiv.className = `note-card ${card.is_flipped ? 'flipped' : ''}`;
-        cardDiv.id = `card-${card.id}`;
-        cardDiv.style.left = card.x + 'px';
-        cardDiv.style.top = card.y + 'px';
-        cardDiv.style.zIndex = card.z_index || 1;
-        cardDiv.draggable = true;
-        cardDiv.setAttribute('data-card-id', card.id);
-        cardDiv.setAttribute('data-color', card.color);
+    // Column fields that put a new card just below card
+    kanbanSlotAfter(card) {
+        const columnIds = this.getKanbanColumns().map(column => column.id);
+        const columnId = columnIds.includes(card.column_id) ? card.column_id : null;
+        const columnCards = this.getColumnCards(columnId);
+        const next = columnCards[columnCards.indexOf(card) + 1];
+        return { column_id: columnId, column_position: this.kanbanPosition(card, next) };
+    }
 
-        const textColor = Utils.getContrastColor(card.color);
-        const isOverdue = card.due_date && Utils.isOverdue(card.due_date);
-        const isUpcoming = card.due_date && Utils.isUpcoming(card.due_date);
+    renderKanbanBoard(corkBoard, cards) {
+        const columns = this.getKanbanColumns();
+        const canEdit = this.canEditBoard();
+        const hasUnsorted = this.getColumnCards(null).length > 0;
 
-        cardDiv.innerHTML = `
-            <div class="note-card-inner">
-                <div class="note-card-front" style="background-color: ${card.color}; color: ${textColor};">
-                    <div class="card-delete-btn" data-card-id="${card.id}" title="Delete card">×</div>
-                    <div class="card-content">
-                        <textarea class="card-topic" 
-                                  placeholder=""
-                                  readonly
-                                  ondblclick="app.makeCardEditable(this, event)"
-                                  onblur="app.makeCardReadonly(this)"
-                                  onmousedown="event.stopPropagation()">${card.title || ''}</textarea>
-                        <div class="card-meta">
-                            <!-- TAGS DISABLED - Uncomment to restore tag functionality
-                            <div class="card-tags">
-                                ${this.renderCardTags(card)}
-                                <button class="add-tag-btn" onclick="app.addTag(&apos;${card.id}&apos;, event)">+ Tag</button>
-                            </div>
-                            -->
-                            ${card.due_date ? `
-                                <div class="card-due-date ${isOverdue ? 'overdue' : isUpcoming ? 'upcoming' : ''}"
-                                     onclick="app.editDueDate(&apos;${card.id}&apos;, event)">
-                                    📅 ${Utils.formatDate(card.due_date)}
-                                </div>
-                            ` : ''}
-                        </div>
-                        <div class="card-links">
-                            ${this.renderCardLinks(card)}
-                        </div>
-                    </div>
-                </div>
-                <div class="note-card-back" style="background-color: ${card.color}; color: ${textColor};">
-                    <div class="card-delete-btn" data-card-id="${card.id}" title="Delete card">×</div>
-                    <div class="card-content">
-                        <textarea class="card-details" 
-                                  placeholder="Card details..."
-                                  readonly
-                                  ondblclick="app.makeCardEditable(this, event)"
-                                  onblur="app.makeCardReadonly(this)"
-                                  onmousedown="event.stopPropagation()">${card.details || ''}</textarea>
-                    </div>
-                </div>
-            </div>
-            <div class="card-controls-external">
-                <div class="card-color-options">
-                    <button class="color-option" style="background-color: #fef3c7" title="Yellow"
-                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#fef3c7&apos;)"></button>
-                    <button class="color-option" style="background-color: #c6f6d5" title="Green"
-                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#c6f6d5&apos;)"></button>
-                    <button class="color-option" style="background-color: #bfdbfe" title="Blue"
-                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#bfdbfe&apos;)"></button>
-                    <button class="color-option" style="background-color: #fecaca" title="Pink"
-                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#fecaca&apos;)"></button>
-                    <button class="color-option" style="background-color: #d1fae5" title="Light Green"
-                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#d1fae5&apos;)"></button>
-                </div>
-                <button class="card-control link-btn" title="Add link"
-                        onclick="app.addLink(&apos;${card.id}&apos;, event)">🔗</button>
-                <button class="card-control duplicate-btn" title="Duplicate card"
-                        onclick="app.duplicateCard(&apos;${card.id}&apos;, event)">📋</button>
-            </div>
+        const lanes = [
+            ...(hasUnsorted || columns.length === 0 ? [{ id: null, name: 'No column', wip_limit: null }] : []),
+            ...columns
+        ];
+        lanes.forEach(column => corkBoard.appendChild(this.createKanbanColumn(column, cards, canEdit)));
+
+        if (canEdit) {
+            const actions = document.createElement('div');
+            actions.className = 'kanban-board-actions';
+            actions.innerHTML = `
+                <button class="kanban-add-column" onclick="app.addKanbanColumn()">+ Add Column</button>
+                ${columns.length === 0 ? `
+                    <button class="kanban-add-column" onclick="app.addDefaultKanbanColumns()">Use To Do / Doing / Done</button>
+                ` : ''}
+            `;
+            corkBoard.appendChild(actions);
+        }
+    }
+
+    createKanbanColumn(column, cards, canEdit) {
+        // The WIP count is every card in the column, not just those the
+        // search and filters leave showing
+        const total = this.getColumnCards(column.id).length;
+        const overLimit = Boolean(column.wip_limit) && total > column.wip_limit;
+
+        const lane = document.createElement('section');
+        lane.className = `kanban-column ${column.id ? '' : 'unsorted'} ${overLimit ? 'over-limit' : ''}`;
+        lane.setAttribute('data-column-id', column.id || '');
+        lane.innerHTML = `
+            <header class="kanban-column-header">
+                <span class="kanban-column-name">${Utils.sanitizeHTML(column.name)}</span>
+                <span class="kanban-column-count"
+                      title="${overLimit ? `Over the WIP limit of ${column.wip_limit}` : column.wip_limit ? `WIP limit ${column.wip_limit}` : ''}">
+                    ${overLimit ? '⚠ ' : ''}${total}${column.wip_limit ? ` / ${column.wip_limit}` : ''}
+                </span>
+                ${column.id && canEdit ? `
+                    <button class="kanban-column-menu" title="Column options"
+                            onclick="app.showKanbanColumnMenu('${column.id}', event)">⋯</button>
+                ` : ''}
+            </header>
+            <div class="kanban-column-cards"></div>
+            ${canEdit ? `
+                <button class="kanban-add-card"
+                        onclick="app.createCard(null, { columnId: ${column.id ? `'${column.id}'` : 'null'} })">+ Add card</button>
+            ` : ''}
         `;
 
-        return cardDiv;
-    }
+        const list = lane.querySelector('.kanban-column-cards');
+        this.getColumnCards(column.id, cards).forEach(card => list.appendChild(this.createCardElement(card)));
 
-    renderCardTags(card) {
-        if (!card.tags || card.tags.length === 0) return '';
-        
-        return card.tags.map(tag => `
-            <span class="card-tag" onclick="app.filterByTag('${tag}')">
-                ${Utils.sanitizeHTML(tag)}
-                <span class="card-tag-remove" onclick="app.removeTag(&apos;${card.id}&apos;, &apos;${tag}&apos;, event)">×</span>
-            </span>
-        `).join('');
+        lane.addEventListener('dragover', (e) => this.handleKanbanDragOver(e));
+        lane.addEventListener('dragleave', (e) => this.handleKanbanDragLeave(e));
+        lane.addEventListener('drop', (e) => this.handleKanbanDrop(e));
+        return lane;
     }
 
-    renderCardLinks(card) {
-        if (!card.links || card.links.length === 0) return '';
-        
-        return card.links.map(link => `
-            <a class="card-link" href="${link.url}" target="_blank" title="${Utils.sanitizeHTML(link.url)}">
-                🔗 ${Utils.sanitizeHTML(link.name)}
-                <span class="card-link-remove" onclick="app.removeLink(&apos;${card.id}&apos;, &apos;${link.id}&apos;, event)">×</span>
-            </a>
-        `).join('');
+    // The cards a dragged card would land between in a column, going by the
+    // middle of each card
+    kanbanDropTarget(list, clientY) {
+        const others = Array.from(list.querySelectorAll('.note-card:not(.dragging)'));
+        let index = others.findIndex(element => {
+            const rect = element.getBoundingClientRect();
+            return clientY < rect.top + rect.height / 2;
+        });
+        if (index === -1) index = others.length;
+        return { before: others[index - 1] || null, after: others[index] || null };
     }
 
-    renderCardAttachments(card) {
-        if (!card.attachments || card.attachments.length === 0) return '';
-        
-        return card.attachments.map(attachment => `
-            <a class="card-attachment" href="${attachment.url}" target="_blank">
-                <span class="attachment-icon">${this.getAttachmentIcon(attachment.mimeType)}</span>
-                <span class="card-attachment-name">${Utils.sanitizeHTML(attachment.originalName)}</span>
-                <span class="card-attachment-remove" onclick="app.removeAttachment(&apos;${card.id}&apos;, &apos;${attachment.id}&apos;, event)">×</span>
-            </a>
+    handleKanbanDragOver(event) {
+        if (!this.dragState.draggedCard) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        event.dataTransfer.dropEffect = 'move';
+
+        const lane = event.currentTarget;
+        const list = lane.querySelector('.kanban-column-cards');
+        const { after } = this.kanbanDropTarget(list, event.clientY);
+        let marker = document.querySelector('.kanban-drop-marker');
+        if (!marker) {
+            marker = document.createElement('div');
+            marker.className = 'kanban-drop-marker';
+        }
+        list.insertBefore(marker, after);
+
+        document.querySelectorAll('.kanban-column.drag-over').forEach(other => {
+            if (other !== lane) other.classList.remove('drag-over');
+        });
+        lane.classList.add('drag-over');
+    }
+
+    handleKanbanDragLeave(event) {
+        const lane = event.currentTarget;
+        if (lane.contains(event.relatedTarget)) return;
+
+        lane.classList.remove('drag-over');
+        lane.querySelector('.kanban-drop-marker')?.remove();
+    }
+
+    handleKanbanDrop(event) {
+        const dragged = this.dragState.draggedCard;
+        if (!dragged) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const lane = event.currentTarget;
+        const list = lane.querySelector('.kanban-column-cards');
+        const { before, after } = this.kanbanDropTarget(list, event.clientY);
+        lane.classList.remove('drag-over');
+        list.querySelector('.kanban-drop-marker')?.remove();
+
+        const previous = before && this.getCardById(before.getAttribute('data-card-id'));
+        const next = after && this.getCardById(after.getAttribute('data-card-id'));
+        const columnId = lane.getAttribute('data-column-id') || null;
+        this.moveCardToColumn(dragged.id, columnId, this.kanbanPosition(previous, next));
+    }
+
+    async moveCardToColumn(cardId, columnId, position, { undoable = true } = {}) {
+        const card = this.getCardById(cardId);
+        if (!card || !this.ensureCanEdit()) return;
+
+        const updates = { column_id: columnId, column_position: position };
+        const before = { column_id: card.column_id ?? null, column_position: card.column_position ?? null };
+        if (before.column_id === columnId && before.column_position === position) return;
+
+        try {
+            await boardManager.updateCard(cardId, updates);
+            if (undoable) {
+                this.undoManager.record(UndoManager.update(cardId, before, updates, 'move card'));
+            }
+            Object.assign(card, updates, { updated_at: new Date().toISOString() });
+
+            const column = this.getKanbanColumns().find(({ id }) => id === columnId);
+            if (column?.wip_limit && before.column_id !== columnId &&
+                this.getColumnCards(columnId).length > column.wip_limit) {
+                ui.showToast(`"${column.name}" is over its WIP limit of ${column.wip_limit}`, 'warning');
+            }
+
+            this.queueRender();
+            this.saveToLocalStorage();
+        } catch (error) {
+            console.error('Failed to move card:', error);
+            ui.showToast(error.message || 'Failed to move card', 'error');
+        }
+    }
+
+    // Columns are changed through the API and applied here straight away; the
+    // board-columns broadcast that follows brings the same list
+    applyKanbanColumn(column) {
+        const columns = (this.activeBoard.columns || []).filter(({ id }) => id !== column.id);
+        this.activeBoard.columns = [...columns, column];
+        this.queueRender();
+    }
+
+    async addKanbanColumn() {
+        if (!this.ensureCanEdit()) return;
+
+        const name = await ui.prompt('Column name:', '', 'Add Column');
+        if (!name || !name.trim()) return;
+
+        try {
+            this.applyKanbanColumn(await api.createColumn(this.activeBoard.id, { name: name.trim() }));
+        } catch (error) {
+            console.error('Failed to add column:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async addDefaultKanbanColumns() {
+        if (!this.ensureCanEdit()) return;
+
+        try {
+            for (const name of ['To Do', 'Doing', 'Done']) {
+                this.applyKanbanColumn(await api.createColumn(this.activeBoard.id, { name }));
+            }
+        } catch (error) {
+            console.error('Failed to add columns:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async updateKanbanColumn(columnId, updates) {
+        try {
+            this.applyKanbanColumn(await api.updateColumn(this.activeBoard.id, columnId, updates));
+        } catch (error) {
+            console.error('Failed to update column:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    showKanbanColumnMenu(columnId, event) {
+        event.stopPropagation();
+        const columns = this.getKanbanColumns();
+        const index = columns.findIndex(({ id }) => id === columnId);
+
+        ui.showContextMenu(event.clientX, event.clientY, [
+            { text: 'Rename Column', icon: '✏️', onclick: `app.renameKanbanColumn('${columnId}')` },
+            { text: 'Set WIP Limit', icon: '🚦', onclick: `app.setKanbanWipLimit('${columnId}')` },
+            { text: 'Move Left', icon: '←', onclick: `app.moveKanbanColumn('${columnId}', -1)`, disabled: index <= 0 },
+            { text: 'Move Right', icon: '→', onclick: `app.moveKanbanColumn('${columnId}', 1)`, disabled: index === columns.length - 1 },
+            { separator: true },
+            { text: 'Delete Column', icon: '🗑️', onclick: `app.deleteKanbanColumn('${columnId}')`, class: 'danger' }
+        ]);
+    }
+
+    async renameKanbanColumn(columnId) {
+        const column = this.getKanbanColumns().find(({ id }) => id === columnId);
+        if (!column) return;
+
+        const name = await ui.prompt('Column name:', column.name, 'Rename Column');
+        if (name && name.trim() && name.trim() !== column.name) {
+            await this.updateKanbanColumn(columnId, { name: name.trim() });
+        }
+    }
+
+    async setKanbanWipLimit(columnId) {
+        const column = this.getKanbanColumns().find(({ id }) => id === columnId);
+        if (!column) return;
+
+        const value = await ui.prompt(`Most cards "${column.name}" should hold (blank for no limit):`,
+            column.wip_limit ? String(column.wip_limit) : '', 'WIP Limit');
+        if (value === null || value === undefined) return;
+
+        const limit = value.trim() === '' ? null : Number(value);
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+            ui.showToast('The WIP limit must be a whole number of 1 or more', 'warning');
+            return;
+        }
+        await this.updateKanbanColumn(columnId, { wip_limit: limit });
+    }
+
+    async moveKanbanColumn(columnId, direction) {
+        const columns = this.getKanbanColumns();
+        const index = columns.findIndex(({ id }) => id === columnId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= columns.length) return;
+
+        // Between the column it jumps over and the one after that
+        const others = columns.filter(({ id }) => id !== columnId);
+        const previous = others[target - 1];
+        const next = others[target];
+        const position = previous && next ? (previous.position + next.position) / 2 :
+            previous ? previous.position + 1 : next.position - 1;
+        await this.updateKanbanColumn(columnId, { position });
+    }
+
+    async deleteKanbanColumn(columnId) {
+        const column = this.getKanbanColumns().find(({ id }) => id === columnId);
+        if (!column) return;
+
+        const confirmed = await ui.confirm(
+            `Delete the column "${column.name}"? Its cards stay on the board, outside any column.`,
+            'Delete Column',
+            { dangerous: true, confirmText: 'Delete' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.deleteColumn(this.activeBoard.id, columnId);
+            this.activeBoard.columns = (this.activeBoard.columns || []).filter(({ id }) => id !== columnId);
+            this.activeBoard.cards.forEach(card => {
+                if (card.column_id === columnId) Object.assign(card, { column_id: null, column_position: null });
+            });
+            this.queueRender();
+        } catch (error) {
+            console.error('Failed to delete column:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    // Calendar View - cards by due date, a month or a week at a time, for the
+    // active board or every board. Dates are the YYYY-MM-DD part of due_date,
+    // read as local days. Cards from other boards come from the search API
+    // and are fetched again whenever the range changes.
+    calendarKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    calendarDate(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // The days shown, as Dates: whole weeks (Sunday first) covering the month,
+    // or the week, holding the calendar's current date
+    getCalendarDays() {
+        const anchor = this.calendar.date ? this.calendarDate(this.calendar.date) : new Date();
+        const first = this.calendar.mode === 'month' ?
+            new Date(anchor.getFullYear(), anchor.getMonth(), 1) : anchor;
+        const start = new Date(first.getFullYear(), first.getMonth(), first.getDate() - first.getDay());
+
+        let count = 7;
+        if (this.calendar.mode === 'month') {
+            const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+            count = Math.ceil((last.getDate() + first.getDay()) / 7) * 7;
+        }
+        return Array.from({ length: count }, (_, i) =>
+            new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    }
+
+    // The cards to place on the calendar. The active board's come from memory
+    // (with search and filters applied); other boards' from the last fetch.
+    getCalendarCards(filteredCards) {
+        const boardCards = filteredCards.map(card => ({
+            ...card,
+            board_name: this.activeBoard.name,
+            board_color: this.activeBoard.color
+        }));
+        if (this.calendar.scope !== 'all') return boardCards;
+
+        const others = (this.calendarAllCards?.cards || []).filter(card => card.board_id !== this.activeBoard.id);
+        return [...boardCards, ...others];
+    }
+
+    // Fetch every board's cards due in the shown range, a page at a time
+    async loadCalendarCards(from, to) {
+        const key = `${from}:${to}`;
+        if (this.calendarAllCards?.key === key || this.calendarLoading === key) return;
+
+        this.calendarLoading = key;
+        try {
+            const cards = [];
+            const limit = 100;
+            for (let offset = 0; ; offset += limit) {
+                const { results } = await api.search('', { due_from: from, due_to: to, limit, offset });
+                cards.push(...results);
+                if (results.length < limit) break;
+            }
+            if (this.calendarLoading !== key) return;
+            this.calendarAllCards = { key, cards };
+        } catch (error) {
+            console.error('Failed to load calendar:', error);
+            ui.showToast(error.message || 'Failed to load other boards', 'error');
+            this.calendarAllCards = { key, cards: [] };
+        } finally {
+            if (this.calendarLoading === key) this.calendarLoading = null;
+        }
+        this.queueRender();
+    }
+
+    renderCalendarBoard(corkBoard, filteredCards) {
+        const days = this.getCalendarDays();
+        const from = this.calendarKey(days[0]);
+        const to = this.calendarKey(days[days.length - 1]);
+        const anchor = this.calendar.date ? this.calendarDate(this.calendar.date) : new Date();
+        const today = this.calendarKey(new Date());
+        const loading = this.calendar.scope === 'all' && this.calendarAllCards?.key !== `${from}:${to}`;
+        if (loading) this.loadCalendarCards(from, to);
+
+        const byDay = new Map();
+        this.getCalendarCards(filteredCards).forEach(card => {
+            if (!card.due_date) return;
+            const key = String(card.due_date).split('T')[0];
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(card);
+        });
+
+        const title = this.calendar.mode === 'month' ?
+            anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }) :
+            `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${
+                days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        const option = (setting, value, label) => `
+            <button class="calendar-option ${this.calendar[setting] === value ? 'active' : ''}"
+                    onclick="app.setCalendarOption('${setting}', '${value}')">${label}</button>
+        `;
+
+        corkBoard.innerHTML = `
+            <div class="calendar-header">
+                <div class="calendar-nav">
+                    <button class="calendar-nav-btn" onclick="app.moveCalendar(-1)" title="Previous">‹</button>
+                    <button class="calendar-nav-btn" onclick="app.moveCalendar(0)">Today</button>
+                    <button class="calendar-nav-btn" onclick="app.moveCalendar(1)" title="Next">›</button>
+                    <h2 class="calendar-title">${title}</h2>
+                    ${loading ? '<span class="calendar-loading">Loading other boards...</span>' : ''}
+                </div>
+                <div class="calendar-options">
+                    ${option('mode', 'month', 'Month')}
+                    ${option('mode', 'week', 'Week')}
+                    <span class="calendar-options-gap"></span>
+                    ${option('scope', 'board', 'This board')}
+                    ${option('scope', 'all', 'All boards')}
+                </div>
+            </div>
+            <div class="calendar-grid ${this.calendar.mode}">
+                ${days.slice(0, 7).map(day => `
+                    <div class="calendar-weekday">${day.toLocaleDateString(undefined, { weekday: 'short' })}</div>
+                `).join('')}
+                ${days.map(day => {
+                    const key = this.calendarKey(day);
+                    const cards = byDay.get(key) || [];
+                    const classes = [
+                        'calendar-day',
+                        key === today ? 'today' : '',
+                        this.calendar.mode === 'month' && day.getMonth() !== anchor.getMonth() ? 'other-month' : ''
+                    ].join(' ');
+                    return `
+                        <div class="${classes}" data-date="${key}"
+                             title="${this.canEditBoard() ? 'Click to add a card due this day' : ''}">
+                            <div class="calendar-day-number">${day.getDate()}</div>
+                            ${cards.map(card => this.renderCalendarCard(card)).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        corkBoard.querySelectorAll('.calendar-day').forEach(cell => {
+            cell.addEventListener('click', (e) => this.handleCalendarDayClick(e));
+            cell.addEventListener('dragover', (e) => this.handleCalendarDragOver(e));
+            cell.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+            cell.addEventListener('drop', (e) => this.handleCalendarDrop(e));
+        });
+        corkBoard.querySelectorAll('.calendar-card').forEach(chip => {
+            chip.addEventListener('dragstart', (e) => this.handleCalendarDragStart(e));
+            chip.addEventListener('dragend', (e) => this.handleCalendarDragEnd(e));
+        });
+    }
+
+    renderCalendarCard(card) {
+        const overdue = Utils.isOverdue(card.due_date);
+        const upcoming = !overdue && Utils.isUpcoming(card.due_date);
+        const otherBoard = card.board_id !== this.activeBoard.id;
+
+        return `
+            <div class="calendar-card ${overdue ? 'overdue' : ''} ${upcoming ? 'upcoming' : ''}"
+                 draggable="true" data-card-id="${card.id}" data-board-id="${card.board_id}"
+                 title="${Utils.sanitizeHTML(Utils.formatDate(card.due_date))}"
+                 onclick="event.stopPropagation(); app.revealCard('${card.board_id}', '${card.id}')">
+                <span class="calendar-card-swatch" style="background-color: ${Utils.sanitizeHTML(card.color || '#fef3c7')}"></span>
+                <span class="calendar-card-title">${Utils.sanitizeHTML(card.title || 'Untitled')}</span>
+                ${otherBoard ? `
+                    <span class="calendar-card-board" style="border-color: ${Utils.sanitizeHTML(card.board_color || '')}">
+                        ${Utils.sanitizeHTML(card.board_name)}
+                    </span>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    setCalendarOption(setting, value) {
+        if (this.calendar[setting] === value) return;
+
+        this.calendar[setting] = value;
+        // Other boards' cards are fetched afresh each time they are asked for
+        if (setting === 'scope') this.calendarAllCards = null;
+        storage.saveToLocal('calendar_options', { mode: this.calendar.mode, scope: this.calendar.scope });
+        this.queueRender();
+    }
+
+    // Step a month or week back (-1) or on (1), or return to today (0)
+    moveCalendar(direction) {
+        if (direction === 0) {
+            this.calendar.date = null;
+        } else {
+            const date = this.calendar.date ? this.calendarDate(this.calendar.date) : new Date();
+            if (this.calendar.mode === 'month') {
+                date.setDate(1);
+                date.setMonth(date.getMonth() + direction);
+            } else {
+                date.setDate(date.getDate() + direction * 7);
+            }
+            this.calendar.date = this.calendarKey(date);
+        }
+        this.queueRender();
+    }
+
+    // Clicking a day, away from its cards, adds a card due that day to the
+    // active board
+    async handleCalendarDayClick(event) {
+        if (event.target.closest('.calendar-card') || !this.ensureCanEdit()) return;
+
+        const key = event.currentTarget.getAttribute('data-date');
+        const day = this.calendarDate(key).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+        const title = await ui.prompt(`Title for a card due ${day}:`, '', 'New Card');
+        if (title === null || title === undefined) return;
+
+        await this.createCard(null, { dueDate: key, title: title.trim() });
+    }
+
+    handleCalendarDragStart(event) {
+        const chip = event.currentTarget;
+        if (chip.getAttribute('data-board-id') === this.activeBoard.id && !this.canEditBoard()) {
+            event.preventDefault();
+            return;
+        }
+
+        this.calendarDrag = {
+            cardId: chip.getAttribute('data-card-id'),
+            boardId: chip.getAttribute('data-board-id')
+        };
+        chip.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    handleCalendarDragEnd(event) {
+        event.currentTarget.classList.remove('dragging');
+        this.calendarDrag = null;
+        document.querySelectorAll('.calendar-day.drag-over').forEach(cell => cell.classList.remove('drag-over'));
+    }
+
+    handleCalendarDragOver(event) {
+        if (!this.calendarDrag) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    handleCalendarDrop(event) {
+        const drag = this.calendarDrag;
+        if (!drag) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        event.currentTarget.classList.remove('drag-over');
+        this.moveCardToDate(drag.cardId, drag.boardId, event.currentTarget.getAttribute('data-date'));
+    }
+
+    // Change a card's due date - on this board or, in the all-boards
+    // calendar, any other the user can edit
+    async moveCardToDate(cardId, boardId, date) {
+        const onBoard = boardId === this.activeBoard.id;
+        const card = onBoard ? this.getCardById(cardId) :
+            this.calendarAllCards?.cards.find(({ id }) => id === cardId);
+        if (!card || (onBoard && !this.ensureCanEdit())) return;
+
+        const previous = card.due_date ? String(card.due_date).split('T')[0] : null;
+        if (previous === date) return;
+
+        try {
+            await boardManager.updateCard(cardId, { due_date: date });
+            this.undoManager.record(UndoManager.update(cardId, { due_date: card.due_date }, { due_date: date }, 'edit due date'));
+            Object.assign(card, { due_date: date, updated_at: new Date().toISOString() });
+
+            if (onBoard) this.saveToLocalStorage();
+            this.queueRender();
+        } catch (error) {
+            console.error('Failed to move card:', error);
+            ui.showToast(error.message || 'Failed to change the due date', 'error');
+        }
+    }
+
+    // Table View - one row per card, for scanning big boards. Columns can be
+    // sorted, resized and hidden (remembered in this browser), title, details,
+    // color and due date are edited in place, and rows are selected into
+    // selectedCards like the notes are.
+    getTableColumns() {
+        return this.tableColumns.filter(column => !this.tableOptions.hidden.includes(column.id));
+    }
+
+    tableValue(card, columnId) {
+        switch (columnId) {
+            case 'tags':
+                return (card.tags || []).join(', ');
+            case 'links':
+                return (card.links || []).length;
+            case 'attachments':
+                return (card.attachments || []).length;
+            default:
+                return card[columnId] ?? null;
+        }
+    }
+
+    // The cards in table order; empty values sort last either way
+    getTableCards(cards) {
+        const { column, direction } = this.tableOptions.sort;
+        const order = direction === 'desc' ? -1 : 1;
+        return [...cards].sort((a, b) => {
+            const first = this.tableValue(a, column);
+            const second = this.tableValue(b, column);
+            const firstEmpty = first === null || first === '';
+            const secondEmpty = second === null || second === '';
+            if (firstEmpty || secondEmpty) return firstEmpty - secondEmpty;
+            return (typeof first === 'number' ? first - second :
+                String(first).localeCompare(String(second), undefined, { numeric: true })) * order;
+        });
+    }
+
+    renderTableBoard(corkBoard, cards) {
+        const columns = this.getTableColumns();
+        const rows = this.getTableCards(cards);
+        const { sort, widths } = this.tableOptions;
+        const allSelected = rows.length > 0 && rows.every(card => this.selectedCards.has(card.id));
+
+        corkBoard.innerHTML = `
+            <div class="card-table-toolbar">
+                <span class="card-table-count">${rows.length} card${rows.length === 1 ? '' : 's'}</span>
+                <button class="control-btn" onclick="app.showTableColumnMenu(event)">Columns ▾</button>
+            </div>
+            <table class="card-table">
+                <colgroup>
+                    <col style="width: 36px">
+                    ${columns.map(column => `
+                        <col data-column="${column.id}" style="width: ${widths[column.id] || column.width}px">
+                    `).join('')}
+                </colgroup>
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" class="card-table-select-all" title="Select all"
+                                   ${allSelected ? 'checked' : ''} onchange="app.selectTableRows(this.checked)"></th>
+                        ${columns.map(column => `
+                            <th class="${sort.column === column.id ? `sorted ${sort.direction}` : ''}"
+                                onclick="app.sortTable('${column.id}')">
+                                ${column.label}
+                                <span class="card-table-resize" data-column="${column.id}"
+                                      onclick="event.stopPropagation()"></span>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(card => this.renderTableRow(card, columns)).join('')}
+                </tbody>
+            </table>
+            ${rows.length === 0 ? '<p class="card-table-empty">No cards to show</p>' : ''}
+        `;
+
+        corkBoard.querySelectorAll('.card-table-resize').forEach(handle => {
+            handle.addEventListener('mousedown', (e) => this.startTableResize(e));
+        });
+        corkBoard.querySelectorAll('.card-table-row').forEach(row => {
+            row.addEventListener('click', (e) => this.handleTableRowClick(e));
+        });
+
+        // Put back a cell that was being edited when the table was redrawn
+        if (this.tableEditing) {
+            const { cardId, field, draft } = this.tableEditing;
+            this.tableEditing = null;
+            this.editTableCell(cardId, field, draft);
+        }
+    }
+
+    renderTableRow(card, columns) {
+        const selected = this.selectedCards.has(card.id);
+        const cell = (column) => {
+            const editable = this.tableEditableFields.includes(column.id) ? 'editable' : '';
+            switch (column.id) {
+                case 'title':
+                    return `<td class="${editable}" data-field="title">${Utils.sanitizeHTML(card.title || 'Untitled')}</td>`;
+                case 'details': {
+                    const details = card.details || '';
+                    const excerpt = details.length > 120 ? `${details.slice(0, 120)}…` : details;
+                    return `<td class="${editable} card-table-details" data-field="details">${Utils.sanitizeHTML(excerpt)}</td>`;
+                }
+                case 'color':
+                    return `
+                        <td class="${editable}" data-field="color">
+                            <span class="card-table-swatch" style="background-color: ${Utils.sanitizeHTML(card.color || '#fef3c7')}"></span>
+                        </td>
+                    `;
+                case 'due_date': {
+                    const overdue = card.due_date && Utils.isOverdue(card.due_date);
+                    return `
+                        <td class="${editable} ${overdue ? 'overdue' : ''}" data-field="due_date"
+                            title="${card.due_date ? Utils.sanitizeHTML(Utils.formatDate(card.due_date)) : ''}">
+                            ${card.due_date ? Utils.sanitizeHTML(String(card.due_date).split('T')[0]) : ''}
+                        </td>
+                    `;
+                }
+                case 'created_at':
+                case 'updated_at':
+                    return `<td>${card[column.id] ? new Date(card[column.id]).toLocaleString() : ''}</td>`;
+                default:
+                    return `<td>${Utils.sanitizeHTML(String(this.tableValue(card, column.id) ?? ''))}</td>`;
+            }
+        };
+
+        return `
+            <tr class="card-table-row ${selected ? 'selected' : ''}" id="card-row-${card.id}" data-card-id="${card.id}">
+                <td><input type="checkbox" class="card-table-select" ${selected ? 'checked' : ''}></td>
+                ${columns.map(cell).join('')}
+            </tr>
+        `;
+    }
+
+    sortTable(columnId) {
+        const { sort } = this.tableOptions;
+        this.tableOptions.sort = {
+            column: columnId,
+            direction: sort.column === columnId && sort.direction === 'asc' ? 'desc' : 'asc'
+        };
+        this.saveTableOptions();
+        this.queueRender();
+    }
+
+    saveTableOptions() {
+        storage.saveToLocal('table_options', this.tableOptions);
+    }
+
+    showTableColumnMenu(event) {
+        event.stopPropagation();
+        ui.showContextMenu(event.clientX, event.clientY, this.tableColumns.map(column => ({
+            text: column.label,
+            icon: this.tableOptions.hidden.includes(column.id) ? '☐' : '☑',
+            onclick: `app.toggleTableColumn('${column.id}')`
+        })));
+    }
+
+    toggleTableColumn(columnId) {
+        const { hidden } = this.tableOptions;
+        if (hidden.includes(columnId)) {
+            this.tableOptions.hidden = hidden.filter(id => id !== columnId);
+        } else if (this.getTableColumns().length > 1) {
+            this.tableOptions.hidden = [...hidden, columnId];
+        } else {
+            ui.showToast('At least one column has to stay visible', 'warning');
+            return;
+        }
+        this.saveTableOptions();
+        this.queueRender();
+    }
+
+    // Drag a header's right edge to resize its column
+    startTableResize(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const columnId = event.currentTarget.getAttribute('data-column');
+        const col = document.querySelector(`.card-table col[data-column="${columnId}"]`);
+        const startX = event.clientX;
+        const startWidth = col.getBoundingClientRect().width;
+
+        const onMove = (e) => {
+            const width = Math.round(Utils.clamp(startWidth + e.clientX - startX, 60, 800));
+            col.style.width = `${width}px`;
+            this.tableOptions.widths[columnId] = width;
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            this.saveTableOptions();
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    // The checkbox, ctrl/cmd-click or shift-click (for a range) select rows;
+    // a plain click on an editable cell edits it
+    handleTableRowClick(event) {
+        const row = event.currentTarget;
+        const cardId = row.getAttribute('data-card-id');
+        if (event.target.closest('.card-table-editor')) return;
+
+        const checkbox = event.target.classList.contains('card-table-select');
+        if (event.shiftKey && this.tableAnchor) {
+            const ids = Array.from(document.querySelectorAll('.card-table-row'), other => other.getAttribute('data-card-id'));
+            const [from, to] = [ids.indexOf(this.tableAnchor), ids.indexOf(cardId)].sort((a, b) => a - b);
+            if (from !== -1) {
+                ids.slice(from, to + 1).forEach(id => this.selectCard(id, false));
+                return;
+            }
+        }
+        if (checkbox || event.ctrlKey || event.metaKey) {
+            this.toggleCardSelection(cardId);
+            this.tableAnchor = cardId;
+            return;
+        }
+
+        const cell = event.target.closest('td.editable');
+        if (cell) {
+            this.editTableCell(cardId, cell.getAttribute('data-field'));
+        }
+    }
+
+    selectTableRows(selected) {
+        if (!selected) {
+            this.clearCardSelection();
+            return;
+        }
+        document.querySelectorAll('.card-table-row').forEach(row => this.selectCard(row.getAttribute('data-card-id'), false));
+    }
+
+    // Open an editor in a cell. draft is text typed before the table was
+    // redrawn under it.
+    editTableCell(cardId, field, draft = undefined) {
+        const card = this.getCardById(cardId);
+        const cell = document.querySelector(`#card-row-${cardId} td[data-field="${field}"]`);
+        if (!card || !cell) return;
+
+        if (field === 'color') {
+            this.showColorPicker(cardId);
+            return;
+        }
+        if (!this.ensureCanEdit()) return;
+
+        const lease = collaboration.leaseHolder(cardId, field);
+        if (lease) {
+            ui.showToast(`${lease.user.name} is editing this ${field}`, 'warning');
+            return;
+        }
+
+        const value = draft !== undefined ? draft :
+            field === 'due_date' ? (card.due_date ? String(card.due_date).split('T')[0] : '') : (card[field] || '');
+        const editor = document.createElement(field === 'details' ? 'textarea' : 'input');
+        editor.className = 'card-table-editor';
+        if (field === 'due_date') editor.type = 'date';
+        editor.value = value;
+
+        this.tableEditing = { cardId, field, draft: value };
+        cell.textContent = '';
+        cell.appendChild(editor);
+        editor.focus();
+
+        let done = false;
+        const finish = (save) => {
+            // A redraw removes the editor without ending the edit
+            if (done || !editor.isConnected) return;
+            done = true;
+            this.tableEditing = null;
+            if (save) {
+                this.saveTableCell(cardId, field, editor.value);
+            } else {
+                this.queueRender();
+            }
+        };
+        editor.addEventListener('input', () => {
+            if (this.tableEditing) this.tableEditing.draft = editor.value;
+        });
+        editor.addEventListener('blur', () => finish(true));
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') finish(false);
+            if (e.key === 'Enter' && (field !== 'details' || e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                finish(true);
+            }
+        });
+    }
+
+    async saveTableCell(cardId, field, text) {
+        const card = this.getCardById(cardId);
+        if (!card) return;
+
+        let value = field === 'title' ? text.trim() : text;
+        if (field === 'due_date') value = text || null;
+
+        const current = field === 'due_date' ?
+            (card.due_date ? String(card.due_date).split('T')[0] : null) : (card[field] || '');
+        if (value !== current) {
+            await this.updateCard(cardId, field, value);
+        }
+        this.queueRender();
+    }
+
+    getFilteredCards() {
+        if (!this.activeBoard?.cards) return [];
+
+        let cards = [...this.activeBoard.cards];
+
+        // Search filter
+        if (this.searchQuery) {
+            const query = this.searchQuery.toLowerCase();
+            cards = cards.filter(card => 
+                (card.title && card.title.toLowerCase().includes(query)) ||
+                (card.body && card.body.toLowerCase().includes(query)) ||
+                (card.details && card.details.toLowerCase().includes(query)) ||
+                (card.tags && card.tags.some(tag => tag.toLowerCase().includes(query)))
+            );
+        }
+
+        // Tag filters
+        if (this.activeFilters.size > 0) {
+            cards = cards.filter(card => 
+                card.tags && Array.from(this.activeFilters).some(filter => 
+                    card.tags.includes(filter)
+                )
+            );
+        }
+
+        return cards;
+    }
+
+    createCardElement(card) {
+        const cardDiv = document.createElement('div');
+        cardDiv.className = `note-card ${card.is_flipped ? 'flipped' : ''}`;
+        cardDiv.id = `card-${card.id}`;
+        cardDiv.style.left = card.x + 'px';
+        cardDiv.style.top = card.y + 'px';
+        cardDiv.style.zIndex = card.z_index || 1;
+        cardDiv.draggable = true;
+        cardDiv.setAttribute('data-card-id', card.id);
+        cardDiv.setAttribute('data-color', card.color);
+
+        const textColor = Utils.getContrastColor(card.color);
+        const isOverdue = card.due_date && Utils.isOverdue(card.due_date);
+        const isUpcoming = card.due_date && Utils.isUpcoming(card.due_date);
+
+        cardDiv.innerHTML = `
+            <div class="note-card-inner">
+                <div class="note-card-front" style="background-color: ${card.color}; color: ${textColor};">
+                    <div class="card-delete-btn" data-card-id="${card.id}" title="Delete card">×</div>
+                    <div class="card-content">
+                        <textarea class="card-topic" 
+                                  placeholder=""
+                                  readonly
+                                  ondblclick="app.makeCardEditable(this, event)"
+                                  onblur="app.makeCardReadonly(this)"
+                                  onmousedown="event.stopPropagation()">${card.title || ''}</textarea>
+                        <div class="card-meta">
+                            <!-- TAGS DISABLED - Uncomment to restore tag functionality
+                            <div class="card-tags">
+                                ${this.renderCardTags(card)}
+                                <button class="add-tag-btn" onclick="app.addTag(&apos;${card.id}&apos;, event)">+ Tag</button>
+                            </div>
+                            -->
+                            ${card.due_date ? `
+                                <div class="card-due-date ${isOverdue ? 'overdue' : isUpcoming ? 'upcoming' : ''}"
+                                     onclick="app.editDueDate(&apos;${card.id}&apos;, event)">
+                                    📅 ${Utils.formatDate(card.due_date)}
+                                </div>
+                            ` : ''}
+                        </div>
+                        <div class="card-links">
+                            ${this.renderCardLinks(card)}
+                        </div>
+                    </div>
+                </div>
+                <div class="note-card-back" style="background-color: ${card.color}; color: ${textColor};">
+                    <div class="card-delete-btn" data-card-id="${card.id}" title="Delete card">×</div>
+                    <div class="card-content">
+                        <textarea class="card-details" 
+                                  placeholder="Card details..."
+                                  readonly
+                                  ondblclick="app.makeCardEditable(this, event)"
+                                  onblur="app.makeCardReadonly(this)"
+                                  onmousedown="event.stopPropagation()">${card.details || ''}</textarea>
+                        <div class="card-attachments">
+                            ${this.renderCardAttachments(card)}
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <div class="card-controls-external">
+                <div class="card-color-options">
+                    <button class="color-option" style="background-color: #fef3c7" title="Yellow"
+                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#fef3c7&apos;)"></button>
+                    <button class="color-option" style="background-color: #c6f6d5" title="Green"
+                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#c6f6d5&apos;)"></button>
+                    <button class="color-option" style="background-color: #bfdbfe" title="Blue"
+                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#bfdbfe&apos;)"></button>
+                    <button class="color-option" style="background-color: #fecaca" title="Pink"
+                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#fecaca&apos;)"></button>
+                    <button class="color-option" style="background-color: #d1fae5" title="Light Green"
+                            onclick="app.changeCardColor(&apos;${card.id}&apos;, &apos;#d1fae5&apos;)"></button>
+                </div>
+                <button class="card-control link-btn" title="Add link"
+                        onclick="app.addLink(&apos;${card.id}&apos;, event)">🔗</button>
+                ${Utils.isFeatureEnabled('attachments') ? `
+                <button class="card-control attach-btn" title="Attach file"
+                        onclick="app.showAttachModal(&apos;${card.id}&apos;, event)">📎</button>
+                ` : ''}
+                <button class="card-control duplicate-btn" title="Duplicate card"
+                        onclick="app.duplicateCard(&apos;${card.id}&apos;, event)">📋</button>
+            </div>
+        `;
+
+        return cardDiv;
+    }
+
+    renderCardTags(card) {
+        if (!card.tags || card.tags.length === 0) return '';
+        
+        return card.tags.map(tag => `
+            <span class="card-tag" onclick="app.filterByTag('${tag}')">
+                ${Utils.sanitizeHTML(tag)}
+                <span class="card-tag-remove" onclick="app.removeTag(&apos;${card.id}&apos;, &apos;${tag}&apos;, event)">×</span>
+            </span>
+        `).join('');
+    }
+
+    renderCardLinks(card) {
+        if (!card.links || card.links.length === 0) return '';
+        
+        return card.links.filter(link => Utils.isSafeLinkURL(link.url)).map(link => `
+            <a class="card-link" href="${Utils.sanitizeHTML(link.url).replace(/"/g, '&quot;')}" target="_blank"
+               title="${Utils.sanitizeHTML(link.url).replace(/"/g, '&quot;')}">
+                🔗 ${Utils.sanitizeHTML(link.name)}
+                <span class="card-link-remove" onclick="app.removeLink(&apos;${card.id}&apos;, &apos;${link.id}&apos;, event)">×</span>
+            </a>
         `).join('');
     }
 
+    renderCardAttachments(card) {
+        if (!card.attachments || card.attachments.length === 0) return '';
+        
+        // Images show as thumbnails that open in the lightbox, everything
+        // else as a named chip linking to the file
+        return card.attachments.map(attachment => {
+            const isImage = attachment.mimeType.startsWith('image/');
+            return `
+                <a class="card-attachment ${isImage ? 'image' : ''}"
+                   href="${attachment.url}" target="_blank" rel="noopener"
+                   title="${Utils.sanitizeHTML(attachment.originalName)}"
+                   onclick="${isImage ? `app.openAttachment(&apos;${card.id}&apos;, &apos;${attachment.id}&apos;, event)` : 'event.stopPropagation()'}">
+                    ${isImage ? `
+                        <img class="card-attachment-thumb" src="${attachment.renditions?.thumb.url || attachment.url}"
+                             alt="${Utils.sanitizeHTML(attachment.originalName)}" loading="lazy">
+                    ` : `
+                        <span class="attachment-icon">${this.getAttachmentIcon(attachment.mimeType)}</span>
+                        <span class="card-attachment-name">${Utils.sanitizeHTML(attachment.originalName)}</span>
+                    `}
+                    ${this.canEditBoard() ? `
+                        <span class="card-attachment-remove" title="Remove attachment"
+                              onclick="app.removeAttachment(&apos;${card.id}&apos;, &apos;${attachment.id}&apos;, event)">×</span>
+                    ` : ''}
+                </a>
+            `;
+        }).join('');
+    }
+
+    // Open an image attachment in the lightbox along with the card's other images
+    openAttachment(cardId, attachmentId, event = null) {
+        if (event) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+
+        const card = this.getCardById(cardId);
+        const images = (card?.attachments || [])
+            .filter(attachment => attachment.mimeType.startsWith('image/'))
+            .map(attachment => ({ id: attachment.id, name: attachment.originalName, url: attachment.url, renditions: attachment.renditions }));
+        if (images.length === 0) return;
+
+        ui.showLightbox(images, Math.max(0, images.findIndex(image => image.id === attachmentId)));
+    }
+
+    showAttachModal(cardId, event = null) {
+        if (event) event.stopPropagation();
+        if (!this.ensureCanEdit()) return;
+
+        const modal = ui.createModal('Attach Files', '<div id="attach-upload"></div>', {
+            buttons: [
+                { text: 'Cancel', type: 'secondary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+
+        modal.querySelector('#attach-upload').appendChild(ui.createFileUpload({
+            accept: this.attachmentAccept,
+            multiple: true,
+            maxSize: this.maxAttachmentSize,
+            onSelect: (files) => {
+                ui.closeModal(modal);
+                this.uploadAttachments(cardId, files);
+            },
+            onError: (error) => ui.showToast(error.message, 'error')
+        }));
+    }
+
+    // Upload files to a card one at a time, then show them on the card back
+    async uploadAttachments(cardId, files) {
+        if (!Utils.isFeatureEnabled('attachments')) {
+            ui.showToast('Attachments are turned off on this server', 'warning');
+            return;
+        }
+        if (!this.ensureCanEdit()) return;
+
+        const card = this.getCardById(cardId);
+        if (!card) return;
+
+        const accepted = Array.from(files).filter(file => {
+            if (file.size > this.maxAttachmentSize) {
+                ui.showToast(`"${file.name}" is too large. Max size: ${Utils.formatFileSize(this.maxAttachmentSize)}`, 'error');
+                return false;
+            }
+            return true;
+        });
+        if (accepted.length === 0) return;
+
+        ui.showStatus(`Uploading ${accepted.length} file${accepted.length === 1 ? '' : 's'}...`);
+
+        let uploaded = 0;
+        for (const file of accepted) {
+            try {
+                const attachment = await api.uploadAttachment(cardId, file);
+                card.attachments = [...(card.attachments || []), attachment];
+                uploaded++;
+            } catch (error) {
+                console.error('Failed to upload attachment:', error);
+                ui.showToast(`Failed to upload "${file.name}": ${error.message}`, 'error');
+            }
+        }
+
+        if (uploaded > 0) {
+            this.saveToLocalStorage();
+            this.renderCards();
+            ui.showStatus(`Attached ${uploaded} file${uploaded === 1 ? '' : 's'}`, 'success');
+        }
+    }
+
+    async removeAttachment(cardId, attachmentId, event = null) {
+        if (event) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+        if (!this.ensureCanEdit()) return;
+
+        const card = this.getCardById(cardId);
+        const attachment = card?.attachments?.find(item => item.id === attachmentId);
+        if (!attachment) return;
+
+        const confirmed = await ui.confirm(`Remove "${attachment.originalName}" from this card?`, 'Remove Attachment', {
+            dangerous: true,
+            confirmText: 'Remove'
+        });
+        if (!confirmed) return;
+
+        try {
+            await api.deleteAttachment(attachmentId);
+            card.attachments = card.attachments.filter(item => item.id !== attachmentId);
+            this.saveToLocalStorage();
+            this.renderCards();
+        } catch (error) {
+            console.error('Failed to remove attachment:', error);
+            ui.showToast('Failed to remove attachment', 'error');
+        }
+    }
+
     getAttachmentIcon(mimeType) {
         if (mimeType.startsWith('image/')) return '🖼️';
         if (mimeType.startsWith('video/')) return '🎥';
@@ -664,10 +2073,12 @@ class CorkboardApp extends EventEmitter {
                         📤
                         <div class="fab-tooltip">Export</div>
                     </button>
+                    ${Utils.isFeatureEnabled('sharing') ? `
                     <button class="fab" onclick="app.shareBoard()" title="Share">
                         🔗
                         <div class="fab-tooltip">Share</div>
                     </button>
+                    ` : ''}
                     <button class="fab" onclick="app.printBoard()" title="Print">
                         🖨️
                         <div class="fab-tooltip">Print</div>
@@ -711,27 +2122,30 @@ class CorkboardApp extends EventEmitter {
             const card = this.getCardById(cardId);
             if (!card) return;
             
-            const topicTextarea = cardElement.querySelector('.card-topic');
-            const detailsTextarea = cardElement.querySelector('.card-details');
+            // Fields being edited live are saved by the server
+            const topicTextarea = textSync.isOpen(cardId, 'title') ? null : cardElement.querySelector('.card-topic');
+            const detailsTextarea = textSync.isOpen(cardId, 'details') ? null : cardElement.querySelector('.card-details');
             
             let hasChanges = false;
             
             // Check and update title
             if (topicTextarea && topicTextarea.value !== (card.title || '')) {
                 const newTitle = topicTextarea.value;
+                const previous = card.title;
                 card.title = newTitle;
                 hasChanges = true;
                 // Update server
-                this.updateCard(cardId, 'title', newTitle);
+                this.updateCard(cardId, 'title', newTitle, { previous });
             }
             
-            // Check and update body
-            if (detailsTextarea && detailsTextarea.value !== (card.body || '')) {
-                const newBody = detailsTextarea.value;
-                card.body = newBody;
+            // Check and update details (the back of the card)
+            if (detailsTextarea && detailsTextarea.value !== (card.details || '')) {
+                const newDetails = detailsTextarea.value;
+                const previous = card.details;
+                card.details = newDetails;
                 hasChanges = true;
                 // Update server
-                this.updateCard(cardId, 'body', newBody);
+                this.updateCard(cardId, 'details', newDetails, { previous });
             }
             
             // Save to local storage if there were changes
@@ -761,6 +2175,9 @@ class CorkboardApp extends EventEmitter {
             newCard.addEventListener('contextmenu', (e) => this.handleCardContextMenu(e));
             newCard.addEventListener('dragstart', (e) => this.handleCardDragStart(e));
             newCard.addEventListener('dragend', (e) => this.handleCardDragEnd(e));
+            newCard.addEventListener('dragover', (e) => this.handleCardFileDragOver(e));
+            newCard.addEventListener('dragleave', (e) => this.handleCardFileDragLeave(e));
+            newCard.addEventListener('drop', (e) => this.handleCardFileDrop(e));
         });
 
         // Use event delegation instead of individual button listeners
@@ -796,6 +2213,11 @@ class CorkboardApp extends EventEmitter {
         
         if (!card) return;
 
+        if (!this.canEditBoard() || this.spaceHeld) {
+            event.preventDefault();
+            return;
+        }
+
         this.dragState.isDragging = true;
         this.dragState.draggedCard = card;
         
@@ -818,16 +2240,22 @@ class CorkboardApp extends EventEmitter {
         event.target.classList.remove('dragging');
         this.dragState.isDragging = false;
         this.dragState.draggedCard = null;
+
+        document.querySelector('.kanban-drop-marker')?.remove();
+        document.querySelectorAll('.kanban-column.drag-over').forEach(lane => lane.classList.remove('drag-over'));
     }
 
     handleBoardDrop(event) {
         event.preventDefault();
         
-        if (!this.dragState.draggedCard) return;
+        // Other views place cards with their own drop handlers
+        if (!this.dragState.draggedCard || this.getBoardView() !== 'corkboard') return;
 
-        const boardRect = event.currentTarget.getBoundingClientRect();
-        let x = event.clientX - boardRect.left - this.dragState.dragOffset.x;
-        let y = event.clientY - boardRect.top - this.dragState.dragOffset.y;
+        // The drag offset was measured on screen, at the current zoom
+        const { zoom } = this.getViewport();
+        const point = this.clientToBoard(event.clientX, event.clientY);
+        let x = point.x - this.dragState.dragOffset.x / zoom;
+        let y = point.y - this.dragState.dragOffset.y / zoom;
 
         // Snap to grid if enabled
         if (this.gridMode) {
@@ -835,10 +2263,6 @@ class CorkboardApp extends EventEmitter {
             y = Math.round(y / this.gridSize) * this.gridSize;
         }
 
-        // Ensure card stays within bounds
-        x = Math.max(0, Math.min(x, boardRect.width - 240));
-        y = Math.max(0, Math.min(y, boardRect.height - 200));
-
         // Always snap to grid
         x = this.snapToGrid(x);
         y = this.snapToVerticalGrid(y);
@@ -861,6 +2285,37 @@ class CorkboardApp extends EventEmitter {
         this.updateCardPosition(this.dragState.draggedCard.id, x, y);
     }
 
+    // Files dragged in from outside the page, as opposed to a card being moved
+    isFileDrag(event) {
+        return !this.dragState.isDragging && Array.from(event.dataTransfer?.types || []).includes('Files');
+    }
+
+    handleCardFileDragOver(event) {
+        if (!this.isFileDrag(event) || !this.canEditBoard()) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        event.dataTransfer.dropEffect = 'copy';
+        event.currentTarget.classList.add('file-drag-over');
+    }
+
+    handleCardFileDragLeave(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            event.currentTarget.classList.remove('file-drag-over');
+        }
+    }
+
+    handleCardFileDrop(event) {
+        if (!this.isFileDrag(event)) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        event.currentTarget.classList.remove('file-drag-over');
+
+        const cardId = event.currentTarget.getAttribute('data-card-id');
+        this.uploadAttachments(cardId, event.dataTransfer.files);
+    }
+
     handleDragOver(event) {
         event.preventDefault();
         event.dataTransfer.dropEffect = 'move';
@@ -901,6 +2356,7 @@ class CorkboardApp extends EventEmitter {
             { text: 'Change Color', icon: '🎨', onclick: `console.log('Color picker clicked'); app.showColorPicker('${cardId}')` },
             // { text: 'Add Tag', icon: '🏷️', onclick: `app.addTag('${cardId}')` }, // DISABLED - Uncomment to restore
             { text: 'Set Due Date', icon: '📅', onclick: `app.editDueDate('${cardId}')` },
+            { text: 'History', icon: '🕘', onclick: `app.showCardHistory('${cardId}')` },
             { separator: true },
             { text: 'Flip Card', icon: '↻', onclick: `app.flipCard('${cardId}')` },
             { separator: true },
@@ -929,8 +2385,11 @@ class CorkboardApp extends EventEmitter {
     }
 
     // Card Management
-    async createCard(position = null) {
-        this.saveState();
+    // options.columnId adds the card to the end of a kanban column (null for
+    // the cards outside any column); options.dueDate and options.title start
+    // it off with those set
+    async createCard(position = null, { columnId = undefined, dueDate = null, title = '' } = {}) {
+        if (!this.ensureCanEdit()) return;
         
         const boardRect = document.querySelector('.cork-board')?.getBoundingClientRect();
         
@@ -947,7 +2406,7 @@ class CorkboardApp extends EventEmitter {
 
         const cardData = {
             board_id: this.activeBoard.id,
-            title: '',
+            title,
             body: '',
             details: '',
             color: Utils.getRandomCardColor(),
@@ -955,21 +2414,31 @@ class CorkboardApp extends EventEmitter {
             y: y,
             z_index: (this.activeBoard.cards?.length || 0) + 1,
             tags: [],
-            due_date: null,
+            due_date: dueDate,
             is_flipped: false
         };
 
+        if (columnId !== undefined) {
+            const columnCards = this.getColumnCards(columnId);
+            cardData.column_id = columnId;
+            cardData.column_position = this.kanbanPosition(columnCards[columnCards.length - 1], null);
+        }
+
         try {
             const card = await boardManager.createCard(cardData);
+            this.undoManager.record(UndoManager.create(card.id));
             ui.showStatus('Card created', 'success');
             this.queueRender();
             
-            // Focus the new card's title
+            // Bring the new card into view and focus its title
             setTimeout(() => {
                 const cardElement = document.getElementById(`card-${card.id}`);
+                if (cardElement && this.isCanvasView()) {
+                    this.revealOnCanvas(card);
+                }
                 const titleInput = cardElement?.querySelector('.card-title');
                 if (titleInput) {
-                    titleInput.focus();
+                    titleInput.focus({ preventScroll: true });
                 }
             }, 100);
             
@@ -980,14 +2449,20 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
-    async updateCard(cardId, field, value) {
+    // options.previous is the value before the edit, for callers that have
+    // already written the new one to the card; undoable: false skips undo
+    async updateCard(cardId, field, value, { previous = undefined, undoable = true } = {}) {
         const card = this.getCardById(cardId);
         if (!card) return;
 
         const updates = { [field]: value };
+        const before = { [field]: previous === undefined ? card[field] : previous };
         
         try {
             await boardManager.updateCard(cardId, updates);
+            if (undoable) {
+                this.undoManager.record(UndoManager.update(cardId, before, updates, `edit ${field.replace('_', ' ')}`));
+            }
             
             // Update local state
             card[field] = value;
@@ -1002,17 +2477,21 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
-    async updateCardPosition(cardId, x, y) {
+    async updateCardPosition(cardId, x, y, { undoable = true } = {}) {
         const card = this.getCardById(cardId);
         if (!card) return;
 
-        const updates = { x, y, updated_at: new Date().toISOString() };
+        const updates = { x, y };
+        const before = { x: card.x, y: card.y };
         
         try {
             await boardManager.updateCard(cardId, updates);
+            if (undoable) {
+                this.undoManager.record(UndoManager.update(cardId, before, updates, 'move card'));
+            }
             
             // Update local state
-            Object.assign(card, updates);
+            Object.assign(card, updates, { updated_at: new Date().toISOString() });
             
             // Broadcast position update for collaboration
             if (collaboration.connected) {
@@ -1035,28 +2514,34 @@ class CorkboardApp extends EventEmitter {
 
     async duplicateCard(cardId, event = null) {
         if (event) event.stopPropagation();
+        if (!this.ensureCanEdit()) return;
         
         const card = this.getCardById(cardId);
         if (!card) return;
 
-        this.saveState();
-
         // Find nearest empty grid position
         const nearestPosition = this.findNearestEmptyPosition(card.x, card.y);
         
+        // Only the card's own fields - the server rejects anything else
         const duplicateData = {
-            ...card,
-            id: undefined,
+            board_id: card.board_id,
             title: card.title ? `${card.title} (Copy)` : '',
+            body: card.body,
+            details: card.details,
+            color: card.color,
             x: nearestPosition.x,
             y: nearestPosition.y,
             z_index: (this.activeBoard.cards?.length || 0) + 1,
-            created_at: undefined,
-            updated_at: undefined
+            tags: card.tags || [],
+            links: card.links || [],
+            due_date: card.due_date,
+            is_flipped: Boolean(card.is_flipped),
+            ...this.kanbanSlotAfter(card)
         };
 
         try {
             const newCard = await boardManager.createCard(duplicateData);
+            this.undoManager.record(UndoManager.create(newCard.id, 'duplicate card'));
             ui.showStatus('Card duplicated', 'success');
             this.queueRender();
             return newCard;
@@ -1068,24 +2553,24 @@ class CorkboardApp extends EventEmitter {
 
     async deleteCard(cardId, event = null) {
         if (event) event.stopPropagation();
+        if (!this.ensureCanEdit()) return;
 
         const card = this.getCardById(cardId);
         if (!card) return;
 
         const confirmed = await ui.confirm(
-            `Delete "${card.title || 'Untitled card'}"?`,
+            `Move "${card.title || 'Untitled card'}" to the trash? You can restore it from Trash.`,
             'Delete Card',
-            { dangerous: true }
+            { confirmText: 'Move to Trash' }
         );
 
         if (!confirmed) return;
 
-        this.saveState();
-
         try {
             await boardManager.deleteCard(cardId);
+            this.undoManager.record(UndoManager.delete(cardId));
             this.selectedCards.delete(cardId);
-            ui.showStatus('Card deleted', 'success');
+            ui.showStatus('Card moved to trash', 'success');
             this.queueRender();
         } catch (error) {
             console.error('Failed to delete card:', error);
@@ -1100,7 +2585,12 @@ class CorkboardApp extends EventEmitter {
         if (!card) return;
 
         const isFlipped = !card.is_flipped;
-        await this.updateCard(cardId, 'is_flipped', isFlipped);
+        if (this.canEditBoard()) {
+            await this.updateCard(cardId, 'is_flipped', isFlipped, { undoable: false });
+        } else {
+            // Viewers can flip cards locally without saving
+            card.is_flipped = isFlipped;
+        }
 
         const cardElement = document.getElementById(`card-${cardId}`);
         if (cardElement) {
@@ -1112,21 +2602,108 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
-    makeCardEditable(textarea, event) {
+    async makeCardEditable(textarea, event) {
         if (event) event.stopPropagation();
+        if (!this.ensureCanEdit()) return;
+
+        // One person edits a field at a time - ask the server for it first
+        const target = CardTextSync.describe(textarea);
+        if (target && !await this.acquireEditLease(target.cardId, target.field)) return;
+        if (!textarea.isConnected) {
+            if (target) collaboration.releaseLease(target.cardId, target.field);
+            return;
+        }
+
         textarea.readOnly = false;
         textarea.focus();
         // Select all text for easy editing
         textarea.select();
+        if (target) {
+            // Typing keeps the lease from running out
+            const renew = Utils.throttle(() => this.renewEditLease(textarea, target), 30000);
+            textarea.addEventListener('input', renew);
+            this.leaseRenewals.set(textarea, renew);
+        }
+        // Merge edits with anyone else typing in the same field
+        textSync.open(textarea);
+    }
+
+    // Resolves true once this client holds the field. When someone else does,
+    // the board owner is offered to take it over.
+    async acquireEditLease(cardId, field) {
+        const result = await collaboration.acquireLease(cardId, field);
+        if (result.granted) return true;
+        if (result.error) {
+            ui.showToast(result.error, 'error');
+            return false;
+        }
+
+        const name = result.lease.user.name;
+        if (!result.canOverride) {
+            ui.showToast(`${name} is editing this card`, 'info');
+            return false;
+        }
+
+        const takeOver = await ui.confirm(`${name} is editing this card. Take over editing? What they have typed so far is kept.`,
+            'Card in use', { confirmText: 'Take Over' });
+        if (!takeOver) return false;
+
+        const forced = await collaboration.acquireLease(cardId, field, { force: true });
+        if (forced.error) ui.showToast(forced.error, 'error');
+        return Boolean(forced.granted);
+    }
+
+    // A lease that ran out is taken again - unless someone else got the field
+    // in the meantime, which ends this edit
+    async renewEditLease(textarea, { cardId, field }) {
+        const result = await collaboration.acquireLease(cardId, field);
+        if (!result.granted && !result.error && !textarea.readOnly) {
+            ui.showToast(`${result.lease.user.name} is editing this card now`, 'warning');
+            textarea.blur();
+        }
+    }
+
+    handleLeaseRevoked({ cardId, field, reason, user }) {
+        // An expired lease is renewed with the next keystroke
+        if (reason !== 'taken') return;
+
+        const textarea = CardTextSync.textareaFor(cardId, field);
+        if (textarea && !textarea.readOnly) {
+            ui.showToast(`${user.name} took over editing this card`, 'warning');
+            textarea.blur();
+        }
     }
 
     makeCardReadonly(textarea) {
+        const wasEditing = !textarea.readOnly;
         textarea.readOnly = true;
+
+        const cardId = this.getCardIdFromElement(textarea);
+        const field = textarea.classList.contains('card-topic') ? 'title' : 'details';
+        const renew = this.leaseRenewals.get(textarea);
+        if (renew) {
+            textarea.removeEventListener('input', renew);
+            this.leaseRenewals.delete(textarea);
+        }
+        if (cardId && wasEditing) {
+            collaboration.releaseLease(cardId, field);
+        }
+        const edit = cardId ? textSync.close(cardId, field) : null;
+        if (edit && edit.text !== edit.startText) {
+            // Only a field nobody else typed in is this user's own edit to undo
+            if (!edit.remoteEdits) {
+                this.undoManager.record(UndoManager.update(cardId, { [field]: edit.startText },
+                    { [field]: edit.text }, `edit ${field}`));
+            }
+            this.saveToLocalStorage();
+        }
+
         // Save the changes when focus is lost
         this.saveCardsFromDOM();
     }
 
     async changeCardColor(cardId, color) {
+        if (!this.ensureCanEdit()) return;
         await this.updateCard(cardId, 'color', color);
         
         const cardElement = document.getElementById(`card-${cardId}`);
@@ -1149,6 +2726,9 @@ class CorkboardApp extends EventEmitter {
             if (indicator) {
                 indicator.style.backgroundColor = color;
             }
+        } else {
+            // The calendar and table views show the color without the note
+            this.queueRender();
         }
     }
 
@@ -1200,6 +2780,7 @@ class CorkboardApp extends EventEmitter {
     // Link Management
     async addLink(cardId, event = null) {
         if (event) event.stopPropagation();
+        if (!this.ensureCanEdit()) return;
 
         const card = this.getCardById(cardId);
         if (!card) return;
@@ -1277,10 +2858,8 @@ class CorkboardApp extends EventEmitter {
             createdAt: new Date().toISOString()
         };
 
-        card.links.push(newLink);
-
-        // Update the server
-        await this.updateCard(cardId, 'links', card.links);
+        // Update the server - a new array, so undo still has the old one
+        await this.updateCard(cardId, 'links', [...(card.links || []), newLink]);
 
         // Re-render all cards
         this.renderCards();
@@ -1296,10 +2875,10 @@ class CorkboardApp extends EventEmitter {
         if (!card || !card.links) return;
 
         // Remove the link
-        card.links = card.links.filter(link => link.id !== linkId);
+        const links = card.links.filter(link => link.id !== linkId);
 
         // Update the server
-        await this.updateCard(cardId, 'links', card.links);
+        await this.updateCard(cardId, 'links', links);
 
         // Re-render all cards
         this.renderCards();
@@ -1321,8 +2900,7 @@ class CorkboardApp extends EventEmitter {
             return;
         }
 
-        tags.push(tag.trim());
-        await this.updateCard(cardId, 'tags', tags);
+        await this.updateCard(cardId, 'tags', [...tags, tag.trim()]);
         this.queueRender();
     }
 
@@ -1355,6 +2933,7 @@ class CorkboardApp extends EventEmitter {
     // Due Date Management
     async editDueDate(cardId, event = null) {
         if (event) event.stopPropagation();
+        if (!this.ensureCanEdit()) return;
 
         const card = this.getCardById(cardId);
         if (!card) return;
@@ -1382,6 +2961,145 @@ class CorkboardApp extends EventEmitter {
         this.queueRender();
     }
 
+    // Card History
+    async showCardHistory(cardId) {
+        const card = this.getCardById(cardId);
+        if (!card) return;
+
+        this.historyModal = ui.createModal(`History: ${card.title || 'Untitled card'}`, `
+            <p class="history-empty">Loading history...</p>
+        `, {
+            size: 'large',
+            buttons: [
+                { text: 'Close', type: 'primary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+
+        await this.refreshCardHistory(cardId);
+    }
+
+    async refreshCardHistory(cardId) {
+        const modal = this.historyModal;
+        if (!modal || !modal.parentElement) return;
+
+        const body = modal.querySelector('.modal-body');
+        try {
+            const { revisions } = await api.getCardHistory(cardId);
+            body.innerHTML = this.renderCardHistory(cardId, revisions);
+        } catch (error) {
+            console.error('Failed to load card history:', error);
+            body.innerHTML = `<p class="history-empty">${Utils.sanitizeHTML(error.message)}</p>`;
+        }
+    }
+
+    renderCardHistory(cardId, revisions) {
+        if (revisions.length === 0) {
+            return '<p class="history-empty">No changes have been recorded for this card yet.</p>';
+        }
+
+        const actions = {
+            create: 'Created', update: 'Edited', restore: 'Restored', undo: 'Undo/redo',
+            delete: 'Moved to trash', undelete: 'Restored from trash'
+        };
+        const canRestore = this.canEditBoard();
+
+        return `
+            <ol class="history-timeline">
+                ${revisions.map((revision, index) => `
+                    <li class="history-entry history-${revision.action}">
+                        <div class="history-entry-header">
+                            <span class="history-action">${actions[revision.action] || revision.action}</span>
+                            <span class="history-meta">
+                                ${Utils.sanitizeHTML(revision.user?.name || 'Someone')}
+                                · ${new Date(revision.created_at).toLocaleString()}
+                            </span>
+                            ${canRestore && index > 0 ? `
+                                <button class="btn btn-sm btn-outline"
+                                        onclick="app.restoreCardRevision('${cardId}', '${revision.id}')">Restore</button>
+                            ` : index === 0 ? '<span class="history-current">Current</span>' : ''}
+                        </div>
+                        ${this.renderRevisionChanges(revision)}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    // Title, body and details as word diffs; other fields as one-line summaries
+    renderRevisionChanges(revision) {
+        const textFields = { title: 'Title', body: 'Body', details: 'Details' };
+        const changes = revision.changes || {};
+        const fields = Object.keys(changes);
+
+        if (revision.action === 'create') {
+            return revision.snapshot.title ?
+                `<div class="history-field"><span class="history-field-name">Title</span>
+                    <div class="history-diff"><ins>${Utils.sanitizeHTML(revision.snapshot.title)}</ins></div></div>` : '';
+        }
+
+        const diffs = fields.filter(field => textFields[field]).map(field => `
+            <div class="history-field">
+                <span class="history-field-name">${textFields[field]}</span>
+                <div class="history-diff">${Utils.diffWords(changes[field].from, changes[field].to).map(part =>
+                    part.type === 'added' ? `<ins>${Utils.sanitizeHTML(part.text)}</ins>` :
+                    part.type === 'removed' ? `<del>${Utils.sanitizeHTML(part.text)}</del>` :
+                    Utils.sanitizeHTML(part.text)
+                ).join('')}</div>
+            </div>
+        `).join('');
+
+        const summaries = [];
+        if (changes.color) summaries.push(`color <span class="history-swatch" style="background:${Utils.sanitizeHTML(changes.color.to)}"></span>`);
+        if (changes.tags) summaries.push(`tags: ${Utils.sanitizeHTML(changes.tags.to.join(', ') || 'none')}`);
+        if (changes.links) summaries.push(`${changes.links.to.length} link${changes.links.to.length === 1 ? '' : 's'}`);
+        if (changes.due_date) summaries.push(changes.due_date.to ? `due ${Utils.sanitizeHTML(changes.due_date.to)}` : 'due date removed');
+        if (changes.x || changes.y) summaries.push('moved');
+        if (changes.z_index && !changes.x && !changes.y) summaries.push('brought forward');
+        if (changes.is_flipped) summaries.push(changes.is_flipped.to ? 'flipped to the back' : 'flipped to the front');
+        if (changes.board_id) summaries.push('moved to another board');
+        if (changes.column_id) {
+            const column = (this.activeBoard?.columns || []).find(({ id }) => id === changes.column_id.to);
+            summaries.push(!changes.column_id.to ? 'taken out of its column' :
+                column ? `moved to ${Utils.sanitizeHTML(column.name)}` : 'moved to another column');
+        } else if (changes.column_position) {
+            summaries.push('reordered in its column');
+        }
+
+        return `
+            ${diffs}
+            ${summaries.length ? `<div class="history-summary">${summaries.join(' · ')}</div>` : ''}
+        `;
+    }
+
+    async restoreCardRevision(cardId, revisionId) {
+        if (!this.ensureCanEdit()) return;
+
+        const confirmed = await ui.confirm(
+            'Restore the card\'s title, text, color, tags, links and due date to this version?',
+            'Restore Version',
+            { confirmText: 'Restore' }
+        );
+        if (!confirmed) return;
+
+        try {
+            const result = await api.restoreCardRevision(cardId, revisionId);
+            const card = this.getCardById(cardId);
+            if (card) {
+                this.undoManager.record(UndoManager.update(cardId, card, result.updates, 'restore version'));
+                Object.assign(card, result.updates);
+                card.updated_at = new Date().toISOString();
+                this.saveToLocalStorage();
+            }
+
+            ui.showStatus(result.revision_id ? 'Card restored' : 'Card already matches that version', 'success');
+            this.queueRender();
+            await this.refreshCardHistory(cardId);
+        } catch (error) {
+            console.error('Failed to restore card:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
     // Board Management
     async createBoard() {
         const name = await ui.prompt('Enter board name:', `Board ${Date.now()}`, 'Create Board');
@@ -1419,7 +3137,7 @@ class CorkboardApp extends EventEmitter {
             
             // Join new collaboration room
             if (collaboration.connected) {
-                collaboration.joinBoard(boardId);
+                collaboration.joinBoard(boardId, board.op_seq);
             }
             
             // Clear current state
@@ -1466,9 +3184,9 @@ class CorkboardApp extends EventEmitter {
         }
 
         const confirmed = await ui.confirm(
-            `Delete board "${board.name}" and all its cards?`,
+            `Move board "${board.name}" and all its cards to the trash? You can restore it from Trash.`,
             'Delete Board',
-            { dangerous: true }
+            { dangerous: true, confirmText: 'Move to Trash' }
         );
 
         if (!confirmed) return;
@@ -1484,10 +3202,188 @@ class CorkboardApp extends EventEmitter {
                 }
             }
 
-            ui.showStatus('Board deleted', 'success');
-        } catch (error) {
-            console.error('Failed to delete board:', error);
-            ui.showToast('Failed to delete board', 'error');
+            ui.showStatus('Board moved to trash', 'success');
+        } catch (error) {
+            console.error('Failed to delete board:', error);
+            ui.showToast('Failed to delete board', 'error');
+        }
+    }
+
+    // Permissions - boards without a role are local-only and always editable
+    canEditBoard(board = this.activeBoard) {
+        const role = board?.role;
+        return !role || role === 'owner' || role === 'editor';
+    }
+
+    ensureCanEdit() {
+        if (this.canEditBoard()) return true;
+        ui.showToast(`You have ${this.activeBoard.role} access to this board`, 'warning');
+        return false;
+    }
+
+    // Collaborators
+    async showCollaboratorsModal() {
+        if (!this.activeBoard) return;
+
+        this.collaboratorsModal = ui.createModal('Manage Collaborators', `
+            <p class="collaborators-status">Loading collaborators...</p>
+        `, {
+            buttons: [
+                { text: 'Close', type: 'primary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+
+        await this.refreshCollaborators(this.activeBoard.id);
+    }
+
+    async refreshCollaborators(boardId) {
+        const modal = this.collaboratorsModal;
+        if (!modal || !modal.parentElement) return;
+
+        const body = modal.querySelector('.modal-body');
+        try {
+            const collaborators = await api.getCollaborators(boardId);
+            body.innerHTML = this.renderCollaborators(boardId, collaborators);
+        } catch (error) {
+            console.error('Failed to load collaborators:', error);
+            body.innerHTML = `<p class="collaborators-status">${Utils.sanitizeHTML(error.message)}</p>`;
+        }
+    }
+
+    renderCollaborators(boardId, collaborators) {
+        const board = boardManager.getBoardById(boardId);
+        const isOwner = board?.role === 'owner';
+        const roles = ['viewer', 'commenter', 'editor'];
+        const roleOptions = (selected) => roles.map(role => `
+            <option value="${role}" ${role === selected ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>
+        `).join('');
+
+        const renderActions = (collaborator) => {
+            if (collaborator.role === 'owner') {
+                return '<span class="collaborator-role">Owner</span>';
+            }
+            if (isOwner) {
+                return `
+                    <select class="form-select collaborator-role-select"
+                            onchange="app.changeCollaboratorRole('${boardId}', '${collaborator.user_id}', this.value)">
+                        ${roleOptions(collaborator.role)}
+                    </select>
+                    <button class="btn btn-sm btn-danger"
+                            onclick="app.removeCollaborator('${boardId}', '${collaborator.user_id}')">Remove</button>
+                `;
+            }
+            if (collaborator.user_id === api.user?.id) {
+                return `
+                    <span class="collaborator-role">${collaborator.role}</span>
+                    <button class="btn btn-sm btn-outline" onclick="app.leaveBoard('${boardId}')">Leave</button>
+                `;
+            }
+            return `<span class="collaborator-role">${collaborator.role}</span>`;
+        };
+
+        return `
+            <ul class="collaborator-list">
+                ${collaborators.map(collaborator => `
+                    <li class="collaborator-item">
+                        <div class="collaborator-info">
+                            <span class="collaborator-name">${Utils.sanitizeHTML(collaborator.name || '')}</span>
+                            <span class="collaborator-email">${Utils.sanitizeHTML(collaborator.email)}</span>
+                        </div>
+                        <div class="collaborator-actions">${renderActions(collaborator)}</div>
+                    </li>
+                `).join('')}
+            </ul>
+            ${isOwner ? `
+                <form class="collaborator-invite" onsubmit="event.preventDefault(); app.inviteCollaborator('${boardId}')">
+                    <input type="email" id="invite-email" class="form-input" placeholder="Email address" required>
+                    <select id="invite-role" class="form-select">${roleOptions('editor')}</select>
+                    <button type="submit" class="btn btn-primary">Invite</button>
+                </form>
+            ` : ''}
+        `;
+    }
+
+    async inviteCollaborator(boardId) {
+        const emailInput = document.getElementById('invite-email');
+        const roleSelect = document.getElementById('invite-role');
+        const email = emailInput?.value.trim();
+        if (!email) return;
+
+        try {
+            await api.addCollaborator(boardId, email, roleSelect.value);
+            ui.showToast(`Invited ${email}`, 'success');
+            await this.refreshCollaborators(boardId);
+        } catch (error) {
+            console.error('Failed to invite collaborator:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async changeCollaboratorRole(boardId, userId, role) {
+        try {
+            await api.updateCollaboratorRole(boardId, userId, role);
+            ui.showStatus('Role updated', 'success');
+        } catch (error) {
+            console.error('Failed to change role:', error);
+            ui.showToast(error.message, 'error');
+            await this.refreshCollaborators(boardId);
+        }
+    }
+
+    async removeCollaborator(boardId, userId) {
+        const confirmed = await ui.confirm(
+            'Remove this collaborator from the board?',
+            'Remove Collaborator',
+            { dangerous: true, confirmText: 'Remove' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.removeCollaborator(boardId, userId);
+            await this.refreshCollaborators(boardId);
+        } catch (error) {
+            console.error('Failed to remove collaborator:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async leaveBoard(boardId) {
+        const board = boardManager.getBoardById(boardId);
+        const confirmed = await ui.confirm(
+            `Leave "${board?.name || 'this board'}"? You will lose access until you are invited again.`,
+            'Leave Board',
+            { dangerous: true, confirmText: 'Leave' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.removeCollaborator(boardId, api.user.id);
+            ui.closeModal(this.collaboratorsModal);
+            await this.dropBoard(boardId);
+            ui.showStatus('Left board', 'success');
+        } catch (error) {
+            console.error('Failed to leave board:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    // Forget a board and, if it was open, move to another one
+    async dropBoard(boardId) {
+        const wasActive = this.activeBoard?.id === boardId;
+        boardManager.forgetBoard(boardId);
+
+        if (!wasActive) {
+            this.renderToolbar();
+            return;
+        }
+
+        this.activeBoard = null;
+        const remainingBoards = boardManager.getAllBoards();
+        if (remainingBoards.length > 0) {
+            await this.switchBoard(remainingBoards[0].id);
+        } else {
+            await this.loadInitialData();
+            await this.render();
         }
     }
 
@@ -1505,81 +3401,409 @@ class CorkboardApp extends EventEmitter {
         this.saveSettings();
     }
 
-    saveState() {
-        if (this.undoStack.length >= this.maxUndoSteps) {
-            this.undoStack.shift();
-        }
-        
-        const state = {
-            boards: Utils.deepClone(Array.from(boardManager.boards.values())),
-            activeBoard: this.activeBoard?.id,
-            timestamp: Date.now()
-        };
-        
-        this.undoStack.push(state);
-        this.redoStack = []; // Clear redo stack when new action is performed
+    // Undo/Redo - each step is replayed on the server, so collaborators see it too
+    async undo() {
+        await this.runUndoStep('undo');
     }
 
-    async undo() {
-        if (this.undoStack.length === 0) {
-            ui.showToast('Nothing to undo', 'info');
+    async redo() {
+        await this.runUndoStep('redo');
+    }
+
+    async runUndoStep(direction) {
+        const undoing = direction === 'undo';
+        if (!(undoing ? this.undoManager.canUndo : this.undoManager.canRedo)) {
+            ui.showToast(undoing ? 'Nothing to undo' : 'Nothing to redo', 'info');
             return;
         }
+        if (!this.ensureCanEdit()) return;
 
-        // Save current state to redo stack
-        const currentState = {
-            boards: Utils.deepClone(Array.from(boardManager.boards.values())),
-            activeBoard: this.activeBoard?.id,
-            timestamp: Date.now()
-        };
-        this.redoStack.push(currentState);
+        try {
+            const result = await this.undoManager[direction]();
+            if (!result) return;
 
-        // Restore previous state
-        const previousState = this.undoStack.pop();
-        await this.restoreState(previousState);
-        
-        ui.showStatus('Undo complete', 'info');
+            const { command, applied, conflicts } = result;
+            this.queueRender();
+            this.saveToLocalStorage();
+            if (conflicts.length > 0) {
+                const outcome = applied ? `Partly ${undoing ? 'undid' : 'redid'}` : `Could not ${direction}`;
+                ui.showToast(`${outcome} ${command.label}: ${this.describeUndoConflicts(conflicts)}`, 'warning', 6000);
+            } else {
+                ui.showStatus(`${undoing ? 'Undid' : 'Redid'} ${command.label}`, 'info');
+            }
+        } catch (error) {
+            console.error(`Failed to ${direction}:`, error);
+            ui.showToast(`Could not ${direction}: ${error.message}`, 'error');
+            this.queueRender();
+        }
     }
 
-    async redo() {
-        if (this.redoStack.length === 0) {
-            ui.showToast('Nothing to redo', 'info');
+    // Why parts of an undo step were skipped, e.g. "Sam changed the title since"
+    describeUndoConflicts(conflicts) {
+        const name = (user) => (user && user.name) || 'A collaborator';
+        const messages = conflicts.map(({ field, user, reason }) => {
+            if (reason === 'changed') return `${name(user)} changed the ${field.replace('_', ' ')} since`;
+            if (reason === 'edited') return `${name(user)} edited the card since, so it was left in place`;
+            return 'someone else already deleted or restored the card';
+        });
+        return [...new Set(messages)].join('; ');
+    }
+
+    // Canvas - the corkboard view pans and zooms over an unbounded board.
+    // Cards keep their x/y in board coordinates; each board's pan (the page
+    // offset of board point 0,0) and zoom live in this browser only, so
+    // collaborators can look at different parts at different zoom levels.
+    isCanvasView() {
+        return Boolean(this.activeBoard) && this.getBoardView() === 'corkboard';
+    }
+
+    getViewport(board = this.activeBoard) {
+        return { x: 0, y: 0, zoom: 1, ...(board && this.viewports[board.id]) };
+    }
+
+    setViewport(viewport, { save = true } = {}) {
+        if (!this.activeBoard) return;
+
+        const zoom = Utils.clamp(viewport.zoom, this.zoomLimits.min, this.zoomLimits.max);
+        this.viewports[this.activeBoard.id] = { x: Math.round(viewport.x), y: Math.round(viewport.y), zoom };
+        this.applyViewport();
+        collaboration.positionCursors();
+        if (save) this.saveViewports();
+    }
+
+    // Move the cards layer and the cork behind it to the current pan and zoom
+    applyViewport() {
+        const corkBoard = document.querySelector('.cork-board');
+        const canvas = corkBoard?.querySelector('.cork-canvas');
+        if (!canvas) return;
+
+        const { x, y, zoom } = this.getViewport();
+        canvas.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+
+        const cork = 300 * zoom;
+        const gridWidth = this.gridSize * zoom;
+        const gridHeight = this.gridVerticalSize * zoom;
+        corkBoard.style.backgroundSize = `${cork}px ${cork}px, ${gridWidth}px ${gridHeight}px, ${gridWidth}px ${gridHeight}px`;
+        const gridOffset = `${x + 20 * zoom}px ${y + 20 * zoom}px`;
+        corkBoard.style.backgroundPosition = `${x}px ${y}px, ${gridOffset}, ${gridOffset}`;
+
+        const level = corkBoard.querySelector('.canvas-zoom-level');
+        if (level) level.textContent = `${Math.round(zoom * 100)}%`;
+        this.drawMinimap();
+    }
+
+    saveViewports() {
+        clearTimeout(this.saveViewportsTimer);
+        this.saveViewportsTimer = setTimeout(() => storage.saveToLocal('board_viewports', this.viewports), 300);
+    }
+
+    // Page point to board point and back
+    clientToBoard(clientX, clientY) {
+        const rect = document.querySelector('.cork-board').getBoundingClientRect();
+        const { x, y, zoom } = this.getViewport();
+        return { x: (clientX - rect.left - x) / zoom, y: (clientY - rect.top - y) / zoom };
+    }
+
+    boardToClient(boardX, boardY) {
+        const rect = document.querySelector('.cork-board').getBoundingClientRect();
+        const { x, y, zoom } = this.getViewport();
+        return { x: rect.left + x + boardX * zoom, y: rect.top + y + boardY * zoom };
+    }
+
+    // The part of the board in view, in board coordinates
+    getVisibleBoardRect() {
+        const rect = document.querySelector('.cork-board').getBoundingClientRect();
+        const topLeft = this.clientToBoard(rect.left, rect.top);
+        const { zoom } = this.getViewport();
+        return { x: topLeft.x, y: topLeft.y, width: rect.width / zoom, height: rect.height / zoom };
+    }
+
+    // Zoom to a level, keeping the board point under clientX/clientY (the
+    // middle of the view by default) where it is
+    zoomTo(zoom, clientX = null, clientY = null) {
+        const rect = document.querySelector('.cork-board').getBoundingClientRect();
+        const pointX = clientX ?? rect.left + rect.width / 2;
+        const pointY = clientY ?? rect.top + rect.height / 2;
+        const anchor = this.clientToBoard(pointX, pointY);
+        const level = Utils.clamp(zoom, this.zoomLimits.min, this.zoomLimits.max);
+
+        this.setViewport({
+            x: pointX - rect.left - anchor.x * level,
+            y: pointY - rect.top - anchor.y * level,
+            zoom: level
+        });
+    }
+
+    zoomBy(factor) {
+        this.zoomTo(this.getViewport().zoom * factor);
+    }
+
+    // The board area cards take up, going by their notes where they are shown
+    getCardBounds(cards) {
+        const rects = cards.map(card => {
+            const element = document.getElementById(`card-${card.id}`);
+            return element ?
+                { x: element.offsetLeft, y: element.offsetTop, width: element.offsetWidth, height: element.offsetHeight } :
+                { x: card.x + 20, y: card.y + 20, width: 240, height: 200 };
+        });
+        if (rects.length === 0) return null;
+
+        const left = Math.min(...rects.map(rect => rect.x));
+        const top = Math.min(...rects.map(rect => rect.y));
+        const right = Math.max(...rects.map(rect => rect.x + rect.width));
+        const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    // Show the whole of a board area, zooming out as needed but never in
+    // past 100%
+    zoomToBounds(bounds) {
+        const rect = document.querySelector('.cork-board').getBoundingClientRect();
+        const padding = 40;
+        const zoom = Utils.clamp(Math.min(
+            (rect.width - padding * 2) / bounds.width,
+            (rect.height - padding * 2) / bounds.height,
+            1
+        ), this.zoomLimits.min, this.zoomLimits.max);
+
+        this.setViewport({
+            x: rect.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+            y: rect.height / 2 - (bounds.y + bounds.height / 2) * zoom,
+            zoom
+        });
+    }
+
+    zoomToFit() {
+        const bounds = this.getCardBounds(this.getFilteredCards());
+        if (bounds) {
+            this.zoomToBounds(bounds);
+        } else {
+            this.setViewport({ x: 0, y: 0, zoom: 1 });
+        }
+    }
+
+    zoomToSelection() {
+        const cards = Array.from(this.selectedCards, cardId => this.getCardById(cardId)).filter(Boolean);
+        if (cards.length === 0) {
+            ui.showToast('Select cards to zoom to (Ctrl-click them)', 'info');
             return;
         }
+        this.zoomToBounds(this.getCardBounds(cards));
+    }
+
+    // Pan, at the current zoom, so a card is in the middle of the view
+    centerOnCard(card) {
+        const rect = document.querySelector('.cork-board').getBoundingClientRect();
+        const bounds = this.getCardBounds([card]);
+        const { zoom } = this.getViewport();
+        this.setViewport({
+            x: rect.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+            y: rect.height / 2 - (bounds.y + bounds.height / 2) * zoom,
+            zoom
+        });
+    }
+
+    // Pan to a card unless it is already in view
+    revealOnCanvas(card) {
+        const view = this.getVisibleBoardRect();
+        const bounds = this.getCardBounds([card]);
+        const inView = bounds.x >= view.x && bounds.y >= view.y &&
+            bounds.x + bounds.width <= view.x + view.width && bounds.y + bounds.height <= view.y + view.height;
+        if (!inView) this.centerOnCard(card);
+    }
+
+    renderCanvasOverlays(corkBoard) {
+        const controls = document.createElement('div');
+        controls.className = 'canvas-controls';
+        controls.innerHTML = `
+            <button class="canvas-control" onclick="app.zoomBy(1 / 1.25)" title="Zoom out (-)">−</button>
+            <button class="canvas-control canvas-zoom-level" onclick="app.zoomTo(1)" title="Reset zoom (0)"></button>
+            <button class="canvas-control" onclick="app.zoomBy(1.25)" title="Zoom in (+)">+</button>
+            <button class="canvas-control" onclick="app.zoomToFit()" title="Zoom to fit (1)">Fit</button>
+            <button class="canvas-control" onclick="app.zoomToSelection()" title="Zoom to selection (2)">Selection</button>
+        `;
+
+        const minimap = document.createElement('canvas');
+        minimap.className = 'board-minimap';
+        minimap.width = 200;
+        minimap.height = 140;
+        minimap.addEventListener('mousedown', (e) => this.handleMinimapMouseDown(e));
+
+        corkBoard.append(controls, minimap);
+    }
 
-        // Save current state to undo stack
-        const currentState = {
-            boards: Utils.deepClone(Array.from(boardManager.boards.values())),
-            activeBoard: this.activeBoard?.id,
-            timestamp: Date.now()
+    // The minimap - every card, as a block of its color, and the part of the
+    // board in view. this.minimap keeps the scale it was drawn at, for clicks.
+    drawMinimap() {
+        const minimap = document.querySelector('.board-minimap');
+        const context = minimap?.getContext('2d');
+        if (!context) return;
+
+        const view = this.getVisibleBoardRect();
+        const cards = this.activeBoard.cards;
+        const cardRects = cards.map(card => ({ card, ...this.getCardBounds([card]) }));
+        const all = [view, ...cardRects];
+        const padding = 40;
+        const left = Math.min(...all.map(rect => rect.x)) - padding;
+        const top = Math.min(...all.map(rect => rect.y)) - padding;
+        const width = Math.max(...all.map(rect => rect.x + rect.width)) + padding - left;
+        const height = Math.max(...all.map(rect => rect.y + rect.height)) + padding - top;
+        const scale = Math.min(minimap.width / width, minimap.height / height);
+        const offsetX = (minimap.width - width * scale) / 2;
+        const offsetY = (minimap.height - height * scale) / 2;
+        this.minimap = { left, top, scale, offsetX, offsetY };
+
+        const toMap = (rect) => [
+            offsetX + (rect.x - left) * scale,
+            offsetY + (rect.y - top) * scale,
+            Math.max(rect.width * scale, 2),
+            Math.max(rect.height * scale, 2)
+        ];
+
+        context.clearRect(0, 0, minimap.width, minimap.height);
+        cardRects.forEach(rect => {
+            context.fillStyle = rect.card.color || '#fef3c7';
+            context.fillRect(...toMap(rect));
+        });
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 1.5;
+        context.strokeRect(...toMap(view));
+    }
+
+    // Click or drag on the minimap to move the view there
+    handleMinimapMouseDown(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const minimap = event.currentTarget;
+        const moveTo = (e) => {
+            const rect = minimap.getBoundingClientRect();
+            const { left, top, scale, offsetX, offsetY } = this.minimap;
+            const boardX = left + (e.clientX - rect.left - offsetX) / scale;
+            const boardY = top + (e.clientY - rect.top - offsetY) / scale;
+            const boardRect = document.querySelector('.cork-board').getBoundingClientRect();
+            const { zoom } = this.getViewport();
+            this.setViewport({ x: boardRect.width / 2 - boardX * zoom, y: boardRect.height / 2 - boardY * zoom, zoom },
+                { save: false });
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', moveTo);
+            document.removeEventListener('mouseup', onUp);
+            this.saveViewports();
         };
-        this.undoStack.push(currentState);
 
-        // Restore next state
-        const nextState = this.redoStack.pop();
-        await this.restoreState(nextState);
-        
-        ui.showStatus('Redo complete', 'info');
+        moveTo(event);
+        document.addEventListener('mousemove', moveTo);
+        document.addEventListener('mouseup', onUp);
     }
 
-    async restoreState(state) {
-        // Restore boards
-        boardManager.boards.clear();
-        state.boards.forEach(board => {
-            boardManager.boards.set(board.id, board);
+    // Wheel and pinch zoom, space-drag (or middle-drag) panning. The board
+    // element lives for the whole session, so these are set up once.
+    setupCanvasListeners() {
+        const corkBoard = document.querySelector('.cork-board');
+        if (!corkBoard) return;
+        const onCanvas = () => this.isCanvasView();
+
+        corkBoard.addEventListener('wheel', (e) => {
+            if (!onCanvas()) return;
+
+            // Notes with more text than fits scroll as usual
+            const textarea = e.target.closest('textarea');
+            if (textarea && textarea.scrollHeight > textarea.clientHeight && !e.ctrlKey) return;
+
+            e.preventDefault();
+            // Trackpad pinches arrive as ctrl+wheel with small deltas; lines
+            // (deltaMode 1) are about 16 pixels
+            const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+            const factor = Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.0015));
+            this.zoomTo(this.getViewport().zoom * factor, e.clientX, e.clientY);
+        }, { passive: false });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' ||
+                e.target.isContentEditable || !onCanvas()) return;
+            e.preventDefault();
+            this.spaceHeld = true;
+            corkBoard.classList.add('pan-ready');
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.key !== ' ') return;
+            this.spaceHeld = false;
+            corkBoard.classList.remove('pan-ready');
+        });
+
+        corkBoard.addEventListener('mousedown', (e) => {
+            if (!onCanvas() || !(e.button === 1 || (e.button === 0 && this.spaceHeld))) return;
+
+            e.preventDefault();
+            const start = { clientX: e.clientX, clientY: e.clientY, ...this.getViewport() };
+            corkBoard.classList.add('panning');
+            const onMove = (moveEvent) => {
+                this.setViewport({
+                    x: start.x + moveEvent.clientX - start.clientX,
+                    y: start.y + moveEvent.clientY - start.clientY,
+                    zoom: start.zoom
+                }, { save: false });
+            };
+            const onUp = () => {
+                corkBoard.classList.remove('panning');
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                this.saveViewports();
+            };
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
         });
 
-        // Restore active board
-        if (state.activeBoard) {
-            this.activeBoard = boardManager.getBoardById(state.activeBoard);
-            boardManager.activeBoard = this.activeBoard;
-        }
+        // Two fingers pinch to zoom and move together to pan
+        let pinch = null;
+        const midpoint = (touches) => ({
+            x: (touches[0].clientX + touches[1].clientX) / 2,
+            y: (touches[0].clientY + touches[1].clientY) / 2,
+            distance: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY)
+        });
+        corkBoard.addEventListener('touchstart', (e) => {
+            if (!onCanvas() || e.touches.length !== 2) return;
+            const point = midpoint(e.touches);
+            pinch = { ...point, anchor: this.clientToBoard(point.x, point.y), zoom: this.getViewport().zoom };
+        }, { passive: true });
+        corkBoard.addEventListener('touchmove', (e) => {
+            if (!pinch || e.touches.length !== 2) return;
+
+            e.preventDefault();
+            const point = midpoint(e.touches);
+            const rect = corkBoard.getBoundingClientRect();
+            const zoom = Utils.clamp(pinch.zoom * point.distance / pinch.distance, this.zoomLimits.min, this.zoomLimits.max);
+            this.setViewport({
+                x: point.x - rect.left - pinch.anchor.x * zoom,
+                y: point.y - rect.top - pinch.anchor.y * zoom,
+                zoom
+            }, { save: false });
+        }, { passive: false });
+        corkBoard.addEventListener('touchend', (e) => {
+            if (pinch && e.touches.length < 2) {
+                pinch = null;
+                this.saveViewports();
+            }
+        });
 
-        // Re-render
-        await this.render();
-        
-        // Save to local storage
-        this.saveToLocalStorage();
+        // Focusing a note out of view scrolls the board element; turn that
+        // into a pan so the viewport stays the only offset
+        corkBoard.addEventListener('scroll', () => {
+            if (!onCanvas() || (corkBoard.scrollLeft === 0 && corkBoard.scrollTop === 0)) return;
+            const viewport = this.getViewport();
+            viewport.x -= corkBoard.scrollLeft;
+            viewport.y -= corkBoard.scrollTop;
+            corkBoard.scrollLeft = 0;
+            corkBoard.scrollTop = 0;
+            this.setViewport(viewport);
+        });
+
+        // Shared cursors travel in board coordinates, and only on the canvas
+        collaboration.setCursorSpace({
+            toBoard: (x, y) => (onCanvas() ? this.clientToBoard(x, y) : null),
+            toPage: (x, y) => (onCanvas() ? this.boardToClient(x, y) : null)
+        });
     }
 
     // Grid Management - Always enabled
@@ -1591,77 +3815,64 @@ class CorkboardApp extends EventEmitter {
         return Math.round((value - 20) / this.gridVerticalSize) * this.gridVerticalSize + 20;
     }
     
+    // The first free grid slot in view, left to right and top to bottom.
+    // When the view is full, the free slot nearest its middle - the board
+    // goes on past the view, so there always is one.
     findEmptyGridPosition() {
-        const boardRect = document.querySelector('.cork-board')?.getBoundingClientRect();
-        if (!boardRect) return { x: 20, y: 20 };
-        
-        const occupiedPositions = new Set();
-        if (this.activeBoard?.cards) {
-            this.activeBoard.cards.forEach(card => {
-                occupiedPositions.add(`${card.x},${card.y}`);
-            });
-        }
-        
-        // Try to find an empty grid position
-        const cols = Math.floor(boardRect.width / this.gridSize);
-        const rows = Math.floor(boardRect.height / this.gridVerticalSize);
-        
-        for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < cols; col++) {
+        if (!document.querySelector('.cork-board')) return { x: 20, y: 20 };
+
+        const occupiedPositions = this.getOccupiedPositions();
+        const view = this.getVisibleBoardRect();
+        const firstCol = Math.ceil((view.x - 20) / this.gridSize);
+        const firstRow = Math.ceil((view.y - 20) / this.gridVerticalSize);
+        const lastCol = Math.floor((view.x + view.width - 20 - 240) / this.gridSize);
+        const lastRow = Math.floor((view.y + view.height - 20 - 200) / this.gridVerticalSize);
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
                 const x = col * this.gridSize + 20; // Add margin
                 const y = row * this.gridVerticalSize + 20; // Add margin
-                
+
                 if (!occupiedPositions.has(`${x},${y}`)) {
                     return { x, y };
                 }
             }
         }
-        
-        // If no empty position found, place it at a default position
-        return { x: 20, y: 20 };
+
+        return this.findNearestEmptyPosition(view.x + view.width / 2, view.y + view.height / 2);
     }
 
-    findNearestEmptyPosition(targetX, targetY, excludeCardId) {
-        const boardRect = document.querySelector('.cork-board')?.getBoundingClientRect();
-        if (!boardRect) return { x: 20, y: 20 };
-        
-        // Get occupied positions (excluding the card being moved)
+    getOccupiedPositions(excludeCardId = null) {
         const occupiedPositions = new Set();
-        if (this.activeBoard?.cards) {
-            this.activeBoard.cards.forEach(card => {
-                if (card.id !== excludeCardId) {
-                    occupiedPositions.add(`${card.x},${card.y}`);
-                }
-            });
-        }
-        
-        const cols = Math.floor(boardRect.width / this.gridSize);
-        const rows = Math.floor(boardRect.height / this.gridVerticalSize);
-        
+        (this.activeBoard?.cards || []).forEach(card => {
+            if (card.id !== excludeCardId) {
+                occupiedPositions.add(`${card.x},${card.y}`);
+            }
+        });
+        return occupiedPositions;
+    }
+
+    findNearestEmptyPosition(targetX, targetY, excludeCardId = null) {
+        const occupiedPositions = this.getOccupiedPositions(excludeCardId);
+
         // Convert target position to grid coordinates
-        const targetCol = Math.floor(targetX / this.gridSize);
-        const targetRow = Math.floor(targetY / this.gridVerticalSize);
-        
+        const targetCol = Math.round((targetX - 20) / this.gridSize);
+        const targetRow = Math.round((targetY - 20) / this.gridVerticalSize);
+
         // Search in expanding squares around the target position
-        for (let radius = 0; radius < Math.max(cols, rows); radius++) {
+        for (let radius = 0; radius < 100; radius++) {
             for (let dx = -radius; dx <= radius; dx++) {
                 for (let dy = -radius; dy <= radius; dy++) {
                     // Skip positions that aren't on the current radius
                     if (Math.abs(dx) !== radius && Math.abs(dy) !== radius && radius > 0) {
                         continue;
                     }
-                    
-                    const col = targetCol + dx;
-                    const row = targetRow + dy;
-                    
-                    // Check bounds
-                    if (col >= 0 && col < cols && row >= 0 && row < rows) {
-                        const x = col * this.gridSize + 20;
-                        const y = row * this.gridVerticalSize + 20;
-                        
-                        if (!occupiedPositions.has(`${x},${y}`)) {
-                            return { x, y };
-                        }
+
+                    const x = (targetCol + dx) * this.gridSize + 20;
+                    const y = (targetRow + dy) * this.gridVerticalSize + 20;
+
+                    if (!occupiedPositions.has(`${x},${y}`)) {
+                        return { x, y };
                     }
                 }
             }
@@ -1696,8 +3907,9 @@ class CorkboardApp extends EventEmitter {
             
             occupiedPositions.add(posKey);
             
+            // Tidying the layout on load is not something to undo
             if (x !== card.x || y !== card.y) {
-                await this.updateCardPosition(card.id, x, y);
+                await this.updateCardPosition(card.id, x, y, { undoable: false });
             }
         });
     }
@@ -1732,6 +3944,185 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
+    // Global Search - server-side search across every board
+    showGlobalSearch() {
+        if (this.globalSearchModal?.parentElement) {
+            document.getElementById('global-search-input')?.focus();
+            return;
+        }
+
+        this.globalSearchColor = null;
+        this.globalSearchRequest = 0;
+
+        const boards = boardManager.getAllBoards();
+
+        // Offer the colors that are actually in use on the loaded boards
+        const colors = [...new Set(boards.flatMap(board => (board.cards || []).map(card => card.color)))]
+            .filter(Boolean);
+
+        this.globalSearchModal = ui.createModal('Search All Boards', `
+            <div class="global-search">
+                <input type="search" id="global-search-input" class="form-input"
+                       placeholder="Search titles, notes, tags and links..." autocomplete="off"
+                       oninput="app.debouncedGlobalSearch()">
+                <div class="global-search-filters">
+                    <select id="global-search-board" class="form-select" onchange="app.runGlobalSearch()">
+                        <option value="">All boards</option>
+                        ${boards.map(board => `
+                            <option value="${board.id}">${Utils.sanitizeHTML(board.name)}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" id="global-search-tag" class="form-input" placeholder="Tag"
+                           oninput="app.debouncedGlobalSearch()">
+                    <label class="global-search-date">
+                        Due from
+                        <input type="date" id="global-search-due-from" class="form-input" onchange="app.runGlobalSearch()">
+                    </label>
+                    <label class="global-search-date">
+                        to
+                        <input type="date" id="global-search-due-to" class="form-input" onchange="app.runGlobalSearch()">
+                    </label>
+                </div>
+                ${colors.length > 0 ? `
+                    <div class="global-search-colors">
+                        ${colors.map(color => `
+                            <div class="global-search-color" style="background-color: ${Utils.sanitizeHTML(color)}"
+                                 data-color="${Utils.sanitizeHTML(color)}" title="${Utils.sanitizeHTML(color)}"
+                                 onclick="app.toggleGlobalSearchColor(this)"></div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <p class="global-search-status">Type to search cards on all of your boards.</p>
+                <ul class="global-search-results" id="global-search-results"></ul>
+            </div>
+        `, { size: 'large' });
+
+        setTimeout(() => document.getElementById('global-search-input')?.focus(), 100);
+    }
+
+    toggleGlobalSearchColor(element) {
+        const color = element.dataset.color;
+        this.globalSearchColor = this.globalSearchColor === color ? null : color;
+
+        element.parentElement.querySelectorAll('.global-search-color').forEach(swatch => {
+            swatch.classList.toggle('selected', swatch.dataset.color === this.globalSearchColor);
+        });
+        this.runGlobalSearch();
+    }
+
+    getGlobalSearchFilters() {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const filters = {
+            board_id: value('global-search-board'),
+            tag: value('global-search-tag'),
+            color: this.globalSearchColor || '',
+            due_from: value('global-search-due-from'),
+            due_to: value('global-search-due-to')
+        };
+
+        // Leave out empty filters so they don't end up in the query string
+        return Object.fromEntries(Object.entries(filters).filter(([, filterValue]) => filterValue));
+    }
+
+    async runGlobalSearch() {
+        const modal = this.globalSearchModal;
+        if (!modal?.parentElement) return;
+
+        const query = document.getElementById('global-search-input').value.trim();
+        const filters = this.getGlobalSearchFilters();
+        const status = modal.querySelector('.global-search-status');
+        const list = document.getElementById('global-search-results');
+
+        if (!query && Object.keys(filters).length === 0) {
+            status.textContent = 'Type to search cards on all of your boards.';
+            list.innerHTML = '';
+            return;
+        }
+
+        // Ignore responses that arrive after a newer search was started
+        const requestId = ++this.globalSearchRequest;
+        status.textContent = 'Searching...';
+
+        try {
+            const results = await boardManager.searchCards(query, filters);
+            if (requestId !== this.globalSearchRequest) return;
+
+            status.textContent = results.length === 0 ? 'No matching cards.' :
+                `${results.length} matching card${results.length === 1 ? '' : 's'}`;
+            list.innerHTML = results.map(result => this.renderSearchResult(result)).join('');
+        } catch (error) {
+            if (requestId !== this.globalSearchRequest) return;
+            console.error('Search failed:', error);
+            status.textContent = error.message;
+            list.innerHTML = '';
+        }
+    }
+
+    // title_highlight and snippet come back HTML-escaped with <mark> around hits
+    renderSearchResult(result) {
+        const title = result.title_highlight || 'Untitled';
+        const showSnippet = result.snippet && result.snippet !== result.title_highlight;
+
+        return `
+            <li class="global-search-result" onclick="app.openSearchResult('${result.board_id}', '${result.id}')">
+                <span class="global-search-swatch" style="background-color: ${Utils.sanitizeHTML(result.color || '#fef3c7')}"></span>
+                <div class="global-search-text">
+                    <div class="global-search-title">${title}</div>
+                    ${showSnippet ? `<div class="global-search-snippet">${result.snippet}</div>` : ''}
+                    <div class="global-search-meta">
+                        <span class="board-tab-color" style="background-color: ${Utils.sanitizeHTML(result.board_color || '')}"></span>
+                        ${Utils.sanitizeHTML(result.board_name)}
+                        ${result.due_date ? ` · 📅 ${Utils.formatDate(result.due_date)}` : ''}
+                        ${result.tags.length > 0 ? ` · ${result.tags.map(tag => Utils.sanitizeHTML(tag)).join(', ')}` : ''}
+                    </div>
+                </div>
+            </li>
+        `;
+    }
+
+    async openSearchResult(boardId, cardId) {
+        ui.closeModal(this.globalSearchModal);
+        await this.revealCard(boardId, cardId);
+    }
+
+    // Show a card, switching board if need be. The calendar and table have
+    // no note to scroll to, so they give way to the corkboard view.
+    async revealCard(boardId, cardId) {
+        if (['calendar', 'table'].includes(this.boardViews[boardId])) {
+            this.boardViews[boardId] = 'corkboard';
+            storage.saveToLocal('board_views', this.boardViews);
+        }
+
+        if (this.activeBoard?.id !== boardId) {
+            await this.switchBoard(boardId);
+        } else {
+            // Local search or filters could be hiding the card
+            this.clearSearch();
+            this.clearAllFilters();
+            await this.render();
+        }
+
+        this.scrollToCard(cardId);
+    }
+
+    scrollToCard(cardId) {
+        const cardElement = document.getElementById(`card-${cardId}`);
+        if (!cardElement) {
+            ui.showToast('That card is no longer on this board', 'warning');
+            return;
+        }
+
+        if (this.isCanvasView()) {
+            this.centerOnCard(this.getCardById(cardId));
+        } else {
+            cardElement.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+        }
+        this.selectCard(cardId);
+
+        cardElement.classList.add('search-hit');
+        setTimeout(() => cardElement.classList.remove('search-hit'), 2000);
+    }
+
     // Selection Management
     selectCard(cardId, clearOthers = true) {
         if (clearOthers) {
@@ -1739,35 +4130,38 @@ class CorkboardApp extends EventEmitter {
         }
         
         this.selectedCards.add(cardId);
-        
-        const cardElement = document.getElementById(`card-${cardId}`);
-        if (cardElement) {
-            cardElement.classList.add('selected');
-        }
+        this.showCardSelected(cardId, true);
     }
 
     toggleCardSelection(cardId) {
         if (this.selectedCards.has(cardId)) {
             this.selectedCards.delete(cardId);
-            const cardElement = document.getElementById(`card-${cardId}`);
-            if (cardElement) {
-                cardElement.classList.remove('selected');
-            }
+            this.showCardSelected(cardId, false);
         } else {
             this.selectCard(cardId, false);
         }
     }
 
     clearCardSelection() {
-        this.selectedCards.forEach(cardId => {
-            const cardElement = document.getElementById(`card-${cardId}`);
-            if (cardElement) {
-                cardElement.classList.remove('selected');
-            }
-        });
+        this.selectedCards.forEach(cardId => this.showCardSelected(cardId, false));
         this.selectedCards.clear();
     }
 
+    // Mark a card selected or not wherever it is shown - its note, or its row
+    // in the table view
+    showCardSelected(cardId, selected) {
+        document.getElementById(`card-${cardId}`)?.classList.toggle('selected', selected);
+
+        const row = document.getElementById(`card-row-${cardId}`);
+        if (row) {
+            row.classList.toggle('selected', selected);
+            row.querySelector('.card-table-select').checked = selected;
+
+            const selectAll = document.querySelector('.card-table-select-all');
+            selectAll.checked = !document.querySelector('.card-table-row:not(.selected)');
+        }
+    }
+
     selectAllCards() {
         if (!this.activeBoard?.cards) return;
         
@@ -1781,36 +4175,89 @@ class CorkboardApp extends EventEmitter {
 
     async deleteSelectedCards() {
         if (this.selectedCards.size === 0) return;
+        if (!this.ensureCanEdit()) return;
 
         const confirmed = await ui.confirm(
-            `Delete ${this.selectedCards.size} selected card${this.selectedCards.size > 1 ? 's' : ''}?`,
+            `Move ${this.selectedCards.size} selected card${this.selectedCards.size > 1 ? 's' : ''} to the trash?`,
             'Delete Cards',
-            { dangerous: true }
+            { confirmText: 'Move to Trash' }
         );
 
         if (!confirmed) return;
 
-        this.saveState();
+        const cardIds = Array.from(this.selectedCards);
+        const results = await Promise.allSettled(cardIds.map(cardId => boardManager.deleteCard(cardId)));
+        const deleted = cardIds.filter((cardId, index) => results[index].status === 'fulfilled');
 
-        const promises = Array.from(this.selectedCards).map(cardId => 
-            boardManager.deleteCard(cardId)
-        );
+        // One undo step brings back every card that was deleted
+        if (deleted.length > 0) {
+            this.undoManager.record(UndoManager.batch(deleted.map(cardId => UndoManager.delete(cardId)),
+                `delete ${deleted.length} card${deleted.length > 1 ? 's' : ''}`));
+        }
 
-        try {
-            await Promise.all(promises);
-            this.selectedCards.clear();
-            ui.showStatus('Selected cards deleted', 'success');
-            this.queueRender();
-        } catch (error) {
-            console.error('Failed to delete selected cards:', error);
+        this.selectedCards.clear();
+        this.queueRender();
+
+        if (deleted.length < cardIds.length) {
+            console.error('Failed to delete selected cards:', results.filter(result => result.reason).map(result => result.reason));
             ui.showToast('Failed to delete some cards', 'error');
+        } else {
+            ui.showStatus('Selected cards moved to trash', 'success');
         }
     }
 
     // Export/Import
-    async exportBoard() {
+    exportBoard() {
         if (!this.activeBoard) return;
 
+        // Boards that only exist in this browser can't be exported by the server
+        if (!this.activeBoard.role) {
+            this.exportLocalBoard();
+            return;
+        }
+
+        const formats = [
+            { format: 'json', label: 'JSON', description: 'Full backup with attachments embedded. Can be imported again.' },
+            { format: 'zip', label: 'Zip archive', description: 'board.json plus the original attachment files.' },
+            { format: 'markdown', label: 'Markdown', description: 'One section per card, front and back.' },
+            { format: 'csv', label: 'CSV', description: 'One row per card, for spreadsheets.' },
+            { format: 'html', label: 'HTML snapshot', description: 'A self-contained page anyone can open.' }
+        ];
+
+        ui.createModal('Export Board', `
+            <div class="export-options">
+                ${formats.map(({ format, label, description }) => `
+                    <button class="export-option" onclick="app.downloadExport('${format}')">
+                        <span class="export-option-label">${label}</span>
+                        <span class="export-option-description">${description}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `, {
+            buttons: [
+                { text: 'Cancel', type: 'secondary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+    }
+
+    async downloadExport(format) {
+        const board = this.activeBoard;
+        const extensions = { json: 'json', zip: 'zip', markdown: 'md', csv: 'csv', html: 'html' };
+
+        ui.closeTopModal();
+        ui.showStatus('Preparing export...');
+
+        try {
+            const blob = await api.exportBoard(board.id, format);
+            Utils.downloadBlob(blob, `${board.name}-${new Date().toISOString().split('T')[0]}.${extensions[format]}`);
+            ui.showStatus('Board exported', 'success');
+        } catch (error) {
+            console.error('Failed to export board:', error);
+            ui.showToast(`Failed to export board: ${error.message}`, 'error');
+        }
+    }
+
+    async exportLocalBoard() {
         try {
             const data = {
                 version: '1.0',
@@ -1836,18 +4283,36 @@ class CorkboardApp extends EventEmitter {
     }
 
     showImportModal() {
+        this.importState = { source: 'corkboard', mapping: null, envelope: null };
+
         const content = `
             <div class="form-group">
-                <label class="form-label">Select JSON file or paste data:</label>
-                <input type="file" id="import-file" accept=".json" class="form-input">
+                <label class="form-label">Import from:</label>
+                <select id="import-source" class="form-select" onchange="app.setImportSource(this.value)">
+                    ${Object.entries(BoardImporters.sources).map(([value, label]) => `
+                        <option value="${value}">${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Select a file:</label>
+                <input type="file" id="import-file" accept=".json,.csv,.md,.markdown,.txt" class="form-input">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Or paste the data:</label>
+                <textarea id="import-data" class="form-textarea" placeholder="Paste JSON, CSV or Markdown here..."
+                          oninput="app.debouncedImportPreview()"></textarea>
             </div>
+            <div id="import-mapping" class="import-mapping"></div>
             <div class="form-group">
-                <label class="form-label">Or paste JSON data:</label>
-                <textarea id="import-data" class="form-textarea" placeholder="Paste JSON data here..."></textarea>
+                <label class="form-label">Board name:</label>
+                <input type="text" id="import-name" class="form-input">
             </div>
+            <div id="import-preview" class="import-preview"></div>
         `;
 
         const modal = ui.createModal('Import Board', content, {
+            size: 'large',
             buttons: [
                 {
                     text: 'Cancel',
@@ -1869,60 +4334,116 @@ class CorkboardApp extends EventEmitter {
             if (file) {
                 const reader = new FileReader();
                 reader.onload = (e) => {
-                    modal.querySelector('#import-data').value = e.target.result;
+                    const text = e.target.result;
+                    modal.querySelector('#import-data').value = text;
+                    modal.querySelector('#import-source').value = BoardImporters.detectSource(file.name, text);
+                    this.setImportSource(modal.querySelector('#import-source').value);
                 };
                 reader.readAsText(file);
             }
         });
     }
 
-    async handleImport() {
-        const dataText = document.getElementById('import-data').value;
-        if (!dataText.trim()) {
-            ui.showToast('No data provided', 'warning');
+    setImportSource(source) {
+        this.importState.source = source;
+        this.importState.mapping = null;
+        this.refreshImportPreview();
+    }
+
+    setImportMapping(column, field) {
+        this.importState.mapping[column] = field;
+        this.refreshImportPreview();
+    }
+
+    // Re-parse the pasted data and show what the import would create
+    refreshImportPreview() {
+        const state = this.importState;
+        const text = document.getElementById('import-data')?.value || '';
+        const mappingEl = document.getElementById('import-mapping');
+        const previewEl = document.getElementById('import-preview');
+        if (!mappingEl || !previewEl) return;
+
+        state.envelope = null;
+        mappingEl.innerHTML = '';
+
+        if (!text.trim()) {
+            previewEl.innerHTML = '';
             return;
         }
 
         try {
-            const data = JSON.parse(dataText);
-            
-            if (!data.board) {
-                throw new Error('Invalid export format - missing board data');
+            if (state.source === 'csv') {
+                const headers = BoardImporters.parseCSV(text)[0] || [];
+                if (!state.mapping || state.mapping.length !== headers.length) {
+                    state.mapping = BoardImporters.guessCSVMapping(headers);
+                }
+                mappingEl.innerHTML = this.renderImportMapping(headers, state.mapping);
             }
 
-            // Create new board with imported data
-            const boardData = {
-                ...data.board,
-                id: Utils.generateId(), // Generate new ID
-                name: `${data.board.name} (Imported)`,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            };
+            state.envelope = BoardImporters.parse(state.source, text, { mapping: state.mapping });
+        } catch (error) {
+            previewEl.innerHTML = `<p class="import-preview-error">${Utils.sanitizeHTML(error.message)}</p>`;
+            return;
+        }
 
-            // Generate new IDs for all cards
-            if (boardData.cards) {
-                boardData.cards = boardData.cards.map(card => ({
-                    ...card,
-                    id: Utils.generateId(),
-                    board_id: boardData.id,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                }));
-            }
+        const nameInput = document.getElementById('import-name');
+        if (!nameInput.dataset.edited) {
+            const name = state.envelope.board.name || '';
+            nameInput.value = state.source === 'corkboard' && name ? `${name} (Imported)` : name;
+            nameInput.oninput = () => { nameInput.dataset.edited = 'true'; };
+        }
 
-            const board = await boardManager.createBoard(boardData);
-            
-            // Add cards to the new board
-            if (boardData.cards) {
-                for (const cardData of boardData.cards) {
-                    await boardManager.createCard(cardData);
-                }
-            }
+        const cards = state.envelope.board.cards || [];
+        const shown = cards.slice(0, 50);
+        previewEl.innerHTML = `
+            <p class="import-preview-summary">${cards.length} card${cards.length === 1 ? '' : 's'} will be created</p>
+            <ul class="import-preview-list">
+                ${shown.map(card => `
+                    <li class="import-preview-card" style="border-left-color: ${Utils.sanitizeHTML(card.color || '#fef3c7')}">
+                        <strong>${Utils.sanitizeHTML(card.title || '(untitled)')}</strong>
+                        ${card.body ? `<span class="import-preview-body">${Utils.sanitizeHTML(card.body.slice(0, 120))}</span>` : ''}
+                        <span class="import-preview-meta">
+                            ${(card.tags || []).map(tag => `<span class="card-tag">${Utils.sanitizeHTML(tag)}</span>`).join('')}
+                            ${card.due_date ? `<span>📅 ${Utils.sanitizeHTML(card.due_date)}</span>` : ''}
+                            ${card.details ? '<span>📝 back</span>' : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${cards.length > shown.length ? `<p class="import-preview-summary">...and ${cards.length - shown.length} more</p>` : ''}
+        `;
+    }
+
+    renderImportMapping(headers, mapping) {
+        return `
+            <label class="form-label">Map CSV columns to card fields:</label>
+            <div class="import-mapping-grid">
+                ${headers.map((header, index) => `
+                    <span class="import-mapping-column">${Utils.sanitizeHTML(header || `Column ${index + 1}`)}</span>
+                    <select class="form-select" onchange="app.setImportMapping(${index}, this.value)">
+                        ${Object.entries(BoardImporters.csvFields).map(([value, label]) => `
+                            <option value="${value}" ${mapping[index] === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async handleImport() {
+        const dataText = document.getElementById('import-data').value;
+        if (!dataText.trim()) {
+            ui.showToast('No data provided', 'warning');
+            return;
+        }
+
+        try {
+            const { source, mapping } = this.importState;
+            const data = BoardImporters.parse(source, dataText, { mapping });
+            const name = document.getElementById('import-name').value.trim() || data.board.name;
 
-            await this.switchBoard(board.id);
-            
             ui.closeTopModal();
-            ui.showStatus('Board imported successfully', 'success');
+            await this.importBoardData(data, name);
             
         } catch (error) {
             console.error('Import failed:', error);
@@ -1930,38 +4451,230 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
+    // Send an export envelope to the server in one request and open the new board
+    async importBoardData(data, name) {
+        ui.showStatus('Importing board...');
+
+        let report;
+        try {
+            report = await api.importBoard({ ...data, board: { ...data.board, name } });
+        } catch (error) {
+            // Schema errors come back as a list in error.data.details
+            const details = error.data?.details;
+            throw new Error(details ? details.join(', ') : error.message);
+        }
+
+        await boardManager.loadBoards();
+        await this.switchBoard(report.board.id);
+
+        if (report.rejected > 0) {
+            this.showImportReport(report);
+        } else {
+            ui.showStatus(`Imported ${report.imported} card${report.imported === 1 ? '' : 's'}`, 'success');
+        }
+        return report;
+    }
+
+    showImportReport(report) {
+        const problems = report.cards.filter(card => card.status === 'rejected' || card.warnings.length > 0);
+
+        ui.createModal('Import Report', `
+            <p>Imported ${report.imported} card${report.imported === 1 ? '' : 's'}; ${report.rejected} could not be imported.</p>
+            <ul class="import-report">
+                ${problems.map(card => `
+                    <li class="import-report-item ${card.status}">
+                        <strong>Card ${card.index + 1}${card.source_id ? ` (${Utils.sanitizeHTML(String(card.source_id))})` : ''}</strong>
+                        - ${card.status === 'rejected' ? 'rejected' : 'imported with warnings'}
+                        <ul>
+                            ${[...(card.errors || []), ...card.warnings].map(message => `
+                                <li>${Utils.sanitizeHTML(message)}</li>
+                            `).join('')}
+                        </ul>
+                    </li>
+                `).join('')}
+            </ul>
+        `, {
+            buttons: [
+                { text: 'Close', type: 'primary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+    }
+
     // Sharing
     async shareBoard() {
-        if (!this.activeBoard) return;
+        if (!this.activeBoard || !Utils.isFeatureEnabled('sharing')) return;
 
+        if (this.activeBoard.role !== 'owner') {
+            ui.showToast('Only the board owner can manage share links', 'warning');
+            return;
+        }
+
+        this.shareModal = ui.createModal('Share Board', `
+            <p class="share-link-empty">Loading share links...</p>
+        `, {
+            buttons: [
+                { text: 'Revoke All', type: 'danger', onclick: `app.revokeShareLink('${this.activeBoard.id}')` },
+                { text: 'Close', type: 'primary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+
+        await this.refreshShareLinks(this.activeBoard.id);
+    }
+
+    async refreshShareLinks(boardId) {
+        const modal = this.shareModal;
+        if (!modal || !modal.parentElement) return;
+
+        const body = modal.querySelector('.modal-body');
         try {
-            // Create shareable URL
-            const shareData = btoa(JSON.stringify({
-                board: this.activeBoard,
-                sharedAt: new Date().toISOString()
-            }));
-            
-            const shareUrl = `${window.location.origin}${window.location.pathname}#share=${shareData}`;
-            
-            const success = await Utils.copyToClipboard(shareUrl);
-            
-            if (success) {
-                ui.showStatus('Share link copied to clipboard', 'success');
-            } else {
-                // Fallback: show the URL in a modal
-                ui.createModal('Share Board', `
-                    <p>Copy this link to share your board:</p>
-                    <input type="text" class="form-input" value="${shareUrl}" readonly onclick="this.select()">
-                `, {
-                    buttons: [
-                        { text: 'Close', type: 'primary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
-                    ]
-                });
-            }
-            
+            const links = await api.getShareLinks(boardId);
+            body.innerHTML = this.renderShareLinks(boardId, links);
+        } catch (error) {
+            console.error('Failed to load share links:', error);
+            body.innerHTML = `<p class="share-link-empty">${Utils.sanitizeHTML(error.message)}</p>`;
+        }
+    }
+
+    getShareUrl(link) {
+        return `${window.location.origin}/s/${link.token}`;
+    }
+
+    renderShareLinks(boardId, links) {
+        const describe = (link) => [
+            link.permission === 'edit' ? 'Can edit' : 'View only',
+            link.expires_at ? `expires ${new Date(link.expires_at).toLocaleDateString()}` : 'never expires',
+            link.has_password ? '🔒 password' : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            ${links.length === 0 ? `
+                <p class="share-link-empty">No active share links. Anyone with a link can view this board without signing in.</p>
+            ` : `
+                <ul class="share-link-list">
+                    ${links.map(link => `
+                        <li class="share-link-item">
+                            <div class="share-link-row">
+                                <input type="text" class="form-input share-link-url" value="${Utils.sanitizeHTML(this.getShareUrl(link))}"
+                                       readonly onclick="this.select()">
+                                <button class="btn btn-sm btn-outline" onclick="app.copyShareLink('${link.token}')">Copy</button>
+                                <button class="btn btn-sm btn-outline" onclick="app.rotateShareLink('${boardId}', '${link.id}')">Rotate</button>
+                                <button class="btn btn-sm btn-danger" onclick="app.revokeShareLink('${boardId}', '${link.id}')">Revoke</button>
+                            </div>
+                            <span class="share-link-meta">${describe(link)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            <form class="share-link-form" onsubmit="event.preventDefault(); app.createShareLink('${boardId}')">
+                <select id="share-permission" class="form-select">
+                    <option value="view">View only</option>
+                    <option value="edit">Can edit</option>
+                </select>
+                <select id="share-expiry" class="form-select">
+                    <option value="">Never expires</option>
+                    <option value="1">1 day</option>
+                    <option value="7">7 days</option>
+                    <option value="30">30 days</option>
+                </select>
+                <input type="password" id="share-password" class="form-input" placeholder="Password (optional)" autocomplete="new-password">
+                <button type="submit" class="btn btn-primary">Create Link</button>
+            </form>
+        `;
+    }
+
+    async createShareLink(boardId) {
+        const permission = document.getElementById('share-permission').value;
+        const expiryDays = parseInt(document.getElementById('share-expiry').value, 10);
+        const password = document.getElementById('share-password').value;
+
+        const options = { permission };
+        if (expiryDays) {
+            options.expires_at = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString();
+        }
+        if (password) {
+            options.password = password;
+        }
+
+        try {
+            const link = await api.generateShareToken(boardId, options);
+            await this.refreshShareLinks(boardId);
+            await this.copyShareLink(link.token);
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async copyShareLink(token) {
+        const success = await Utils.copyToClipboard(this.getShareUrl({ token }));
+        if (success) {
+            ui.showStatus('Share link copied to clipboard', 'success');
+        }
+    }
+
+    async rotateShareLink(boardId, linkId) {
+        const confirmed = await ui.confirm(
+            'Rotate this link? The current URL will stop working and anyone viewing through it will be disconnected.',
+            'Rotate Share Link',
+            { confirmText: 'Rotate' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.rotateShareToken(boardId, linkId);
+            await this.refreshShareLinks(boardId);
+            ui.showStatus('Share link rotated', 'success');
         } catch (error) {
-            console.error('Failed to share board:', error);
-            ui.showToast('Failed to create share link', 'error');
+            console.error('Failed to rotate share link:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async revokeShareLink(boardId, linkId = null) {
+        const confirmed = await ui.confirm(
+            linkId ? 'Revoke this share link?' : 'Revoke every share link for this board?',
+            'Revoke Share Link',
+            { dangerous: true, confirmText: 'Revoke' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.revokeShareToken(boardId, linkId);
+            await this.refreshShareLinks(boardId);
+            ui.showStatus(linkId ? 'Share link revoked' : 'All share links revoked', 'success');
+        } catch (error) {
+            console.error('Failed to revoke share link:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    // Add the board behind a ?join=token share link to the user's boards
+    async acceptShareLink() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('join');
+        if (!token) return;
+
+        params.delete('join');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        let password = null;
+        while (true) {
+            try {
+                const { board_id, role } = await api.joinSharedBoard(token, password);
+                storage.saveToLocal('last_active_board', board_id);
+                ui.showToast(`Shared board added with ${role} access`, 'success');
+                return;
+            } catch (error) {
+                if (error.status === 403 && error.data?.passwordRequired) {
+                    password = await ui.prompt(error.message, '', 'Password Required');
+                    if (password !== null) continue;
+                    return;
+                }
+                console.error('Failed to join shared board:', error);
+                ui.showToast(error.message, 'error');
+                return;
+            }
         }
     }
 
@@ -1994,36 +4707,7 @@ class CorkboardApp extends EventEmitter {
     }
 
     async importSharedBoard(sharedBoard) {
-        const boardData = {
-            ...sharedBoard,
-            id: Utils.generateId(),
-            name: `${sharedBoard.name} (Shared)`,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
-
-        // Generate new IDs for cards
-        if (boardData.cards) {
-            boardData.cards = boardData.cards.map(card => ({
-                ...card,
-                id: Utils.generateId(),
-                board_id: boardData.id,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            }));
-        }
-
-        const board = await boardManager.createBoard(boardData);
-        
-        // Add cards
-        if (boardData.cards) {
-            for (const cardData of boardData.cards) {
-                await boardManager.createCard(cardData);
-            }
-        }
-
-        await this.switchBoard(board.id);
-        ui.showStatus('Shared board imported', 'success');
+        await this.importBoardData({ board: sharedBoard }, `${sharedBoard.name} (Shared)`);
     }
 
     // Print
@@ -2042,17 +4726,185 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
+    // Trash - one board's trashed cards, or everything the user can restore
+    async showTrash(boardId = null) {
+        const board = boardId ? boardManager.getBoardById(boardId) : null;
+        this.trashBoardId = boardId;
+
+        this.trashModal = ui.createModal(board ? `Trash: ${board.name}` : 'Trash', `
+            <p class="trash-empty">Loading trash...</p>
+        `, {
+            size: 'large',
+            buttons: [
+                { text: 'Empty Trash', type: 'danger', onclick: 'app.emptyTrash()' },
+                { text: 'Close', type: 'primary', onclick: 'ui.closeModal(this.closest(\'.modal-overlay\'))' }
+            ]
+        });
+
+        await this.refreshTrash();
+    }
+
+    async refreshTrash() {
+        const modal = this.trashModal;
+        if (!modal || !modal.parentElement) return;
+
+        const body = modal.querySelector('.modal-body');
+        try {
+            const trash = await api.getTrash(this.trashBoardId);
+            body.innerHTML = this.renderTrash(trash);
+        } catch (error) {
+            console.error('Failed to load trash:', error);
+            body.innerHTML = `<p class="trash-empty">${Utils.sanitizeHTML(error.message)}</p>`;
+        }
+    }
+
+    renderTrash({ boards, cards, retention_days: retentionDays }) {
+        const describe = (item) => [
+            `Deleted ${new Date(item.deleted_at).toLocaleString()}`,
+            item.deleted_by ? `by ${Utils.sanitizeHTML(item.deleted_by.name || 'a collaborator')}` : '',
+            item.purge_at ? `· removed for good ${new Date(item.purge_at).toLocaleDateString()}` : ''
+        ].filter(Boolean).join(' ');
+
+        if (boards.length === 0 && cards.length === 0) {
+            return '<p class="trash-empty">The trash is empty.</p>';
+        }
+
+        return `
+            <p class="trash-note">
+                ${retentionDays ? `Items are deleted for good ${retentionDays} days after they are moved to the trash.` :
+                    'Items stay in the trash until they are deleted by hand.'}
+            </p>
+            ${boards.length > 0 ? `
+                <h3 class="trash-heading">Boards</h3>
+                <ul class="trash-list">
+                    ${boards.map(board => `
+                        <li class="trash-item">
+                            <span class="trash-item-color" style="background-color: ${Utils.sanitizeHTML(board.color)}"></span>
+                            <div class="trash-item-info">
+                                <span class="trash-item-title">${Utils.sanitizeHTML(board.name)}</span>
+                                <span class="trash-item-meta">${board.card_count} card${board.card_count === 1 ? '' : 's'} · ${describe(board)}</span>
+                            </div>
+                            <button class="btn btn-sm btn-outline" onclick="app.restoreTrashedBoard('${board.id}')">Restore</button>
+                            <button class="btn btn-sm btn-danger" onclick="app.deleteTrashedBoard('${board.id}')">Delete</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            ${cards.length > 0 ? `
+                <h3 class="trash-heading">Cards</h3>
+                <ul class="trash-list">
+                    ${cards.map(card => `
+                        <li class="trash-item">
+                            <span class="trash-item-color" style="background-color: ${Utils.sanitizeHTML(card.color)}"></span>
+                            <div class="trash-item-info">
+                                <span class="trash-item-title">${Utils.sanitizeHTML(card.title || 'Untitled card')}</span>
+                                <span class="trash-item-meta">
+                                    ${this.trashBoardId ? '' : `${Utils.sanitizeHTML(card.board_name)} · `}${describe(card)}
+                                </span>
+                            </div>
+                            <button class="btn btn-sm btn-outline" onclick="app.restoreTrashedCard('${card.id}')">Restore</button>
+                            ${boardManager.getBoardById(card.board_id)?.role === 'owner' ? `
+                                <button class="btn btn-sm btn-danger" onclick="app.deleteTrashedCard('${card.id}')">Delete</button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    async restoreTrashedCard(cardId) {
+        try {
+            await boardManager.restoreCard(cardId);
+            ui.showStatus('Card restored', 'success');
+            this.queueRender();
+            await this.refreshTrash();
+        } catch (error) {
+            console.error('Failed to restore card:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteTrashedCard(cardId) {
+        const confirmed = await ui.confirm(
+            'Delete this card and its attachments for good? This cannot be undone.',
+            'Delete Forever',
+            { dangerous: true, confirmText: 'Delete Forever' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.deleteTrashedCard(cardId);
+            await this.refreshTrash();
+        } catch (error) {
+            console.error('Failed to delete card:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async restoreTrashedBoard(boardId) {
+        try {
+            const board = await boardManager.restoreBoard(boardId);
+            ui.showStatus(`Board "${board.name}" restored`, 'success');
+            this.queueRender();
+            await this.refreshTrash();
+        } catch (error) {
+            console.error('Failed to restore board:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteTrashedBoard(boardId) {
+        const confirmed = await ui.confirm(
+            'Delete this board, all of its cards and their attachments for good? This cannot be undone.',
+            'Delete Forever',
+            { dangerous: true, confirmText: 'Delete Forever' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.deleteTrashedBoard(boardId);
+            await this.refreshTrash();
+        } catch (error) {
+            console.error('Failed to delete board:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
+    async emptyTrash() {
+        const confirmed = await ui.confirm(
+            'Delete everything in the trash for good? Cards on boards you do not own stay there. This cannot be undone.',
+            'Empty Trash',
+            { dangerous: true, confirmText: 'Empty Trash' }
+        );
+        if (!confirmed) return;
+
+        try {
+            await api.emptyTrash(this.trashBoardId);
+            ui.showStatus('Trash emptied', 'success');
+            await this.refreshTrash();
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            ui.showToast(error.message, 'error');
+        }
+    }
+
     // Board Menu
     showBoardMenu(event) {
         const menuItems = [
             { text: 'Rename Board', icon: '✏️', onclick: `app.renameBoardPrompt()` },
             { text: 'Change Color', icon: '🎨', onclick: `app.changeBoardColor()` },
             { text: 'Export Board', icon: '📤', onclick: `app.exportBoard()` },
-            { text: 'Share Board', icon: '🔗', onclick: `app.shareBoard()` },
+            ...(Utils.isFeatureEnabled('sharing') ? [{ text: 'Share Board', icon: '🔗', onclick: `app.shareBoard()` }] : []),
+            { text: 'Manage Collaborators', icon: '👥', onclick: `app.showCollaboratorsModal()` },
             { separator: true },
             { text: 'Board Statistics', icon: '📊', onclick: `app.showBoardStats()` },
+            { text: 'Board Trash', icon: '♻️', onclick: `app.showTrash(app.activeBoard?.id)` },
+            { text: 'All Trash', icon: '🗑️', onclick: `app.showTrash()` },
             { separator: true },
-            { text: 'Delete Board', icon: '🗑️', onclick: `app.deleteBoardPrompt()`, class: 'danger' }
+            { text: 'Delete Board', icon: '🗑️', onclick: `app.deleteBoardPrompt()`, class: 'danger' },
+            { separator: true },
+            { text: `Sign Out${api.user ? ` (${api.user.name})` : ''}`, icon: '🚪', onclick: `app.signOut()` }
         ];
 
         ui.showContextMenu(event.clientX, event.clientY, menuItems);
@@ -2168,10 +5020,15 @@ class CorkboardApp extends EventEmitter {
     // Remote Event Handlers
     handleRemoteCardCreated(cardData) {
         if (this.activeBoard && cardData.board_id === this.activeBoard.id) {
-            // Add to local board
-            this.activeBoard.cards.push(cardData);
+            const existing = this.getCardById(cardData.id);
+            if (existing) {
+                Object.assign(existing, cardData);
+            } else {
+                // Add to local board
+                this.activeBoard.cards.push(cardData);
+                ui.showStatus(`New card added by collaborator`, 'info');
+            }
             this.queueRender();
-            ui.showStatus(`New card added by collaborator`, 'info');
         }
     }
 
@@ -2187,7 +5044,12 @@ class CorkboardApp extends EventEmitter {
         if (this.activeBoard) {
             const card = this.getCardById(updateData.id);
             if (card) {
-                Object.assign(card, updateData);
+                // Fields open for live editing are kept current by textSync
+                const updates = { ...updateData };
+                ['title', 'details'].forEach(field => {
+                    if (textSync.isOpen(card.id, field)) delete updates[field];
+                });
+                Object.assign(card, updates);
                 this.queueRender();
             }
         }
@@ -2205,6 +5067,97 @@ class CorkboardApp extends EventEmitter {
         }
     }
 
+    // A board was renamed, recolored or our role on it changed
+    handleRemoteBoardUpdated(boardData) {
+        const board = boardManager.getBoardById(boardData.id);
+        if (!board) return;
+
+        const roleChanged = boardData.role !== undefined && boardData.role !== board.role;
+        boardManager.applyBoardUpdate(boardData.id, boardData);
+
+        if (this.activeBoard?.id !== boardData.id) {
+            this.renderToolbar();
+            return;
+        }
+        if (this.activeBoard !== board) {
+            Object.assign(this.activeBoard, boardData);
+        }
+        if (roleChanged) {
+            ui.showToast(`You now have ${boardData.role} access to "${board.name}"`, 'info');
+        }
+        this.queueRender();
+    }
+
+    // A board we had was deleted or we lost access to it. The tab that did it
+    // has already let it go; our other tabs follow without a notice.
+    async handleRemoteBoardGone(boardId, message, fromUserId) {
+        const board = boardManager.getBoardById(boardId);
+        if (!board) return;
+
+        if (this.collaboratorsModal?.parentElement && this.activeBoard?.id === boardId) {
+            ui.closeModal(this.collaboratorsModal);
+        }
+        const wasActive = this.activeBoard?.id === boardId;
+        await this.dropBoard(boardId);
+        if (!fromUserId || fromUserId !== api.user?.id) {
+            ui.showToast(message.replace('%s', board.name), wasActive ? 'warning' : 'info');
+        }
+    }
+
+    handleRemoteBoardAdded(board) {
+        if (boardManager.getBoardById(board.id)) return;
+
+        const { reason, ...data } = board;
+        boardManager.rememberBoard(data);
+        this.renderToolbar();
+        if (reason === 'shared') {
+            ui.showToast(`"${board.name}" was shared with you`, 'info');
+        }
+    }
+
+    // After a dropped connection, pick up board changes we were not told about
+    async syncBoardList() {
+        try {
+            const boards = await api.getBoards();
+            const ids = new Set(boards.map(board => board.id));
+
+            boards.forEach(board => {
+                if (boardManager.getBoardById(board.id)) {
+                    const { name, color, role } = board;
+                    boardManager.applyBoardUpdate(board.id, { name, color, role });
+                } else {
+                    boardManager.rememberBoard(board);
+                }
+            });
+            const gone = boardManager.getAllBoards().filter(board => board.role && !ids.has(board.id));
+            for (const board of gone) {
+                await this.handleRemoteBoardGone(board.id, '"%s" is no longer available');
+            }
+            this.queueRender();
+        } catch (error) {
+            console.error('Failed to refresh boards:', error);
+        }
+    }
+
+    // We were away too long to catch up operation by operation - take the
+    // server's cards, keeping text we are typing into
+    handleRemoteBoardSnapshot({ boardId, cards }) {
+        if (!this.activeBoard || this.activeBoard.id !== boardId) return;
+
+        cards.forEach(card => {
+            ['title', 'details'].forEach(field => {
+                const local = this.getCardById(card.id);
+                if (local && textSync.isOpen(card.id, field)) card[field] = local[field];
+            });
+        });
+        this.activeBoard.cards = cards;
+        this.selectedCards.forEach(cardId => {
+            if (!this.getCardById(cardId)) this.selectedCards.delete(cardId);
+        });
+        this.queueRender();
+        ui.showStatus('Board brought up to date', 'info');
+    }
+
     // Utility
     hideLoadingScreen() {
         const loadingScreen = document.getElementById('loading-screen');
@@ -7,10 +7,22 @@ class CollaborationManager extends EventEmitter {
         this.socket = null;
         this.connected = false;
         this.currentBoard = null;
+        // Last board operation applied, and any that arrived ahead of a gap
+        this.boardSeq = null;
+        this.pendingOps = new Map();
+        this.catchingUp = false;
         this.currentUser = this.generateUserId();
+        // Who else has the current board open, from the server
+        this.roster = [];
+        // Edit leases on the current board's card fields, keyed cardId:field
+        this.leases = new Map();
         this.cursors = new Map();
+        // Cursors are shared in board coordinates, which the app converts
+        // to and from the page; either returns null where there is no board
+        this.cursorSpace = { toBoard: (x, y) => ({ x, y }), toPage: (x, y) => ({ x, y }) };
         this.typingIndicators = new Map();
         this.connectionRetries = 0;
+        this.authRetryPending = false;
         this.maxRetries = 5;
         this.retryDelay = 2000;
         
@@ -28,8 +40,15 @@ class CollaborationManager extends EventEmitter {
                 console.warn('Socket.io not available, collaboration features disabled');
                 return;
             }
+            if (!Utils.isFeatureEnabled('collaboration')) {
+                console.info('Collaboration is turned off on this server');
+                return;
+            }
             
-            this.socket = io('http://localhost:3001', {
+            // No socketUrl means the server the page came from
+            this.socket = io(Utils.getConfig().socketUrl || undefined, {
+                // Called on every (re)connect so a refreshed token is picked up
+                auth: (cb) => cb({ token: api.accessToken }),
                 transports: ['websocket', 'polling'],
                 timeout: 10000,
                 reconnection: true,
@@ -60,12 +79,21 @@ class CollaborationManager extends EventEmitter {
         this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from collaboration server:', reason);
             this.connected = false;
+            this.catchingUp = false;
+            this.setRoster([]);
+            this.clearLeases();
             this.emit('disconnected', reason);
             this.clearAllCursors();
             this.clearAllTypingIndicators();
         });
 
         this.socket.on('connect_error', (error) => {
+            // The server rejected our token - refresh it and try again
+            if (error.message === 'Unauthorized') {
+                this.handleAuthError();
+                return;
+            }
+
             console.error('Connection error:', error);
             this.connectionRetries++;
             this.emit('connection-error', { error, retries: this.connectionRetries });
@@ -80,34 +108,100 @@ class CollaborationManager extends EventEmitter {
             this.emit('reconnected');
         });
 
-        // Real-time card updates
-        this.socket.on('card-created', (cardData) => {
-            this.emit('remote-card-created', cardData);
+        // The server refused to put us in the board room
+        this.socket.on('join-denied', ({ boardId, error }) => {
+            console.warn('Join denied for board:', boardId, error);
+            if (this.currentBoard === boardId) {
+                this.currentBoard = null;
+            }
+            this.emit('join-denied', { boardId, error });
+        });
+
+        // Real-time card updates, numbered by the board's operation log
+        this.socket.on('card-created', (cardData, op) => {
+            this.receiveOp('card-created', cardData, op);
         });
 
-        this.socket.on('card-updated', (updateData) => {
-            this.emit('remote-card-updated', updateData);
+        this.socket.on('card-updated', (updateData, op) => {
+            this.receiveOp('card-updated', updateData, op);
         });
 
-        this.socket.on('card-deleted', (cardId) => {
-            this.emit('remote-card-deleted', cardId);
+        this.socket.on('card-deleted', (cardId, op) => {
+            this.receiveOp('card-deleted', cardId, op);
+        });
+
+        // A trashed card was deleted for good
+        this.socket.on('card-purged', (cardId, op) => {
+            this.receiveOp('card-purged', cardId, op);
+        });
+
+        // What we missed while away - the operations, or the whole board when
+        // the server no longer has them all
+        this.socket.on('board-catch-up', ({ boardId, ops }) => {
+            if (boardId !== this.currentBoard) return;
+
+            this.catchingUp = false;
+            ops.forEach(op => this.queueOp(op));
+            this.flushOps();
+        });
+
+        this.socket.on('board-snapshot', ({ boardId, seq, cards }) => {
+            if (boardId !== this.currentBoard) return;
+
+            this.catchingUp = false;
+            this.boardSeq = seq;
+            this.pendingOps.forEach((op, opSeq) => {
+                if (opSeq <= seq) this.pendingOps.delete(opSeq);
+            });
+            this.emit('remote-board-snapshot', { boardId, cards });
+            this.flushOps();
         });
 
         this.socket.on('card-position-update', (positionData) => {
             this.emit('remote-card-position-update', positionData);
         });
 
-        // User presence
-        this.socket.on('user-joined', (userId) => {
-            console.log('User joined:', userId);
-            this.emit('user-joined', userId);
+        // User presence - joined and left are per person, not per tab
+        this.socket.on('user-joined', (user) => {
+            console.log('User joined:', user.name);
+            this.emit('user-joined', user);
+        });
+
+        this.socket.on('user-left', (user) => {
+            console.log('User left:', user.name);
+            this.emit('user-left', user);
+            this.removeCursor(user.id);
+            this.removeTypingIndicator(user.id);
+        });
+
+        this.socket.on('presence', ({ boardId, users }) => {
+            if (boardId === this.currentBoard) {
+                this.setRoster(users);
+            }
+        });
+
+        // Edit leases - the board's current ones when we join, then changes
+        this.socket.on('card-leases', ({ boardId, leases }) => {
+            if (boardId !== this.currentBoard) return;
+            this.leases.clear();
+            leases.forEach(lease => this.leases.set(`${lease.cardId}:${lease.field}`, lease));
+            this.emit('leases-changed');
         });
 
-        this.socket.on('user-left', (userId) => {
-            console.log('User left:', userId);
-            this.emit('user-left', userId);
-            this.removeCursor(userId);
-            this.removeTypingIndicator(userId);
+        this.socket.on('card-lease', ({ boardId, cardId, field, lease }) => {
+            if (boardId !== this.currentBoard) return;
+            if (lease) {
+                this.leases.set(`${cardId}:${field}`, lease);
+            } else {
+                this.leases.delete(`${cardId}:${field}`);
+            }
+            this.emit('leases-changed');
+        });
+
+        // A board owner took over a field we held, or we stopped typing long
+        // enough for the lease to run out
+        this.socket.on('card-lease-revoked', (revoked) => {
+            this.emit('lease-revoked', revoked);
         });
 
         // Cursor tracking
@@ -124,17 +218,73 @@ class CollaborationManager extends EventEmitter {
             this.hideTypingIndicator(typingData);
         });
 
-        // Board updates
+        // Board updates - these come for all our boards, not just the open one
         this.socket.on('board-updated', (boardData) => {
             this.emit('remote-board-updated', boardData);
         });
+
+        this.socket.on('board-deleted', (deleted) => {
+            this.emit('remote-board-deleted', deleted);
+        });
+
+        // We were given access to a board, or one of ours came back from the trash
+        this.socket.on('board-added', (board) => {
+            this.emit('remote-board-added', board);
+        });
+
+        // We no longer have access to a board
+        this.socket.on('board-removed', (removed) => {
+            this.emit('remote-board-removed', removed);
+        });
+
+        this.socket.on('board-collaborators-changed', ({ boardId }) => {
+            this.emit('remote-collaborators-changed', boardId);
+        });
+
+        // The open board's kanban columns, sent whole after any change
+        this.socket.on('board-columns', (columnData) => {
+            this.emit('remote-board-columns', columnData);
+        });
+
+        // Live text editing - operations for fields we have open, merged text
+        // for the rest, and other editors' carets
+        this.socket.on('card-text-op', (opData) => {
+            this.emit('remote-text-op', opData);
+        });
+
+        this.socket.on('card-text', (textData) => {
+            this.emit('remote-text', textData);
+        });
+
+        this.socket.on('card-text-caret', (caretData) => {
+            this.emit('remote-text-caret', caretData);
+        });
+    }
+
+    handleAuthError() {
+        if (!api.refreshToken || this.authRetryPending) return;
+
+        this.authRetryPending = true;
+        api.refreshAccessToken()
+            .then(() => this.socket.connect())
+            .catch(() => {
+                // auth-required is emitted by the API client
+            })
+            .finally(() => {
+                this.authRetryPending = false;
+            });
     }
 
     setupEventListeners() {
+        // Connect once the user signs in, drop the socket when they sign out
+        api.on('authenticated', () => this.reconnect());
+        api.on('logged-out', () => this.disconnect());
+
         // Track mouse movement for cursor sharing
         let cursorThrottle = Utils.throttle((e) => {
-            if (this.connected && this.currentBoard) {
-                this.broadcastCursorPosition(e.clientX, e.clientY);
+            const point = this.connected && this.currentBoard && this.cursorSpace.toBoard(e.clientX, e.clientY);
+            if (point) {
+                this.broadcastCursorPosition(point.x, point.y);
             }
         }, 100);
 
@@ -163,8 +313,9 @@ class CollaborationManager extends EventEmitter {
         });
     }
 
-    // Board Management
-    joinBoard(boardId) {
+    // Board Management - seq is the latest operation the loaded board
+    // includes; rejoining the same board carries on from the last one applied
+    joinBoard(boardId, seq = null) {
         if (!this.socket || !this.connected) {
             console.warn('Cannot join board: not connected to collaboration server');
             return;
@@ -175,8 +326,13 @@ class CollaborationManager extends EventEmitter {
             this.leaveBoard();
         }
 
+        if (this.currentBoard !== boardId) {
+            this.boardSeq = Number.isInteger(seq) ? seq : null;
+            this.pendingOps.clear();
+        }
         this.currentBoard = boardId;
-        this.socket.emit('join-board', boardId);
+        this.catchingUp = true;
+        this.socket.emit('join-board', boardId, { since: this.boardSeq, idle: document.hidden });
         this.emit('board-joined', boardId);
         console.log('Joined board:', boardId);
     }
@@ -189,10 +345,51 @@ class CollaborationManager extends EventEmitter {
         console.log('Left board:', this.currentBoard);
         
         this.currentBoard = null;
+        this.boardSeq = null;
+        this.pendingOps.clear();
+        this.catchingUp = false;
+        this.setRoster([]);
+        this.clearLeases();
         this.clearAllCursors();
         this.clearAllTypingIndicators();
     }
 
+    // Board operations are applied in order, once each. One that comes after a
+    // gap waits while the missing ones are fetched.
+    receiveOp(type, data, op) {
+        if (!op) {
+            this.emit(`remote-${type}`, data);
+            return;
+        }
+        if (op.boardId !== this.currentBoard) return;
+
+        if (this.boardSeq === null) {
+            this.boardSeq = op.seq - 1;
+        }
+        this.queueOp({ seq: op.seq, type, data });
+        this.flushOps();
+    }
+
+    queueOp(op) {
+        if (op.seq > this.boardSeq) {
+            this.pendingOps.set(op.seq, op);
+        }
+    }
+
+    flushOps() {
+        while (this.pendingOps.has(this.boardSeq + 1)) {
+            const op = this.pendingOps.get(this.boardSeq + 1);
+            this.pendingOps.delete(op.seq);
+            this.boardSeq = op.seq;
+            this.emit(`remote-${op.type}`, op.data);
+        }
+
+        if (this.pendingOps.size > 0 && !this.catchingUp && this.connected) {
+            this.catchingUp = true;
+            this.socket.emit('board-sync', { boardId: this.currentBoard, since: this.boardSeq });
+        }
+    }
+
     // Real-time Card Updates
     broadcastCardCreate(cardData) {
         if (this.connected && this.currentBoard) {
@@ -227,6 +424,72 @@ class CollaborationManager extends EventEmitter {
         }
     }
 
+    // Live Text Editing - the callback gets the server's acknowledgement, or
+    // { error } when there is no answer. It runs as soon as the answer arrives,
+    // before any later event, which keeps text versions in order.
+    requestAck(event, data, callback) {
+        if (!this.socket || !this.connected) {
+            callback({ error: 'Not connected to collaboration server', resync: true });
+            return;
+        }
+        this.socket.timeout(10000).emit(event, data, (error, response) => {
+            callback(error ? { error: error.message, resync: true } : response);
+        });
+    }
+
+    openCardText(cardId, field, callback) {
+        this.requestAck('card-text-open', { cardId, field }, callback);
+    }
+
+    sendCardTextOp(opData, callback) {
+        this.requestAck('card-text-op', opData, callback);
+    }
+
+    closeCardText(cardId, field) {
+        if (this.connected) {
+            this.socket.emit('card-text-close', { cardId, field });
+        }
+    }
+
+    broadcastTextCaret(cardId, field, index) {
+        if (this.connected && this.currentBoard) {
+            this.socket.emit('card-text-caret', {
+                cardId,
+                field,
+                index,
+                boardId: this.currentBoard
+            });
+        }
+    }
+
+    // Edit Leases - resolves with { granted, lease, canOverride }, or { error }.
+    // The lease is only advisory, so when the server can't be asked editing
+    // goes ahead.
+    acquireLease(cardId, field, { force = false } = {}) {
+        return new Promise((resolve) => {
+            this.requestAck('card-lease-acquire', { cardId, field, force }, (response) => {
+                resolve(response.resync ? { granted: true, offline: true } : response);
+            });
+        });
+    }
+
+    releaseLease(cardId, field) {
+        if (this.connected) {
+            this.socket.emit('card-lease-release', { cardId, field });
+        }
+    }
+
+    // The lease on a field when another client holds it
+    leaseHolder(cardId, field) {
+        const lease = this.leases.get(`${cardId}:${field}`);
+        return lease && lease.clientId !== this.socket?.id ? lease : null;
+    }
+
+    clearLeases() {
+        this.leases.clear();
+        this.emit('leases-changed');
+    }
+
     // Cursor Management
     broadcastCursorPosition(x, y) {
         if (this.connected && this.currentBoard) {
@@ -241,19 +504,44 @@ class CollaborationManager extends EventEmitter {
     }
 
     updateCursor(cursorData) {
-        if (cursorData.userId === this.currentUser) return; // Don't show own cursor
+        if (this.isSelf(cursorData.userId)) return; // Don't show own cursor, even from another tab
 
         const cursor = this.getOrCreateCursor(cursorData.userId);
-        cursor.style.left = cursorData.x + 'px';
-        cursor.style.top = cursorData.y + 'px';
-        cursor.style.display = 'block';
-
-        // Auto-hide cursor after inactivity
-        this.cursors.set(cursorData.userId, {
+        const entry = {
             element: cursor,
+            x: cursorData.x,
+            y: cursorData.y,
+            visible: true,
+            // Auto-hide cursor after inactivity
             timeout: setTimeout(() => {
+                entry.visible = false;
                 cursor.style.display = 'none';
             }, 3000)
+        };
+        this.cursors.set(cursorData.userId, entry);
+        this.positionCursor(entry);
+    }
+
+    setCursorSpace(cursorSpace) {
+        this.cursorSpace = cursorSpace;
+        this.positionCursors();
+    }
+
+    positionCursor(entry) {
+        const point = entry.visible && this.cursorSpace.toPage(entry.x, entry.y);
+        if (!point) {
+            entry.element.style.display = 'none';
+            return;
+        }
+        entry.element.style.left = point.x + 'px';
+        entry.element.style.top = point.y + 'px';
+        entry.element.style.display = 'block';
+    }
+
+    // Put cursors back over the same board spot after the view moves
+    positionCursors() {
+        this.cursors.forEach(entry => {
+            if (entry.x !== undefined) this.positionCursor(entry);
         });
     }
 
@@ -265,7 +553,7 @@ class CollaborationManager extends EventEmitter {
             cursor.className = 'user-cursor';
             cursor.innerHTML = `
                 <div class="user-cursor-pointer"></div>
-                <div class="user-cursor-label">${this.getUserDisplayName(userId)}</div>
+                <div class="user-cursor-label">${Utils.sanitizeHTML(this.getUserDisplayName(userId))}</div>
             `;
             
             // Assign a unique color based on userId
@@ -342,7 +630,7 @@ class CollaborationManager extends EventEmitter {
     }
 
     showTypingIndicator(typingData) {
-        if (typingData.userId === this.currentUser) return; // Don't show own typing
+        if (this.isSelf(typingData.userId)) return; // Don't show own typing
 
         const cardElement = document.getElementById(`card-${typingData.cardId}`);
         if (!cardElement) return;
@@ -355,7 +643,7 @@ class CollaborationManager extends EventEmitter {
         const indicator = document.createElement('div');
         indicator.className = 'typing-indicator';
         indicator.style.backgroundColor = this.getUserColor(typingData.userId);
-        indicator.innerHTML = `${this.getUserDisplayName(typingData.userId)} is typing...`;
+        indicator.textContent = `${this.getUserDisplayName(typingData.userId)} is typing...`;
         
         cardElement.appendChild(indicator);
         
@@ -403,19 +691,33 @@ class CollaborationManager extends EventEmitter {
         this.typingIndicators.clear();
     }
 
-    // User Management
+    // User Management - the roster is [{ id, name, email, status, editing, tabs }]
+    // with status 'active' or 'idle' and editing as [{ cardId, field }]
+    setRoster(users) {
+        this.roster = users;
+        this.cursors.forEach((cursorData, userId) => {
+            const label = cursorData.element.querySelector('.user-cursor-label');
+            if (label) label.textContent = this.getUserDisplayName(userId);
+        });
+        this.emit('presence-changed', users);
+    }
+
     setUserIdle() {
-        if (this.connected) {
-            // Could implement user status updates here
+        if (this.connected && this.currentBoard) {
+            this.socket.emit('presence-update', { boardId: this.currentBoard, idle: true });
         }
     }
 
     setUserActive() {
-        if (this.connected) {
-            // Could implement user status updates here
+        if (this.connected && this.currentBoard) {
+            this.socket.emit('presence-update', { boardId: this.currentBoard, idle: false });
         }
     }
 
+    isSelf(userId) {
+        return userId === this.currentUser || Boolean(api.user && api.user.id === userId);
+    }
+
     getUserColor(userId) {
         // Generate consistent color based on userId
         let hash = 0;
@@ -435,14 +737,18 @@ class CollaborationManager extends EventEmitter {
     }
 
     getUserDisplayName(userId) {
-        // In a real app, you'd fetch this from user data
+        const user = this.roster.find(member => member.id === userId);
+        if (user) {
+            return user.name;
+        }
         const shortId = userId.split('_').pop().substring(0, 4);
         return `User ${shortId}`;
     }
 
     // Utility Methods
     isCardInput(element) {
-        return element.classList.contains('card-title') ||
+        return element.classList.contains('card-topic') ||
+               element.classList.contains('card-title') ||
                element.classList.contains('card-body') ||
                element.classList.contains('card-details');
     }
@@ -457,7 +763,7 @@ class CollaborationManager extends EventEmitter {
     }
 
     getFieldType(element) {
-        if (element.classList.contains('card-title')) return 'title';
+        if (element.classList.contains('card-topic') || element.classList.contains('card-title')) return 'title';
         if (element.classList.contains('card-body')) return 'body';
         if (element.classList.contains('card-details')) return 'details';
         return 'unknown';
@@ -484,6 +790,7 @@ class CollaborationManager extends EventEmitter {
             currentBoard: this.currentBoard,
             userId: this.currentUser,
             retries: this.connectionRetries,
+            onlineUsers: this.roster.length,
             activeCursors: this.cursors.size,
             activeTypingIndicators: this.typingIndicators.size
         };
@@ -491,8 +798,8 @@ class CollaborationManager extends EventEmitter {
 
     // Conflict Resolution
     resolveConflict(localData, remoteData) {
-        // Simple last-write-wins strategy
-        // In a production app, you might want more sophisticated conflict resolution
+        // Last-write-wins for whole cards; titles and details being edited are
+        // merged character by character by CardTextSync instead
         const localTimestamp = new Date(localData.updated_at || localData.modified || 0).getTime();
         const remoteTimestamp = new Date(remoteData.updated_at || remoteData.modified || 0).getTime();
         
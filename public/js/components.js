@@ -17,7 +17,7 @@ class UIComponents {
     setupGlobalEventListeners() {
         // Global click handler for modal backgrounds
         document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal-overlay')) {
+            if (e.target.classList.contains('modal-overlay') && this.isClosable(e.target)) {
                 this.closeModal(e.target.querySelector('.modal'));
             }
         });
@@ -25,7 +25,13 @@ class UIComponents {
         // Global escape key handler
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                this.closeTopModal();
+                if (this.lightbox) {
+                    this.closeLightbox();
+                } else {
+                    this.closeTopModal();
+                }
+            } else if (this.lightbox && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                this.stepLightbox(e.key === 'ArrowLeft' ? -1 : 1);
             }
         });
 
@@ -168,11 +174,17 @@ class UIComponents {
 
     closeTopModal() {
         const modals = document.querySelectorAll('.modal-overlay.open');
-        if (modals.length > 0) {
+        if (modals.length > 0 && this.isClosable(modals[modals.length - 1])) {
             this.closeModal(modals[modals.length - 1]);
         }
     }
 
+    // Modals created with closable: false ignore Escape and backdrop clicks
+    isClosable(overlay) {
+        const options = this.modals.get(overlay);
+        return !options || options.closable !== false;
+    }
+
     // Confirmation Dialog
     confirm(message, title = 'Confirm', options = {}) {
         return new Promise((resolve) => {
@@ -428,6 +440,77 @@ class UIComponents {
         }
     }
 
+    // Image Lightbox - images are { name, url, renditions } as returned with
+    // card attachments; Escape closes, the arrow keys step through them
+    showLightbox(images, startIndex = 0) {
+        this.closeLightbox();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'lightbox-overlay';
+        overlay.innerHTML = `
+            <button class="lightbox-close" title="Close" onclick="ui.closeLightbox()">×</button>
+            ${images.length > 1 ? `
+                <button class="lightbox-nav prev" title="Previous" onclick="ui.stepLightbox(-1)">‹</button>
+                <button class="lightbox-nav next" title="Next" onclick="ui.stepLightbox(1)">›</button>
+            ` : ''}
+            <figure class="lightbox-figure">
+                <img class="lightbox-image" alt="">
+                <figcaption class="lightbox-caption"></figcaption>
+            </figure>
+        `;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeLightbox();
+        });
+
+        document.body.appendChild(overlay);
+        this.lightbox = { overlay, images, index: startIndex };
+        this.showLightboxImage();
+
+        requestAnimationFrame(() => overlay.classList.add('open'));
+    }
+
+    // The smallest rendition that still fills the screen at this pixel density
+    pickRendition(image) {
+        const renditions = image.renditions;
+        if (!renditions) return image.url;
+
+        const targetWidth = Math.min(window.innerWidth, 2048) * (window.devicePixelRatio || 1);
+        const fits = ['cover', 'full'].find(name =>
+            renditions[name] && renditions[name].width >= targetWidth);
+        return (renditions[fits || 'full'] || renditions.cover || image).url;
+    }
+
+    showLightboxImage() {
+        const { overlay, images, index } = this.lightbox;
+        const image = images[index];
+
+        overlay.querySelector('.lightbox-image').src = this.pickRendition(image);
+        overlay.querySelector('.lightbox-image').alt = image.name;
+        overlay.querySelector('.lightbox-caption').innerHTML = `
+            ${Utils.sanitizeHTML(image.name)}
+            ${images.length > 1 ? `<span>${index + 1} / ${images.length}</span>` : ''}
+            <a href="${image.url}" target="_blank" rel="noopener">Open original</a>
+        `;
+    }
+
+    stepLightbox(direction) {
+        if (!this.lightbox) return;
+
+        const count = this.lightbox.images.length;
+        this.lightbox.index = (this.lightbox.index + direction + count) % count;
+        this.showLightboxImage();
+    }
+
+    closeLightbox() {
+        if (!this.lightbox) return;
+
+        const { overlay } = this.lightbox;
+        this.lightbox = null;
+        overlay.classList.remove('open');
+        setTimeout(() => overlay.remove(), 300);
+    }
+
     // Color Picker Component
     createColorPicker(currentColor = '#fef3c7', onColorChange = () => {}) {
         const picker = document.createElement('div');
@@ -545,6 +628,7 @@ class UIComponents {
             { key: 'N', description: 'New Card' },
             { key: 'B', description: 'New Board' },
             { key: '/', description: 'Search' },
+            { key: 'Ctrl+K', description: 'Search All Boards' },
             { key: 'G', description: 'Toggle Grid' },
             { key: 'F', description: 'Toggle Filter' },
             { key: 'E', description: 'Export Board' },
@@ -553,6 +637,11 @@ class UIComponents {
             { key: 'Ctrl+Z', description: 'Undo' },
             { key: 'Ctrl+Y', description: 'Redo' },
             { key: 'Ctrl+S', description: 'Save' },
+            { key: '+ / -', description: 'Zoom In / Out' },
+            { key: '0', description: 'Reset Zoom' },
+            { key: '1', description: 'Zoom to Fit' },
+            { key: '2', description: 'Zoom to Selection' },
+            { key: 'Space+Drag', description: 'Pan the Board' },
             { key: 'Escape', description: 'Close Modal/Clear Selection' }
         ];
 
@@ -0,0 +1,11 @@
+// Corkboard Pro - Runtime settings
+//
+// The server answers /js/config.js itself with its own settings (see
+// lib/config.js), so this file is only used when public/ is served on its own,
+// as by npm run frontend, and points at the API server on port 3001. A page
+// can set window.CORKBOARD_CONFIG before this script to use other settings.
+
+window.CORKBOARD_CONFIG = window.CORKBOARD_CONFIG || {
+    apiBase: 'http://localhost:3001',
+    socketUrl: 'http://localhost:3001'
+};
@@ -0,0 +1,292 @@
+// Corkboard Pro - Importers for other apps' board exports
+//
+// Each importer turns the source text into the same { version, board } envelope
+// that Corkboard Pro exports, so the server import endpoint handles them all.
+
+class BoardImporters {
+    static get sources() {
+        return {
+            corkboard: 'Corkboard Pro export (JSON)',
+            trello: 'Trello board (JSON export)',
+            csv: 'CSV / spreadsheet (Miro, Sheets, Excel)',
+            markdown: 'Markdown outline'
+        };
+    }
+
+    // Card fields a CSV column can be mapped to
+    static get csvFields() {
+        return {
+            '': 'Ignore',
+            title: 'Title',
+            body: 'Front text',
+            details: 'Back details',
+            tags: 'Tags',
+            color: 'Color',
+            due_date: 'Due date',
+            x: 'X position',
+            y: 'Y position'
+        };
+    }
+
+    // Guess the source from a file name and its contents
+    static detectSource(filename, text) {
+        const extension = (filename || '').split('.').pop().toLowerCase();
+        if (extension === 'csv') return 'csv';
+        if (['md', 'markdown', 'txt'].includes(extension)) return 'markdown';
+
+        try {
+            const data = JSON.parse(text);
+            if (Array.isArray(data.lists) && Array.isArray(data.cards)) return 'trello';
+            return 'corkboard';
+        } catch (error) {
+            return /^\s*#/m.test(text) ? 'markdown' : 'csv';
+        }
+    }
+
+    static envelope(name, cards, color = '#8b6914') {
+        return {
+            version: '1.0',
+            exported: new Date().toISOString(),
+            board: { name, color, cards }
+        };
+    }
+
+    static parse(source, text, options = {}) {
+        switch (source) {
+            case 'corkboard': return this.fromCorkboard(text);
+            case 'trello': return this.fromTrello(text);
+            case 'csv': return this.fromCSV(text, options.mapping);
+            case 'markdown': return this.fromMarkdown(text);
+            default: throw new Error(`Unknown import source: ${source}`);
+        }
+    }
+
+    static fromCorkboard(text) {
+        const data = JSON.parse(text);
+        if (!data.board) {
+            throw new Error('Invalid export format - missing board data');
+        }
+        return data;
+    }
+
+    // Trello - open lists become columns of cards, labels become tags (the
+    // first label also picks the card color) and checklists go on the back
+    static fromTrello(text) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data.lists) || !Array.isArray(data.cards)) {
+            throw new Error('This does not look like a Trello board export');
+        }
+
+        const labelColors = {
+            green: '#d1fae5', yellow: '#fef3c7', orange: '#fed7aa', red: '#fca5a5',
+            purple: '#f3e8ff', blue: '#dbeafe', sky: '#bfdbfe', lime: '#d9f99d',
+            pink: '#fbcfe8', black: '#e5e7eb'
+        };
+        const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+        const lists = data.lists.filter(list => !list.closed).sort(byPosition);
+        const checklists = data.checklists || [];
+        const cards = [];
+
+        lists.forEach((list, column) => {
+            const listCards = data.cards
+                .filter(card => card.idList === list.id && !card.closed)
+                .sort(byPosition);
+
+            listCards.forEach((card, row) => {
+                const labels = card.labels || [];
+                const checklistText = checklists
+                    .filter(checklist => checklist.idCard === card.id)
+                    .sort(byPosition)
+                    .map(checklist => [
+                        checklist.name,
+                        ...(checklist.checkItems || []).sort(byPosition).map(item =>
+                            `${item.state === 'complete' ? '☑' : '☐'} ${item.name}`)
+                    ].join('\n'))
+                    .join('\n\n');
+
+                cards.push({
+                    id: card.id,
+                    title: card.name || '',
+                    body: card.desc || '',
+                    details: checklistText,
+                    tags: labels.map(label => label.name || label.color).filter(Boolean),
+                    color: labelColors[labels[0]?.color] || '#fef3c7',
+                    due_date: card.due ? card.due.split('T')[0] : null,
+                    links: (card.attachments || [])
+                        .filter(attachment => this.isWebURL(attachment.url))
+                        .map(attachment => ({ name: attachment.name || attachment.url, url: attachment.url })),
+                    x: 20 + column * 280,
+                    y: 20 + row * 240
+                });
+            });
+        });
+
+        return this.envelope(data.name || 'Trello board', cards);
+    }
+
+    // Only web addresses become card links
+    static isWebURL(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // RFC 4180 CSV - quoted fields may contain commas, quotes and newlines
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    // Map headers to card fields by name, e.g. "Title", "Due Date", "Labels"
+    static guessCSVMapping(headers) {
+        const aliases = {
+            title: ['title', 'name', 'topic', 'card', 'summary', 'subject'],
+            body: ['body', 'text', 'content', 'description', 'desc', 'note', 'notes'],
+            details: ['details', 'back', 'comments'],
+            tags: ['tags', 'tag', 'labels', 'label', 'category'],
+            color: ['color', 'colour'],
+            due_date: ['due', 'due date', 'due_date', 'deadline', 'date'],
+            x: ['x'],
+            y: ['y']
+        };
+
+        const used = new Set();
+        return headers.map(header => {
+            const normalized = header.trim().toLowerCase();
+            const field = Object.keys(aliases).find(key => !used.has(key) && aliases[key].includes(normalized));
+            if (field) used.add(field);
+            return field || '';
+        });
+    }
+
+    // CSV - one card per row; mapping[i] names the card field for column i
+    static fromCSV(text, mapping = null) {
+        const [headers = [], ...rows] = this.parseCSV(text);
+        if (headers.length === 0) {
+            throw new Error('The CSV file is empty');
+        }
+
+        const columns = mapping || this.guessCSVMapping(headers);
+        if (!columns.includes('title') && !columns.includes('body')) {
+            throw new Error('Map at least one column to Title or Front text');
+        }
+
+        const cards = rows.map(cells => {
+            const card = {};
+            columns.forEach((field, index) => {
+                const value = (cells[index] || '').trim();
+                if (!field || !value) return;
+
+                if (field === 'tags') {
+                    card.tags = value.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+                } else if (field === 'x' || field === 'y') {
+                    card[field] = Number(value);
+                } else if (field === 'color') {
+                    card.color = value.startsWith('#') ? value : `#${value}`;
+                } else if (field === 'due_date') {
+                    // Spreadsheet dates like 3/4/2026 parse as local time
+                    const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? null : new Date(value);
+                    card.due_date = !date || isNaN(date.getTime()) ? value.slice(0, 10) :
+                        [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+                            .map(part => String(part).padStart(2, '0')).join('-');
+                } else {
+                    card[field] = value;
+                }
+            });
+            return card;
+        });
+
+        return this.envelope('Imported CSV', cards);
+    }
+
+    // Markdown outline - every heading becomes a card with the text under it
+    // as its body. A lone top-level "# Title" names the board, and cards under
+    // the same top-level section share a column.
+    static fromMarkdown(text) {
+        const lines = text.split(/\r?\n/);
+        const headings = lines
+            .map((line, index) => ({ match: line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/), index }))
+            .filter(({ match }) => match)
+            .map(({ match, index }) => ({ level: match[1].length, title: match[2], index }));
+
+        if (headings.length === 0) {
+            throw new Error('No headings found - each heading becomes a card');
+        }
+
+        let boardName = 'Imported outline';
+        const topLevel = headings.filter(heading => heading.level === 1);
+        if (topLevel.length === 1 && headings[0] === topLevel[0] && headings.length > 1) {
+            boardName = topLevel[0].title;
+            headings.shift();
+        }
+
+        const sectionLevel = Math.min(...headings.map(heading => heading.level));
+        const cards = [];
+        let column = -1;
+        let row = 0;
+        let section = null;
+
+        headings.forEach((heading, i) => {
+            const end = i + 1 < headings.length ? headings[i + 1].index : lines.length;
+            const body = lines.slice(heading.index + 1, end).join('\n').trim();
+
+            if (heading.level === sectionLevel) {
+                column++;
+                row = 0;
+                section = heading.title;
+            }
+
+            cards.push({
+                title: heading.title,
+                body,
+                tags: heading.level > sectionLevel && section ? [section] : [],
+                x: 20 + Math.max(column, 0) * 280,
+                y: 20 + row * 240
+            });
+            row++;
+        });
+
+        return this.envelope(boardName, cards);
+    }
+}
@@ -0,0 +1,258 @@
+// Corkboard Pro - Read-only shared board view (/s/:token)
+
+class SharedBoardView {
+    constructor() {
+        this.token = decodeURIComponent(window.location.pathname.split('/').pop());
+        this.password = null;
+        this.board = null;
+        this.socket = null;
+        this.revoked = false;
+        this.corkBoard = document.querySelector('.cork-board');
+
+        this.corkBoard.addEventListener('click', (e) => this.handleCardClick(e));
+        this.load();
+    }
+
+    async load() {
+        try {
+            const headers = this.password ? { 'X-Share-Password': this.password } : {};
+            const response = await fetch(`${Utils.getConfig().apiBase}/api/shared/${encodeURIComponent(this.token)}`, { headers });
+            const data = await response.json().catch(() => ({}));
+
+            if (response.status === 403 && data.passwordRequired) {
+                this.showPasswordForm(this.password ? data.error : '');
+                return;
+            }
+            if (!response.ok) {
+                this.showMessage(data.error || 'This shared board is not available.');
+                return;
+            }
+
+            this.board = data;
+            this.renderHeader();
+            this.render();
+            this.connect(data.accessToken);
+        } catch (error) {
+            console.error('Failed to load shared board:', error);
+            this.showMessage('Could not reach Corkboard Pro. Please try again later.');
+        }
+    }
+
+    // Live updates from the board's socket room
+    connect(accessToken) {
+        if (typeof io === 'undefined' || !Utils.isFeatureEnabled('collaboration')) return;
+
+        if (this.socket) {
+            this.socket.disconnect();
+        }
+
+        this.socket = io(Utils.getConfig().socketUrl || undefined, {
+            auth: { shareToken: accessToken },
+            transports: ['websocket', 'polling']
+        });
+
+        // Rejoining after a drop brings back the card changes we missed
+        this.socket.on('connect', () => {
+            this.socket.emit('join-board', this.board.id, { since: this.board.op_seq });
+        });
+
+        // Our access token expired - fetch the board again for a fresh one
+        this.socket.on('connect_error', (error) => {
+            if (error.message === 'Unauthorized' && !this.revoked) {
+                this.socket.disconnect();
+                this.load();
+            }
+        });
+
+        this.socket.on('share-revoked', () => {
+            this.revoked = true;
+            this.showMessage('This share link has been revoked.');
+        });
+
+        this.socket.on('join-denied', () => {
+            this.revoked = true;
+            this.socket.disconnect();
+            this.showMessage('This share link is no longer available.');
+        });
+
+        this.socket.on('board-deleted', ({ id }) => {
+            if (id !== this.board.id) return;
+            this.revoked = true;
+            this.socket.disconnect();
+            this.showMessage('This board has been deleted.');
+        });
+
+        ['card-created', 'card-updated', 'card-deleted', 'card-purged'].forEach(type => {
+            this.socket.on(type, (data, op) => this.applyOp(type, data, op ? op.seq : undefined));
+        });
+
+        this.socket.on('board-catch-up', ({ ops }) => {
+            ops.forEach(op => this.applyOp(op.type, op.data, op.seq));
+        });
+
+        this.socket.on('board-snapshot', ({ seq, cards }) => {
+            this.board.cards = cards;
+            this.board.op_seq = seq;
+            this.render();
+        });
+
+        // Merged text of a title or details someone is typing in
+        this.socket.on('card-text', ({ cardId, field, text }) => {
+            const card = this.getCard(cardId);
+            if (card) {
+                card[field] = text;
+                this.render();
+            }
+        });
+
+        this.socket.on('card-position-update', ({ cardId, x, y }) => {
+            const card = this.getCard(cardId);
+            const cardElement = document.getElementById(`card-${cardId}`);
+            if (card && cardElement) {
+                Object.assign(card, { x, y });
+                cardElement.style.left = x + 'px';
+                cardElement.style.top = y + 'px';
+            }
+        });
+
+        this.socket.on('board-updated', (updates) => {
+            if (updates.id && updates.id !== this.board.id) return;
+            Object.assign(this.board, updates);
+            this.renderHeader();
+        });
+    }
+
+    // Apply a numbered card change once; ones we already have are skipped
+    applyOp(type, data, seq) {
+        if (seq !== undefined) {
+            if (seq <= this.board.op_seq) return;
+            this.board.op_seq = seq;
+        }
+
+        if (type === 'card-created') {
+            if (data.board_id !== this.board.id) return;
+            this.board.cards = this.board.cards.filter(card => card.id !== data.id);
+            this.board.cards.push(data);
+        } else if (type === 'card-updated') {
+            const card = this.getCard(data.id);
+            if (!card) return;
+            Object.assign(card, data);
+        } else if (type === 'card-deleted' || type === 'card-purged') {
+            this.board.cards = this.board.cards.filter(card => card.id !== data);
+        }
+        this.render();
+    }
+
+    getCard(cardId) {
+        return this.board?.cards.find(card => card.id === cardId);
+    }
+
+    // Rendering
+    renderHeader() {
+        const { name, color, permission } = this.board;
+
+        document.title = `${name} - Corkboard Pro`;
+        document.querySelector('.shared-board-name').textContent = name;
+        document.querySelector('.shared-board-color').style.backgroundColor = color;
+
+        const openLink = document.querySelector('.shared-open-link');
+        openLink.href = `/?join=${encodeURIComponent(this.token)}`;
+        openLink.textContent = permission === 'edit' ? 'Sign in to edit' : 'Add to my boards';
+    }
+
+    render() {
+        this.corkBoard.innerHTML = this.board.cards.map(card => this.renderCard(card)).join('');
+    }
+
+    renderCard(card) {
+        const color = card.color || '#fef3c7';
+        const textColor = Utils.getContrastColor(color);
+        const cardStyle = `background-color: ${color}; color: ${textColor};`;
+        const isOverdue = card.due_date && Utils.isOverdue(card.due_date);
+        const isUpcoming = card.due_date && Utils.isUpcoming(card.due_date);
+
+        const links = (card.links || [])
+            .filter(link => Utils.isValidURL(link.url) && /^https?:/i.test(link.url))
+            .map(link => `
+                <a class="card-link" href="${Utils.sanitizeHTML(link.url)}" target="_blank" rel="noopener">
+                    🔗 ${Utils.sanitizeHTML(link.name)}
+                </a>
+            `).join('');
+
+        const attachments = (card.attachments || []).map(attachment => `
+            <a class="card-attachment ${attachment.mimeType.startsWith('image/') ? 'image' : ''}"
+               href="${attachment.url}" target="_blank" rel="noopener" title="${Utils.sanitizeHTML(attachment.originalName)}">
+                ${attachment.mimeType.startsWith('image/') ?
+                    `<img class="card-attachment-thumb" src="${attachment.renditions?.thumb.url || attachment.url}" alt="${Utils.sanitizeHTML(attachment.originalName)}" loading="lazy">` :
+                    `📎 <span class="card-attachment-name">${Utils.sanitizeHTML(attachment.originalName)}</span>`}
+            </a>
+        `).join('');
+
+        return `
+            <div class="note-card ${card.is_flipped ? 'flipped' : ''}" id="card-${card.id}" data-card-id="${card.id}"
+                 style="left: ${card.x}px; top: ${card.y}px; z-index: ${card.z_index || 1};">
+                <div class="note-card-inner">
+                    <div class="note-card-front" style="${cardStyle}">
+                        <div class="card-content">
+                            <textarea class="card-topic" readonly tabindex="-1">${Utils.sanitizeHTML(card.title || '')}</textarea>
+                            <div class="card-meta">
+                                ${card.due_date ? `
+                                    <div class="card-due-date ${isOverdue ? 'overdue' : isUpcoming ? 'upcoming' : ''}">
+                                        📅 ${Utils.formatDate(card.due_date)}
+                                    </div>
+                                ` : ''}
+                            </div>
+                            <div class="card-links">${links}</div>
+                        </div>
+                    </div>
+                    <div class="note-card-back" style="${cardStyle}">
+                        <div class="card-content">
+                            <textarea class="card-details" readonly tabindex="-1">${Utils.sanitizeHTML(card.details || '')}</textarea>
+                            <div class="card-attachments">${attachments}</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Flipping is local only - nothing is saved
+    handleCardClick(event) {
+        if (event.target.closest('a')) return;
+
+        const cardElement = event.target.closest('.note-card');
+        if (cardElement) {
+            cardElement.classList.toggle('flipped');
+        }
+    }
+
+    showMessage(message) {
+        this.corkBoard.innerHTML = `<div class="shared-message">${Utils.sanitizeHTML(message)}</div>`;
+    }
+
+    showPasswordForm(error) {
+        this.corkBoard.innerHTML = `
+            <form class="shared-password-form">
+                <h2>Password required</h2>
+                <p>This shared board is password protected.</p>
+                <input type="password" class="form-input" placeholder="Password" autocomplete="off" required>
+                <div class="auth-error">${Utils.sanitizeHTML(error || '')}</div>
+                <button type="submit" class="btn btn-primary">View board</button>
+            </form>
+        `;
+
+        const form = this.corkBoard.querySelector('.shared-password-form');
+        const input = form.querySelector('input');
+        input.focus();
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.password = input.value;
+            this.load();
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.sharedBoard = new SharedBoardView();
+});
@@ -97,7 +97,7 @@ class StorageManager extends EventEmitter {
     // Server Storage Operations
     async saveToServer(endpoint, data) {
         try {
-            const response = await fetch(`/api/${endpoint}`, {
+            const response = await fetch(`${Utils.getConfig().apiBase}/api/${endpoint}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -122,7 +122,7 @@ class StorageManager extends EventEmitter {
 
     async loadFromServer(endpoint) {
         try {
-            const response = await fetch(`/api/${endpoint}`);
+            const response = await fetch(`${Utils.getConfig().apiBase}/api/${endpoint}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -140,7 +140,7 @@ class StorageManager extends EventEmitter {
 
     async updateOnServer(endpoint, data) {
         try {
-            const response = await fetch(`/api/${endpoint}`, {
+            const response = await fetch(`${Utils.getConfig().apiBase}/api/${endpoint}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
@@ -165,7 +165,7 @@ class StorageManager extends EventEmitter {
 
     async deleteFromServer(endpoint) {
         try {
-            const response = await fetch(`/api/${endpoint}`, {
+            const response = await fetch(`${Utils.getConfig().apiBase}/api/${endpoint}`, {
                 method: 'DELETE'
             });
 
@@ -0,0 +1,227 @@
+// Corkboard Pro - Operational transformation for plain text
+//
+// An operation walks the whole document from start to end as a list of
+// components: a positive number retains that many characters, a string inserts
+// it, and a negative number deletes that many characters. "ab" -> "aXb" is
+// [1, 'X', 1]. Operations made at the same time against the same text can be
+// transformed over each other so both sides end up with the same document.
+// Loaded by the browser as a global and by the server with require().
+
+const TextOperation = {
+    isRetain: (component) => typeof component === 'number' && component > 0,
+    isInsert: (component) => typeof component === 'string',
+    isDelete: (component) => typeof component === 'number' && component < 0,
+
+    // Append a component, merging it into the last one where possible
+    push(op, component) {
+        if (component === 0 || component === '') return op;
+
+        const last = op[op.length - 1];
+        if (TextOperation.isInsert(component) && TextOperation.isDelete(last)) {
+            // Inserts go before deletes at the same spot so equal edits compare equal
+            const beforeLast = op[op.length - 2];
+            if (TextOperation.isInsert(beforeLast)) {
+                op[op.length - 2] = beforeLast + component;
+            } else {
+                op.splice(op.length - 1, 0, component);
+            }
+        } else if (last !== undefined && typeof last === typeof component &&
+            (TextOperation.isInsert(component) || Math.sign(last) === Math.sign(component))) {
+            op[op.length - 1] = last + component;
+        } else {
+            op.push(component);
+        }
+        return op;
+    },
+
+    // Length of the text the operation applies to
+    baseLength(op) {
+        return op.reduce((length, component) => (TextOperation.isInsert(component) ?
+            length : length + Math.abs(component)), 0);
+    },
+
+    // Length of the text it produces
+    targetLength(op) {
+        return op.reduce((length, component) => {
+            if (TextOperation.isInsert(component)) return length + component.length;
+            return TextOperation.isRetain(component) ? length + component : length;
+        }, 0);
+    },
+
+    isNoop(op) {
+        return op.every(component => TextOperation.isRetain(component));
+    },
+
+    // Checks shape only - a list of non-zero numbers and non-empty strings
+    isValid(op) {
+        return Array.isArray(op) && op.every(component =>
+            (typeof component === 'number' && Number.isInteger(component) && component !== 0) ||
+            (typeof component === 'string' && component.length > 0));
+    },
+
+    apply(text, op) {
+        if (TextOperation.baseLength(op) !== text.length) {
+            throw new Error('Operation does not match the text it is applied to');
+        }
+
+        let index = 0;
+        const parts = [];
+        op.forEach(component => {
+            if (TextOperation.isInsert(component)) {
+                parts.push(component);
+            } else if (TextOperation.isRetain(component)) {
+                parts.push(text.slice(index, index + component));
+                index += component;
+            } else {
+                index -= component;
+            }
+        });
+        return parts.join('');
+    },
+
+    // The single edit that turns before into after - what one input event does
+    fromDiff(before, after) {
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+        let end = 0;
+        while (end < before.length - start && end < after.length - start &&
+            before[before.length - 1 - end] === after[after.length - 1 - end]) {
+            end++;
+        }
+
+        const op = [];
+        TextOperation.push(op, start);
+        TextOperation.push(op, -(before.length - start - end));
+        TextOperation.push(op, after.slice(start, after.length - end));
+        TextOperation.push(op, end);
+        return op;
+    },
+
+    // One operation with the effect of a followed by b
+    compose(a, b) {
+        if (TextOperation.targetLength(a) !== TextOperation.baseLength(b)) {
+            throw new Error('Operations cannot be composed');
+        }
+
+        const result = [];
+        const ops1 = a.slice();
+        const ops2 = b.slice();
+        let op1 = ops1.shift();
+        let op2 = ops2.shift();
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isDelete(op1)) {
+                TextOperation.push(result, op1);
+                op1 = ops1.shift();
+            } else if (TextOperation.isInsert(op2)) {
+                TextOperation.push(result, op2);
+                op2 = ops2.shift();
+            } else if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const length = Math.min(op1, op2);
+                TextOperation.push(result, length);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else if (TextOperation.isInsert(op1) && TextOperation.isDelete(op2)) {
+                const length = Math.min(op1.length, -op2);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else if (TextOperation.isInsert(op1) && TextOperation.isRetain(op2)) {
+                const length = Math.min(op1.length, op2);
+                TextOperation.push(result, op1.slice(0, length));
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else if (TextOperation.isRetain(op1) && TextOperation.isDelete(op2)) {
+                const length = Math.min(op1, -op2);
+                TextOperation.push(result, -length);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else {
+                throw new Error('Operations cannot be composed');
+            }
+        }
+        return result;
+    },
+
+    // Transform concurrent operations a and b, made against the same text, into
+    // [a', b'] so that a then b' and b then a' give the same result. When both
+    // insert at the same spot, a's text goes first.
+    transform(a, b) {
+        if (TextOperation.baseLength(a) !== TextOperation.baseLength(b)) {
+            throw new Error('Operations were not made against the same text');
+        }
+
+        const aPrime = [];
+        const bPrime = [];
+        const ops1 = a.slice();
+        const ops2 = b.slice();
+        let op1 = ops1.shift();
+        let op2 = ops2.shift();
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isInsert(op1)) {
+                TextOperation.push(aPrime, op1);
+                TextOperation.push(bPrime, op1.length);
+                op1 = ops1.shift();
+            } else if (TextOperation.isInsert(op2)) {
+                TextOperation.push(aPrime, op2.length);
+                TextOperation.push(bPrime, op2);
+                op2 = ops2.shift();
+            } else if (op1 === undefined || op2 === undefined) {
+                throw new Error('Operations were not made against the same text');
+            } else if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const length = Math.min(op1, op2);
+                TextOperation.push(aPrime, length);
+                TextOperation.push(bPrime, length);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isDelete(op2)) {
+                // Both deleted the same characters
+                const length = Math.min(-op1, -op2);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isRetain(op2)) {
+                const length = Math.min(-op1, op2);
+                TextOperation.push(aPrime, -length);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            } else {
+                const length = Math.min(op1, -op2);
+                TextOperation.push(bPrime, -length);
+                [op1, op2] = TextOperation.rest(op1, op2, length, ops1, ops2);
+            }
+        }
+        return [aPrime, bPrime];
+    },
+
+    // What is left of two components after consuming length of each, moving
+    // on to the next component when one is used up
+    rest(op1, op2, length, ops1, ops2) {
+        const shorten = (component, length) => {
+            if (TextOperation.isInsert(component)) return component.slice(length);
+            return component > 0 ? component - length : component + length;
+        };
+        const size = (component) => (TextOperation.isInsert(component) ? component.length : Math.abs(component));
+
+        const next1 = size(op1) === length ? ops1.shift() : shorten(op1, length);
+        const next2 = size(op2) === length ? ops2.shift() : shorten(op2, length);
+        return [next1, next2];
+    },
+
+    // Where a caret at index ends up after op. The caret stays in front of
+    // text inserted exactly where it is.
+    transformIndex(op, index) {
+        let position = 0;
+        let result = index;
+        for (const component of op) {
+            if (position > index) break;
+            if (TextOperation.isRetain(component)) {
+                position += component;
+            } else if (TextOperation.isInsert(component)) {
+                if (position < index) result += component.length;
+            } else {
+                result -= Math.min(-component, index - position);
+                position -= component;
+            }
+        }
+        return Math.max(0, result);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextOperation;
+}
@@ -0,0 +1,404 @@
+// Corkboard Pro - Live editing of card titles and details
+//
+// While a card's title or details are being edited, each change goes to the
+// server as a text operation (text-ot.js) and other editors' changes are
+// merged in as they arrive, keeping the local caret where it was. Per field,
+// at most one operation waits for the server's acknowledgement; typing in the
+// meantime is buffered into a second one. Other people's carets are drawn
+// over the textarea. Without a connection nothing is opened and the app's
+// periodic save writes the whole field as before.
+
+class CardTextSync extends EventEmitter {
+    constructor(collaboration) {
+        super();
+        this.collaboration = collaboration;
+        this.fields = new Map();
+        this.carets = new Map();
+
+        this.collaboration.on('remote-text-op', (data) => this.handleRemoteOp(data));
+        this.collaboration.on('remote-text', (data) => this.handleRemoteText(data));
+        this.collaboration.on('remote-text-caret', (data) => this.handleRemoteCaret(data));
+        this.collaboration.on('connected', () => this.fields.forEach(state => this.resync(state)));
+        this.collaboration.on('disconnected', () => this.clearCarets());
+        this.collaboration.on('board-left', () => this.clearCarets());
+
+        document.addEventListener('input', (e) => this.handleInput(e.target));
+        ['keyup', 'mouseup'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                const state = this.stateFor(e.target);
+                if (state) this.scheduleCaret(state);
+            });
+        });
+        document.addEventListener('scroll', (e) => {
+            const target = CardTextSync.describe(e.target);
+            if (target) this.renderCarets(target.cardId, target.field);
+        }, true);
+    }
+
+    static key(cardId, field) {
+        return `${cardId}:${field}`;
+    }
+
+    // { cardId, field } for a card's title or details textarea
+    static describe(element) {
+        if (!(element instanceof HTMLTextAreaElement)) return null;
+
+        const field = element.classList.contains('card-topic') ? 'title' :
+            element.classList.contains('card-details') ? 'details' : null;
+        const cardElement = element.closest('.note-card');
+        if (!field || !cardElement) return null;
+        return { cardId: cardElement.id.replace(/^card-/, ''), field };
+    }
+
+    static textareaFor(cardId, field) {
+        const selector = field === 'title' ? '.card-topic' : '.card-details';
+        const cardElement = document.getElementById(`card-${cardId}`);
+        return cardElement ? cardElement.querySelector(selector) : null;
+    }
+
+    stateFor(element) {
+        const target = CardTextSync.describe(element);
+        return target ? this.fields.get(CardTextSync.key(target.cardId, target.field)) : null;
+    }
+
+    isOpen(cardId, field) {
+        return this.fields.has(CardTextSync.key(cardId, field));
+    }
+
+    // Start merging a textarea's edits. Resolves false when there is no
+    // connection to merge over.
+    async open(textarea) {
+        const target = CardTextSync.describe(textarea);
+        if (!target || !this.collaboration.connected || !this.collaboration.currentBoard) return false;
+
+        const existing = this.fields.get(CardTextSync.key(target.cardId, target.field));
+        if (existing) {
+            existing.closing = false;
+            return true;
+        }
+
+        const state = {
+            ...target,
+            session: null,
+            version: 0,
+            serverText: textarea.value,   // the server's text at version
+            text: textarea.value,         // the text on screen
+            startText: textarea.value,
+            sent: null,
+            sendId: 0,
+            buffer: null,
+            remoteEdits: false,
+            closing: false,
+            caretTimer: null
+        };
+        this.fields.set(CardTextSync.key(state.cardId, state.field), state);
+        await new Promise(resolve => this.connect(state, resolve));
+        return this.isCurrent(state);
+    }
+
+    // Stop merging. Returns { startText, text, remoteEdits } for the edit as a
+    // whole; changes still on their way to the server are sent first.
+    close(cardId, field) {
+        const state = this.fields.get(CardTextSync.key(cardId, field));
+        if (!state) return null;
+
+        state.closing = true;
+        clearTimeout(state.caretTimer);
+        this.finishClose(state);
+        return { startText: state.startText, text: state.text, remoteEdits: state.remoteEdits };
+    }
+
+    finishClose(state) {
+        if (!state.closing || state.sent || state.buffer) return;
+        this.fields.delete(CardTextSync.key(state.cardId, state.field));
+        this.collaboration.closeCardText(state.cardId, state.field);
+    }
+
+    isCurrent(state) {
+        return this.fields.get(CardTextSync.key(state.cardId, state.field)) === state;
+    }
+
+    // Fetch the server's text and merge it with anything typed since the
+    // text we last had from the server
+    connect(state, done = () => {}) {
+        this.collaboration.openCardText(state.cardId, state.field, (response) => {
+            this.handleOpened(state, response);
+            done();
+        });
+    }
+
+    handleOpened(state, response) {
+        if (!this.isCurrent(state)) return;
+
+        if (response.error) {
+            // The app's periodic save takes over
+            this.fields.delete(CardTextSync.key(state.cardId, state.field));
+            this.emit('unavailable', { cardId: state.cardId, field: state.field, text: state.text, error: response.error });
+            return;
+        }
+
+        const local = TextOperation.fromDiff(state.serverText, state.text);
+        const remote = TextOperation.fromDiff(state.serverText, response.text);
+        const [localPrime, remotePrime] = TextOperation.transform(local, remote);
+
+        state.session = response.session;
+        state.version = response.version;
+        state.serverText = response.text;
+        state.sent = null;
+        state.buffer = null;
+        this.applyToTextarea(state, remotePrime);
+        this.emit('text-changed', { cardId: state.cardId, field: state.field, text: state.text });
+        if (!TextOperation.isNoop(localPrime)) {
+            this.send(state, localPrime);
+        } else {
+            this.finishClose(state);
+        }
+    }
+
+    // Start over from the server's current text, keeping local edits. Offline,
+    // this waits for the 'connected' event.
+    resync(state) {
+        state.session = null;
+        state.sent = null;
+        state.sendId++;
+        state.buffer = null;
+        if (this.collaboration.connected) {
+            this.connect(state);
+        }
+    }
+
+    handleInput(element) {
+        const state = this.stateFor(element);
+        if (!state || element.value === state.text) return;
+
+        const op = TextOperation.fromDiff(state.text, element.value);
+        state.text = element.value;
+        this.transformCarets(state, op);
+        this.scheduleCaret(state);
+
+        // Until the field is connected, edits are picked up by connect()
+        if (!state.session) return;
+
+        this.emit('text-changed', { cardId: state.cardId, field: state.field, text: state.text });
+        if (state.sent) {
+            state.buffer = state.buffer ? TextOperation.compose(state.buffer, op) : op;
+        } else {
+            this.send(state, op);
+        }
+    }
+
+    send(state, op) {
+        const sendId = ++state.sendId;
+        state.sent = op;
+        this.collaboration.sendCardTextOp({
+            cardId: state.cardId,
+            field: state.field,
+            session: state.session,
+            version: state.version,
+            op
+        }, (response) => {
+            // Ignore answers to operations a resync has replaced
+            if (this.isCurrent(state) && state.sendId === sendId) {
+                this.handleAck(state, response);
+            }
+        });
+    }
+
+    handleAck(state, response) {
+        if (response.error) {
+            if (response.resync) {
+                this.resync(state);
+            } else {
+                this.reject(state, response.error);
+            }
+            return;
+        }
+
+        // The server applied our operation as transformed so far
+        state.serverText = TextOperation.apply(state.serverText, state.sent);
+        state.version = response.version;
+        state.sent = null;
+        if (state.buffer) {
+            const buffer = state.buffer;
+            state.buffer = null;
+            this.send(state, buffer);
+        } else {
+            this.finishClose(state);
+        }
+    }
+
+    // The server refused an edit (e.g. the text got too long) - go back to
+    // its text and drop what was typed since
+    reject(state, message) {
+        const op = TextOperation.fromDiff(state.text, state.serverText);
+        state.sent = null;
+        state.sendId++;
+        state.buffer = null;
+        this.applyToTextarea(state, op);
+        this.emit('text-changed', { cardId: state.cardId, field: state.field, text: state.text });
+        this.emit('error', { cardId: state.cardId, field: state.field, message });
+        this.finishClose(state);
+    }
+
+    handleRemoteOp(data) {
+        const state = this.fields.get(CardTextSync.key(data.cardId, data.field));
+        if (!state || !state.session) return;
+        if (data.version !== state.version + 1) {
+            this.resync(state);
+            return;
+        }
+
+        let op = data.op;
+        state.serverText = TextOperation.apply(state.serverText, op);
+        state.version = data.version;
+        if (state.sent) {
+            [state.sent, op] = TextOperation.transform(state.sent, op);
+        }
+        if (state.buffer) {
+            [state.buffer, op] = TextOperation.transform(state.buffer, op);
+        }
+        state.remoteEdits = true;
+        this.applyToTextarea(state, op);
+        this.emit('text-changed', { cardId: state.cardId, field: state.field, text: state.text, remote: true });
+    }
+
+    // Merged text of a field we are not editing
+    handleRemoteText({ cardId, field, text }) {
+        if (this.isOpen(cardId, field)) return;
+
+        const textarea = CardTextSync.textareaFor(cardId, field);
+        if (textarea && textarea.value !== text) {
+            this.transformCarets({ cardId, field }, TextOperation.fromDiff(textarea.value, text));
+            textarea.value = text;
+            this.renderCarets(cardId, field);
+        }
+        this.emit('text-changed', { cardId, field, text, remote: true });
+    }
+
+    // Apply an operation to the text on screen, keeping the selection in place
+    applyToTextarea(state, op) {
+        if (TextOperation.isNoop(op)) return;
+
+        state.text = TextOperation.apply(state.text, op);
+        this.transformCarets(state, op);
+
+        const textarea = CardTextSync.textareaFor(state.cardId, state.field);
+        if (textarea) {
+            const focused = document.activeElement === textarea;
+            const start = TextOperation.transformIndex(op, textarea.selectionStart);
+            const end = TextOperation.transformIndex(op, textarea.selectionEnd);
+            textarea.value = state.text;
+            if (focused) {
+                textarea.setSelectionRange(start, end);
+            }
+        }
+        this.renderCarets(state.cardId, state.field);
+    }
+
+    // Remote carets
+
+    scheduleCaret(state) {
+        if (state.caretTimer) return;
+        state.caretTimer = setTimeout(() => {
+            state.caretTimer = null;
+            const textarea = CardTextSync.textareaFor(state.cardId, state.field);
+            if (textarea && this.isCurrent(state) && !state.closing) {
+                this.collaboration.broadcastTextCaret(state.cardId, state.field, textarea.selectionStart);
+            }
+        }, 80);
+    }
+
+    handleRemoteCaret({ cardId, field, index, clientId, user }) {
+        const previous = this.carets.get(clientId);
+        if (previous) {
+            previous.element.remove();
+            this.carets.delete(clientId);
+        }
+        if (index === null || index === undefined || !user) return;
+
+        const element = document.createElement('div');
+        element.className = 'text-caret';
+        element.style.setProperty('--caret-color', this.collaboration.getUserColor(user.id));
+        element.innerHTML = `<span class="text-caret-label">${Utils.sanitizeHTML(user.name || 'Someone')}</span>`;
+        this.carets.set(clientId, { cardId, field, index, element });
+        this.renderCarets(cardId, field);
+    }
+
+    transformCarets({ cardId, field }, op) {
+        this.carets.forEach(caret => {
+            if (caret.cardId === cardId && caret.field === field) {
+                caret.index = TextOperation.transformIndex(op, caret.index);
+            }
+        });
+    }
+
+    // Place the carets for one field, or for every field after a re-render
+    renderCarets(cardId = null, field = null) {
+        this.carets.forEach(caret => {
+            if (cardId && (caret.cardId !== cardId || caret.field !== field)) return;
+
+            const textarea = CardTextSync.textareaFor(caret.cardId, caret.field);
+            if (!textarea) {
+                caret.element.remove();
+                return;
+            }
+            if (caret.element.parentNode !== textarea.parentNode) {
+                textarea.parentNode.appendChild(caret.element);
+            }
+
+            const index = Math.min(caret.index, textarea.value.length);
+            const position = CardTextSync.caretCoordinates(textarea, index);
+            const top = position.top - textarea.scrollTop;
+            const visible = top >= 0 && top + position.height <= textarea.clientHeight + 1;
+            caret.element.style.display = visible ? 'block' : 'none';
+            caret.element.style.left = `${textarea.offsetLeft + position.left - textarea.scrollLeft}px`;
+            caret.element.style.top = `${textarea.offsetTop + top}px`;
+            caret.element.style.height = `${position.height}px`;
+        });
+    }
+
+    clearCarets() {
+        this.carets.forEach(caret => caret.element.remove());
+        this.carets.clear();
+    }
+
+    // Where character index sits inside a textarea, relative to its border
+    // box, found by laying the text out in a hidden copy with the same styles
+    static caretCoordinates(textarea, index) {
+        const style = window.getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+        ['boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+            'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+            'textTransform', 'textIndent', 'wordSpacing', 'tabSize'].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            visibility: 'hidden',
+            top: '0',
+            left: '-9999px',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            overflow: 'hidden'
+        });
+
+        mirror.textContent = textarea.value.slice(0, index);
+        const marker = document.createElement('span');
+        marker.textContent = textarea.value.slice(index) || '.';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+        const position = {
+            top: marker.offsetTop,
+            left: marker.offsetLeft,
+            height: lineHeight
+        };
+        mirror.remove();
+        return position;
+    }
+}
+
+// Initialize global text sync
+const textSync = new CardTextSync(collaboration);
@@ -0,0 +1,226 @@
+// Corkboard Pro - Command-based undo/redo
+//
+// Each undoable action is recorded as a command that holds only what it
+// changed, never a copy of the board:
+//   { type: 'create', cardId }              card was created
+//   { type: 'delete', cardId }              card was moved to the trash
+//   { type: 'update', cardId, before, after } fields' old and new values
+//   { type: 'batch', commands }             several of the above as one step
+// Undo and redo replay the inverse (or the original) through boardManager, so
+// the server stores the result and broadcasts it to the board room. Deleted
+// cards sit in the trash, so create and delete invert by trashing and
+// restoring the same card.
+//
+// The history only ever holds the signed-in user's own actions; remote
+// changes are never recorded, and signing in as someone else starts afresh.
+// Replaying never overwrites a collaborator's work: an update only puts back
+// fields that still hold the value this user set, and a card is only trashed
+// again if nobody else has edited it since. What was skipped is reported as
+// conflicts ({ cardId, field, user, reason }) and left out of the command
+// that moves to the other stack, so redo only repeats what undo did.
+
+class UndoManager extends EventEmitter {
+    constructor(limit = 50) {
+        super();
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.running = false;
+        this.userId = null;
+    }
+
+    // Command builders - label reads after "Undo"/"Redo" in status messages
+    static create(cardId, label = 'create card') {
+        return { type: 'create', cardId, label };
+    }
+
+    static delete(cardId, label = 'delete card') {
+        return { type: 'delete', cardId, label };
+    }
+
+    // Only the fields in after are kept; values are cloned so later edits to
+    // the card can't change what undo puts back
+    static update(cardId, before, after, label = 'edit card') {
+        const fields = Object.keys(after);
+        const pick = (values) => fields.reduce((result, field) => {
+            result[field] = Utils.deepClone(values[field] === undefined ? null : values[field]);
+            return result;
+        }, {});
+        return { type: 'update', cardId, before: pick(before), after: pick(after), label };
+    }
+
+    static batch(commands, label) {
+        return { type: 'batch', commands, label };
+    }
+
+    // Update commands whose values didn't change are not worth an undo step
+    static isEmpty(command) {
+        if (command.type === 'batch') {
+            return command.commands.every(item => UndoManager.isEmpty(item));
+        }
+        if (command.type === 'update') {
+            return JSON.stringify(command.before) === JSON.stringify(command.after);
+        }
+        return false;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Commands the replay left nothing of
+    static isSpent(command) {
+        return !command || (command.type === 'batch' && command.commands.length === 0);
+    }
+
+    // Drop another user's history when the account changes
+    syncUser() {
+        const userId = api.user ? api.user.id : null;
+        if (userId !== this.userId) {
+            this.userId = userId;
+            this.undoStack.length = 0;
+            this.redoStack.length = 0;
+        }
+    }
+
+    record(command) {
+        if (this.running || UndoManager.isEmpty(command)) return;
+        this.syncUser();
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = []; // A new action ends the redo history
+        this.emit('change');
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('change');
+    }
+
+    // Resolves with { command, applied, conflicts }, or null when there is
+    // nothing to undo. Only the parts that could be applied move to the redo
+    // stack; a command that fails, or that conflicts entirely, is dropped.
+    async undo() {
+        return this.step(this.undoStack, this.redoStack, 'undo');
+    }
+
+    async redo() {
+        return this.step(this.redoStack, this.undoStack, 'redo');
+    }
+
+    async step(from, to, direction) {
+        this.syncUser();
+        if (this.running || from.length === 0) return null;
+
+        const command = from.pop();
+        const conflicts = [];
+        this.running = true;
+        try {
+            const applied = await this.apply(command, direction, conflicts);
+            const spent = UndoManager.isSpent(applied);
+            if (!spent) {
+                to.push(applied);
+            }
+            return { command, applied: !spent, conflicts };
+        } finally {
+            this.running = false;
+            this.emit('change');
+        }
+    }
+
+    // Replays a command and resolves with what of it was applied, or null
+    async apply(command, direction, conflicts) {
+        const undoing = direction === 'undo';
+
+        switch (command.type) {
+            case 'create':
+                return undoing ? this.trash(command, conflicts) : this.restore(command, conflicts);
+            case 'delete':
+                return undoing ? this.restore(command, conflicts) : this.trash(command, conflicts);
+            case 'update':
+                return this.revert(command, undoing, conflicts);
+            case 'batch': {
+                const commands = undoing ? [...command.commands].reverse() : command.commands;
+                const applied = [];
+                for (const item of commands) {
+                    const result = await this.apply(item, direction, conflicts);
+                    if (result) applied.push(result);
+                }
+                return { ...command, commands: undoing ? applied.reverse() : applied };
+            }
+            default:
+                throw new Error(`Unknown undo command: ${command.type}`);
+        }
+    }
+
+    // Trash a card again, unless a collaborator has edited it since this
+    // user created or restored it
+    async trash(command, conflicts) {
+        const user = await this.editedByOthers(command.cardId);
+        if (user) {
+            conflicts.push({ cardId: command.cardId, field: null, user, reason: 'edited' });
+            return null;
+        }
+        return (await this.unlessMissing(boardManager.deleteCard(command.cardId), command, conflicts)) ? command : null;
+    }
+
+    async restore(command, conflicts) {
+        return (await this.unlessMissing(boardManager.restoreCard(command.cardId), command, conflicts)) ? command : null;
+    }
+
+    // Put back only the fields nobody else has changed since
+    async revert(command, undoing, conflicts) {
+        const values = undoing ? command.before : command.after;
+        const expected = undoing ? command.after : command.before;
+        const result = await this.unlessMissing(
+            boardManager.undoCardChange(command.cardId, values, expected), command, conflicts);
+        if (!result) return null;
+
+        result.conflicts.forEach(({ field, user }) => {
+            conflicts.push({ cardId: command.cardId, field, user, reason: 'changed' });
+        });
+        const skipped = result.conflicts.map(conflict => conflict.field);
+        const kept = Object.keys(values).filter(field => !skipped.includes(field));
+        if (kept.length === 0) return null;
+
+        const pick = (source) => kept.reduce((picked, field) => {
+            picked[field] = source[field];
+            return picked;
+        }, {});
+        return { ...command, before: pick(command.before), after: pick(command.after) };
+    }
+
+    // A card that was deleted for good, or already restored or trashed by
+    // someone else, is reported and skipped rather than failing the step
+    async unlessMissing(promise, command, conflicts) {
+        try {
+            return await promise;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            conflicts.push({ cardId: command.cardId, field: null, user: null, reason: 'missing' });
+            return null;
+        }
+    }
+
+    // The collaborator who last edited a card after this user's latest
+    // create or restore of it, or null
+    async editedByOthers(cardId) {
+        const { revisions } = await api.getCardHistory(cardId);
+        for (const revision of revisions) {
+            const mine = revision.user && revision.user.id === this.userId;
+            if (mine && ['create', 'undelete'].includes(revision.action)) return null;
+            if (!mine && revision.changes && Object.keys(revision.changes).length > 0) {
+                return revision.user || { id: null, name: null };
+            }
+        }
+        return null;
+    }
+}
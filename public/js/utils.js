@@ -2,6 +2,33 @@
 console.log('📚 Utils.js loaded');
 
 class Utils {
+    // Runtime settings from window.CORKBOARD_CONFIG (see config.js), with
+    // defaults for anything left out. An empty apiBase or socketUrl means the
+    // origin the page came from.
+    static getConfig() {
+        const config = window.CORKBOARD_CONFIG || {};
+        const apiBase = (config.apiBase || '').replace(/\/+$/, '');
+        return {
+            apiBase,
+            socketUrl: (config.socketUrl || apiBase).replace(/\/+$/, ''),
+            features: {
+                collaboration: true,
+                sharing: true,
+                attachments: true,
+                ...config.features
+            },
+            uploads: {
+                maxFileSize: 5 * 1024 * 1024,
+                allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'text/markdown'],
+                ...config.uploads
+            }
+        };
+    }
+
+    static isFeatureEnabled(feature) {
+        return Utils.getConfig().features[feature] !== false;
+    }
+
     // Generate unique IDs
     static generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -341,6 +368,55 @@ class Utils {
             .replace(/\n/gim, '<br>');
     }
 
+    // Word-level diff of two strings as [{ type: 'same' | 'added' | 'removed', text }].
+    // Texts too long to compare word by word come back as one removal and one addition.
+    static diffWords(before, after, maxCells = 1000000) {
+        const a = (before || '').split(/(\s+)/).filter(Boolean);
+        const b = (after || '').split(/(\s+)/).filter(Boolean);
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        if (a.length * b.length > maxCells) {
+            if (a.length) push('removed', a.join(''));
+            if (b.length) push('added', b.join(''));
+            return parts;
+        }
+
+        // Longest common subsequence lengths, filled from the end
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j] ?
+                    lengths[(i + 1) * width + j + 1] + 1 :
+                    Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i++]);
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+        return parts;
+    }
+
     // Validate email format
     static isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -357,6 +433,15 @@ class Utils {
         }
     }
 
+    // Card links may only open the protocols the API accepts for them
+    static isSafeLinkURL(string) {
+        try {
+            return ['http:', 'https:', 'mailto:'].includes(new URL(string).protocol);
+        } catch (_) {
+            return false;
+        }
+    }
+
     // Get file extension
     static getFileExtension(filename) {
         return filename.slice((filename.lastIndexOf('.') - 1 >>> 0) + 2);
@@ -1,7 +1,7 @@
 // Corkboard Pro - Service Worker
 
 const CACHE_NAME = 'corkboard-pro-v1.0.0';
-const STATIC_CACHE = 'static-v1';
+const STATIC_CACHE = 'static-v2';
 const DYNAMIC_CACHE = 'dynamic-v1';
 const MAX_DYNAMIC_CACHE_SIZE = 50;
 
@@ -10,11 +10,16 @@ const STATIC_ASSETS = [
   '/',
   '/index.html',
   '/css/styles.css',
+  '/js/config.js',
   '/js/utils.js',
   '/js/storage.js',
   '/js/api.js',
   '/js/collaboration.js',
+  '/js/text-ot.js',
+  '/js/text-sync.js',
   '/js/components.js',
+  '/js/importers.js',
+  '/js/undo.js',
   '/js/app.js',
   '/images/corkboard-pattern.svg',
   '/manifest.json',
@@ -26,7 +31,8 @@ const STATIC_ASSETS = [
 // Routes that should always go to network first
 const NETWORK_FIRST_ROUTES = [
   '/api/',
-  '/socket.io/'
+  '/socket.io/',
+  '/js/config.js' // runtime settings - checked before the /js/ cache below
 ];
 
 // Routes that should be cached first
@@ -0,0 +1,68 @@
+// Run database migrations from the command line
+//
+//   node scripts/migrate.js status
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps <count>]
+
+const sqlite3 = require('sqlite3');
+const { DB_PATH } = require('../lib/db');
+const migrations = require('../lib/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js status | up [--to <version>] | down [--steps <count>]';
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`--${name} needs a positive whole number`);
+  }
+  return value;
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+async function printStatus(db) {
+  const rows = await migrations.status(db);
+  console.log(`Database: ${DB_PATH}`);
+  rows.forEach(row => {
+    const state = row.missing ? 'missing file' : (row.applied_at ? `applied ${row.applied_at}` : 'pending');
+    console.log(`  ${label(row).padEnd(32)} ${state}`);
+  });
+
+  const pending = rows.filter(row => !row.applied_at).length;
+  console.log(pending > 0 ? `${pending} pending migration${pending === 1 ? '' : 's'}` : 'Schema is up to date');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const db = new sqlite3.Database(DB_PATH);
+
+  try {
+    if (command === 'status') {
+      await printStatus(db);
+    } else if (command === 'up') {
+      const applied = await migrations.migrateUp(db, { to: readOption(args, 'to') });
+      applied.forEach(migration => console.log(`Applied ${label(migration)}`));
+      console.log(applied.length > 0 ? 'Done' : 'Nothing to apply');
+    } else if (command === 'down') {
+      const rolledBack = await migrations.migrateDown(db, { steps: readOption(args, 'steps') });
+      rolledBack.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+      console.log(rolledBack.length > 0 ? 'Done' : 'Nothing to roll back');
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -8,19 +8,49 @@ const compression = require('compression');
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const multer = require('multer');
-const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
+const auth = require('./lib/auth');
+const search = require('./lib/search');
+const boardExport = require('./lib/export');
+const boardImport = require('./lib/import');
+const attachments = require('./lib/attachments');
+const images = require('./lib/images');
+const revisions = require('./lib/revisions');
+const trash = require('./lib/trash');
+const cardText = require('./lib/card-text');
+const boardOps = require('./lib/board-ops');
+const boardColumns = require('./lib/board-columns');
+const presence = require('./lib/presence');
+const cardLeases = require('./lib/card-leases');
+const { validate, validateBody, MAX_ATTACHMENT_SIZE, ATTACHMENT_TYPES } = require('./lib/validation');
+const dbHelpers = require('./lib/db');
+const config = require('./lib/config');
+const migrations = require('./lib/migrations');
+const { COLLABORATOR_ROLES, hasRole, getBoardRole, boardIdFrom, requireBoardRole } = require('./lib/permissions');
+
+// Pages from other origins may use the API and sockets only when listed in
+// CORS_ORIGIN. Without it, production allows none and development allows any
+// localhost port, for the front end served by npm run frontend.
+function corsOrigin() {
+  if (config.corsOrigins.includes('*')) {
+    return true;
+  }
+  if (config.corsOrigins.length > 0) {
+    return config.corsOrigins;
+  }
+  return process.env.NODE_ENV === 'production' ? false : /^http:\/\/localhost(:\d+)?$/;
+}
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIO(server, {
   cors: {
-    origin: process.env.NODE_ENV === 'production' ? false : "http://localhost:*",
+    origin: corsOrigin(),
     methods: ["GET", "POST"]
   }
 });
 
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
 // Health check endpoint for Railway
 app.get('/health', (req, res) => {
@@ -41,91 +71,54 @@ app.use(helmet({
       scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
       imgSrc: ["'self'", "data:", "blob:"],
-      connectSrc: ["'self'", "ws:", "wss:"]
+      connectSrc: ["'self'", "ws:", "wss:",
+        ...new Set([config.apiBase, config.socketUrl].filter(Boolean).map(url => new URL(url).origin))]
     }
   }
 }));
 
 app.use(compression());
-app.use(cors());
+app.use(cors({ origin: corsOrigin() }));
+// Imports carry inlined attachments, so they get a bigger body limit
+app.use('/api/boards/import', express.json({ limit: '50mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Initialize database
-const db = new sqlite3.Database('./corkboard.db');
-
-// Create tables
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS boards (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    color TEXT DEFAULT '#8b6914',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    owner_id TEXT,
-    is_public BOOLEAN DEFAULT 0,
-    share_token TEXT UNIQUE
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS cards (
-    id TEXT PRIMARY KEY,
-    board_id TEXT,
-    title TEXT,
-    body TEXT,
-    details TEXT,
-    color TEXT DEFAULT '#fef3c7',
-    x INTEGER DEFAULT 0,
-    y INTEGER DEFAULT 0,
-    z_index INTEGER DEFAULT 1,
-    tags TEXT,
-    due_date DATE,
-    is_flipped BOOLEAN DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS attachments (
-    id TEXT PRIMARY KEY,
-    card_id TEXT,
-    filename TEXT,
-    original_name TEXT,
-    mime_type TEXT,
-    size INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (card_id) REFERENCES cards (id) ON DELETE CASCADE
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS board_collaborators (
-    board_id TEXT,
-    user_id TEXT,
-    role TEXT DEFAULT 'viewer',
-    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE
-  )`);
-
-  // Add links column to cards table if it doesn't exist
-  db.run(`ALTER TABLE cards ADD COLUMN links TEXT`, (err) => {
-    if (err && !err.message.includes('duplicate column name')) {
-      console.error('Error adding links column:', err);
-    } else {
-      console.log('Links column added to cards table (or already exists)');
+// Runtime settings for the browser (see lib/config.js). This replaces the
+// public/js/config.js used when the front end is served on its own.
+function clientConfig() {
+  return {
+    apiBase: config.apiBase,
+    socketUrl: config.socketUrl,
+    features: config.features,
+    uploads: {
+      maxFileSize: MAX_ATTACHMENT_SIZE,
+      allowedTypes: ATTACHMENT_TYPES
     }
-  });
+  };
+}
+
+app.get('/js/config.js', (req, res) => {
+  res.type('application/javascript')
+    .set('Cache-Control', 'no-cache')
+    .send(`window.CORKBOARD_CONFIG = window.CORKBOARD_CONFIG || ${JSON.stringify(clientConfig())};\n`);
 });
 
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/uploads', express.static(attachments.UPLOAD_DIR));
+
+// Initialize database - the schema is brought up to date by the migrations
+// in migrations/ before the server starts listening
+const db = new sqlite3.Database(dbHelpers.DB_PATH);
+
 // File upload configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = './uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!fs.existsSync(attachments.UPLOAD_DIR)) {
+      fs.mkdirSync(attachments.UPLOAD_DIR, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, attachments.UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueName = `${uuidv4()}-${Date.now()}-${file.originalname}`;
@@ -136,7 +129,7 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_ATTACHMENT_SIZE
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|gif|webp|pdf|txt|md/;
@@ -151,11 +144,835 @@ const upload = multer({
   }
 });
 
-// API Routes
+// upload.single, but rejected files (wrong type, too large) get a 400 with the
+// reason instead of falling through to the generic error handler
+function uploadFile(field) {
+  return (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ?
+          `File is too large (max ${+(MAX_ATTACHMENT_SIZE / 1024 / 1024).toFixed(1)}MB)` : err.message;
+        return res.status(400).json({ error: message });
+      }
+      next();
+    });
+  };
+}
+
+// Store a new refresh token and hand back a full session for the user
+function issueSession(user, callback) {
+  const tokenId = uuidv4();
+  const refreshToken = auth.signRefreshToken(user, tokenId);
+  const { exp } = auth.verifyToken(refreshToken, 'refresh');
+
+  db.run('INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES (?, ?, ?)',
+    [tokenId, user.id, new Date(exp * 1000).toISOString()], function(err) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, {
+      user: auth.publicUser(user),
+      accessToken: auth.signAccessToken(user),
+      refreshToken
+    });
+  });
+}
+
+// Auth Routes (public)
+
+// Register
+app.post('/api/auth/register', async (req, res) => {
+  const { email, password, name } = req.body;
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+  if (!password || password.length < auth.MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${auth.MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const user = {
+      id: uuidv4(),
+      email: email.trim().toLowerCase(),
+      name: (name && name.trim()) || email.split('@')[0]
+    };
+    const passwordHash = await auth.hashPassword(password);
+
+    db.run('INSERT INTO users (id, email, name, password_hash) VALUES (?, ?, ?, ?)',
+      [user.id, user.email, user.name, passwordHash], function(err) {
+      if (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: 'An account with that email already exists' });
+        }
+        return res.status(500).json({ error: err.message });
+      }
+
+      // The first account on an existing install takes over boards created before accounts existed
+      db.run(`UPDATE boards SET owner_id = ?
+              WHERE owner_id IS NULL AND (SELECT COUNT(*) FROM users) = 1`, [user.id], (err) => {
+        if (err) {
+          console.error('Error assigning existing boards:', err);
+        }
+
+        issueSession(user, (err, session) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.status(201).json(session);
+        });
+      });
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Login
+app.post('/api/auth/login', (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+
+  db.get('SELECT * FROM users WHERE email = ?', [email.trim().toLowerCase()], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    try {
+      if (!user || !(await auth.verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      issueSession(user, (err, session) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json(session);
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// Refresh - rotates the refresh token so each one can only be used once
+app.post('/api/auth/refresh', (req, res) => {
+  let payload;
+  try {
+    payload = auth.verifyToken(req.body.refreshToken, 'refresh');
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  db.run('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [payload.jti, payload.sub], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(401).json({ error: 'Refresh token has been revoked' });
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [payload.sub], (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!user) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+
+      issueSession(user, (err, session) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json(session);
+      });
+    });
+  });
+});
+
+// Logout - revokes the refresh token; access tokens expire on their own
+app.post('/api/auth/logout', (req, res) => {
+  let payload;
+  try {
+    payload = auth.verifyToken(req.body.refreshToken, 'refresh');
+  } catch (error) {
+    return res.json({ success: true });
+  }
+
+  db.run('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [payload.jti], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json({ success: true });
+  });
+});
+
+// Share Links
+
+const SHARE_PERMISSIONS = ['view', 'edit'];
+
+// Shape a share_links row for the board owner
+function formatShareLink(link) {
+  return {
+    id: link.id,
+    token: link.token,
+    permission: link.permission,
+    expires_at: link.expires_at,
+    has_password: Boolean(link.password_hash),
+    created_at: link.created_at,
+    url: `/s/${link.token}`
+  };
+}
+
+// Middleware - 404s routes for a feature turned off in the config
+function requireFeature(feature, label) {
+  return (req, res, next) => {
+    if (!config.features[feature]) {
+      return res.status(404).json({ error: `${label} is turned off on this server` });
+    }
+    next();
+  };
+}
+
+// Middleware - resolves req.params.token to an active share link, checking
+// expiry and the password sent in X-Share-Password (or body.password)
+function requireShareLink(req, res, next) {
+  db.get('SELECT * FROM share_links WHERE token = ? AND revoked_at IS NULL', [req.params.token], async (err, link) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!link) {
+      return res.status(404).json({ error: 'This share link does not exist or has been revoked' });
+    }
+    if (link.expires_at && new Date(link.expires_at) < new Date()) {
+      return res.status(410).json({ error: 'This share link has expired' });
+    }
+
+    if (link.password_hash) {
+      // 403 rather than 401 so API clients don't mistake this for an expired session
+      const password = req.get('X-Share-Password') || (req.body && req.body.password);
+      try {
+        if (!password || !(await auth.verifyPassword(password, link.password_hash))) {
+          return res.status(403).json({
+            error: password ? 'Incorrect password' : 'This share link is password protected',
+            passwordRequired: true
+          });
+        }
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+
+    req.shareLink = link;
+    next();
+  });
+}
+
+// Disconnect anonymous viewers that came in through a link that no longer works
+function disconnectShareViewers(tokens) {
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.share && tokens.includes(socket.share.token)) {
+      socket.emit('share-revoked');
+      socket.disconnect(true);
+    }
+  }
+}
+
+// Get board by share token (read-only, public)
+app.get('/api/shared/:token', requireFeature('sharing', 'Sharing'), requireShareLink, (req, res) => {
+  const link = req.shareLink;
+
+  db.get('SELECT id, name, color, updated_at, op_seq FROM boards WHERE id = ? AND deleted_at IS NULL', [link.board_id], (err, board) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+    
+    db.all('SELECT * FROM cards WHERE board_id = ? AND deleted_at IS NULL ORDER BY z_index', [board.id], (err, cards) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      
+      cards.forEach(card => {
+        card.tags = card.tags ? JSON.parse(card.tags) : [];
+        card.links = card.links ? JSON.parse(card.links) : [];
+      });
+      
+      attachments.attachToCards(db, board.id, cards, (err) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        res.json({
+          ...board,
+          cards,
+          permission: link.permission,
+          accessToken: auth.signShareToken(link)
+        });
+      });
+    });
+  });
+});
+
+// Same settings as /js/config.js, for clients that are not a page from here
+app.get('/api/config', (req, res) => {
+  res.json(clientConfig());
+});
+
+// Every other API route requires a signed-in user
+app.use('/api', auth.authenticate);
+
+// API Routes
+
+// Current user
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// Get all boards the user owns or collaborates on
+app.get('/api/boards', (req, res) => {
+  db.all(`SELECT b.*, CASE WHEN b.owner_id = ? THEN 'owner' ELSE c.role END AS role
+          FROM boards b
+          LEFT JOIN board_collaborators c ON c.board_id = b.id AND c.user_id = ?
+          WHERE (b.owner_id = ? OR c.user_id IS NOT NULL) AND b.deleted_at IS NULL
+          ORDER BY b.updated_at DESC`,
+    [req.user.id, req.user.id, req.user.id], (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows);
+  });
+});
+
+// A board's cards as the API returns them, or just one of them with cardId
+async function loadBoardCards(boardId, cardId = null) {
+  const cards = cardId ?
+    await dbHelpers.all(db, 'SELECT * FROM cards WHERE id = ? AND board_id = ? AND deleted_at IS NULL', [cardId, boardId]) :
+    await dbHelpers.all(db, 'SELECT * FROM cards WHERE board_id = ? AND deleted_at IS NULL ORDER BY z_index', [boardId]);
+  
+  // Parse tags and links for each card
+  cards.forEach(card => {
+    card.tags = card.tags ? JSON.parse(card.tags) : [];
+    card.links = card.links ? JSON.parse(card.links) : [];
+  });
+  
+  await new Promise((resolve, reject) => {
+    attachments.attachToCards(db, boardId, cards, err => (err ? reject(err) : resolve()));
+  });
+  return cards;
+}
+
+// Get board with cards. op_seq is the number of the board's latest operation,
+// for catching up over the socket later.
+app.get('/api/boards/:id', requireBoardRole(db, 'viewer'), async (req, res) => {
+  const boardId = req.params.id;
+  
+  try {
+    const board = await dbHelpers.get(db, 'SELECT * FROM boards WHERE id = ?', [boardId]);
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+    
+    const cards = await loadBoardCards(boardId);
+    const columns = await boardColumns.listColumns(db, boardId);
+    res.json({ ...board, role: req.boardRole, cards, columns });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create board
+app.post('/api/boards', validateBody('board'), (req, res) => {
+  const { name, color } = req.body;
+  const boardId = uuidv4();
+  
+  db.run('INSERT INTO boards (id, name, color, owner_id) VALUES (?, ?, ?, ?)',
+    [boardId, name, color, req.user.id], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json({ id: boardId, name, color, owner_id: req.user.id, role: 'owner' });
+  });
+});
+
+// Import a board export as a new board. Invalid cards are skipped and
+// reported; everything that is accepted is written in one transaction.
+app.post('/api/boards/import', async (req, res) => {
+  const validation = boardImport.validateImport(req.body);
+  if (validation.errors) {
+    return res.status(400).json({ error: 'Invalid import', details: validation.errors });
+  }
+
+  try {
+    const report = await boardImport.importBoard(db, req.user.id, validation);
+    res.status(201).json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update board
+app.put('/api/boards/:id', requireBoardRole(db, 'editor'), validateBody('board', { partial: true }), (req, res) => {
+  const updates = req.body;
+  const boardId = req.params.id;
+  
+  // Field names come from the board schema, never from the client
+  const fields = Object.keys(updates);
+  const setClause = fields.map(field => `${field} = ?`).join(', ');
+  
+  db.run(`UPDATE boards SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...fields.map(field => updates[field]), boardId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    broadcastBoardChange(boardId, 'board-updated', { id: boardId, ...updates });
+    res.json({ success: true });
+  });
+});
+
+// Delete board - moves it to the trash, cards and all
+app.delete('/api/boards/:id', requireBoardRole(db, 'owner'), (req, res) => {
+  const boardId = req.params.id;
+  
+  db.run('UPDATE boards SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?', [req.user.id, boardId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    
+    // Everyone looking at it is moved off, then the room is emptied
+    broadcastBoardChange(boardId, 'board-deleted', {
+      id: boardId,
+      deleted_by: { id: req.user.id, name: req.user.name }
+    }).then(() => forEachBoardSocket(boardId, socket => socket.leaveBoardRoom(boardId)));
+    res.json({ success: true });
+  });
+});
+
+// Kanban columns. Every change sends the board room the whole list as
+// board-columns; cards move between columns with the card update route.
+function broadcastColumns(boardId) {
+  return boardColumns.listColumns(db, boardId)
+    .then(columns => io.to(`board-${boardId}`).emit('board-columns', { boardId, columns }))
+    .catch(err => console.error(`Failed to send columns for board ${boardId}:`, err.message));
+}
+
+app.get('/api/boards/:id/columns', requireBoardRole(db, 'viewer'), async (req, res) => {
+  try {
+    res.json({ columns: await boardColumns.listColumns(db, req.boardId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/boards/:id/columns', requireBoardRole(db, 'editor'), validateBody('column'), async (req, res) => {
+  try {
+    const column = await boardColumns.createColumn(db, req.boardId, req.body);
+    broadcastColumns(req.boardId);
+    res.status(201).json(column);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/boards/:id/columns/:columnId', requireBoardRole(db, 'editor'), validateBody('column', { partial: true }),
+  async (req, res) => {
+  try {
+    const column = await boardColumns.updateColumn(db, req.boardId, req.params.columnId, req.body);
+    if (!column) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
+    broadcastColumns(req.boardId);
+    res.json(column);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a column - its cards stay on the board, outside any column
+app.delete('/api/boards/:id/columns/:columnId', requireBoardRole(db, 'editor'), async (req, res) => {
+  try {
+    const cardIds = await boardColumns.deleteColumn(db, req.boardId, req.params.columnId);
+    if (!cardIds) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
+    cardIds.forEach(cardId => publishOp(req.boardId, 'card-updated', { id: cardId, column_id: null, column_position: null }));
+    broadcastColumns(req.boardId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export a board as a file - json (attachments inlined unless attachments=none),
+// markdown, csv, a static html snapshot, or a zip of board.json plus attachments
+app.get('/api/boards/:id/export', requireBoardRole(db, 'viewer'), (req, res) => {
+  const format = req.query.format || 'json';
+  const attachments = req.query.attachments || 'inline';
+
+  if (!boardExport.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${boardExport.EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!['inline', 'none'].includes(attachments)) {
+    return res.status(400).json({ error: 'Attachments must be one of: inline, none' });
+  }
+
+  boardExport.loadBoard(db, req.boardId, async (err, board) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+
+    try {
+      await boardExport.sendExport(res, board, format, { attachments });
+    } catch (error) {
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// A card's kanban column must be on the board the card is on, or is moving
+// to. Moving a card to another board takes it out of its column.
+async function requireColumnOnBoard(req, res, next) {
+  const boardId = req.body.board_id || req.boardId;
+  if (boardId !== req.boardId && req.body.column_id === undefined) {
+    req.body.column_id = null;
+    req.body.column_position = null;
+  }
+  if (!req.body.column_id) {
+    return next();
+  }
+
+  try {
+    const column = await boardColumns.getColumn(db, req.body.column_id);
+    if (!column || column.board_id !== boardId) {
+      return res.status(400).json({ error: 'Invalid card', fields: { column_id: 'is not a column on this board' } });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Create card
+app.post('/api/cards', validateBody('card'), requireBoardRole(db, 'editor', boardIdFrom.body), requireColumnOnBoard,
+  async (req, res) => {
+  const { board_id, title, body, details, color, x, y, z_index, tags, links, due_date, is_flipped } = req.body;
+  const column_id = req.body.column_id || null;
+  const column_position = column_id ? req.body.column_position ?? null : null;
+  const cardId = uuidv4();
+  
+  try {
+    await dbHelpers.transaction(db, async () => {
+      await dbHelpers.run(db, `INSERT INTO cards (id, board_id, title, body, details, color, x, y, z_index, tags, links, due_date, is_flipped,
+                                                  column_id, column_position)
+                               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [cardId, board_id, title, body, details, color, x, y, z_index, JSON.stringify(tags), JSON.stringify(links),
+          due_date, is_flipped ? 1 : 0, column_id, column_position]);
+      const row = await dbHelpers.get(db, 'SELECT * FROM cards WHERE id = ?', [cardId]);
+      await revisions.recordEvent(db, row, req.user.id, 'create');
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  
+  const newCard = {
+    id: cardId,
+    board_id,
+    title,
+    body,
+    details,
+    color,
+    x,
+    y,
+    z_index,
+    tags,
+    links,
+    due_date,
+    is_flipped,
+    column_id,
+    column_position
+  };
+  
+  // Broadcast to all clients in the board room
+  publishOp(board_id, 'card-created', newCard);
+  
+  res.json(newCard);
+});
+
+// Moving a card to another board needs edit rights on the destination too
+function requireEditorOnTargetBoard(req, res, next) {
+  if (!req.body.board_id || req.body.board_id === req.boardId) {
+    return next();
+  }
+
+  getBoardRole(db, req.body.board_id, req.user.id, (err, access) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!hasRole(access.role, 'editor') || access.deleted) {
+      return res.status(403).json({ error: 'You cannot move cards to that board' });
+    }
+    next();
+  });
+}
+
+// Update card - only fields that actually change are written, and they are
+// recorded as a revision
+app.put('/api/cards/:id', requireBoardRole(db, 'editor', boardIdFrom.card), validateBody('card', { partial: true }),
+  requireEditorOnTargetBoard, requireColumnOnBoard, async (req, res) => {
+  const cardId = req.params.id;
+  const updates = req.body;
+  
+  try {
+    const result = await revisions.updateCard(db, cardId, updates, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    
+    if (result.changes.board_id) {
+      // Moved - it leaves one board and turns up on the other
+      publishOp(req.boardId, 'card-deleted', cardId);
+      const [card] = await loadBoardCards(updates.board_id, cardId);
+      if (card) {
+        publishOp(updates.board_id, 'card-created', card);
+      }
+    } else if (Object.keys(result.changes).length > 0) {
+      publishOp(req.boardId, 'card-updated', { id: cardId, ...updates });
+    }
+    if (Object.keys(result.changes).length > 0) {
+      syncOpenText(cardId, updates);
+    }
+    
+    res.json({ success: true, revision_id: result.revisionId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revision history of a card, newest first
+app.get('/api/cards/:id/history', requireBoardRole(db, 'viewer', boardIdFrom.card), async (req, res) => {
+  try {
+    res.json({ revisions: await revisions.listRevisions(db, req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Restore a card's content to how it was at one of its revisions
+app.post('/api/cards/:id/restore/:revisionId', requireBoardRole(db, 'editor', boardIdFrom.card), async (req, res) => {
+  const cardId = req.params.id;
+  
+  try {
+    const result = await revisions.restoreRevision(db, cardId, req.params.revisionId, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const restored = Object.keys(result.changes).reduce((values, field) => {
+      values[field] = result.changes[field].to;
+      return values;
+    }, {});
+    if (result.revisionId) {
+      publishOp(req.boardId, 'card-updated', { id: cardId, ...restored });
+      syncOpenText(cardId, restored);
+    }
+    
+    res.json({ success: true, revision_id: result.revisionId, updates: restored });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Undo or redo an edit: each field in values is only written if the card
+// still holds the value in expected, so changes collaborators made since are
+// kept. Fields that were skipped come back as conflicts with who changed them.
+app.post('/api/cards/:id/undo', requireBoardRole(db, 'editor', boardIdFrom.card), async (req, res) => {
+  const cardId = req.params.id;
+  const { values, expected } = req.body || {};
+  
+  const checked = validate('card', values, { partial: true, prefix: 'values.' });
+  if (checked.errors) {
+    return res.status(400).json({ error: 'Invalid card', fields: checked.errors });
+  }
+  if (expected === null || typeof expected !== 'object' || Array.isArray(expected)) {
+    return res.status(400).json({ error: 'Invalid card', fields: { expected: 'must be an object' } });
+  }
+  if (checked.values.board_id && checked.values.board_id !== req.boardId) {
+    return res.status(400).json({ error: 'Moves between boards cannot be undone' });
+  }
+  
+  try {
+    const result = await revisions.undoCardChange(db, cardId, checked.values, expected, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    
+    const applied = Object.keys(result.changes).reduce((values, field) => {
+      values[field] = result.changes[field].to;
+      return values;
+    }, {});
+    if (result.revisionId) {
+      publishOp(req.boardId, 'card-updated', { id: cardId, ...applied });
+      syncOpenText(cardId, applied);
+    }
+    
+    res.json({ success: true, revision_id: result.revisionId, updates: applied, conflicts: result.conflicts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete card - moves it to the trash
+app.delete('/api/cards/:id', requireBoardRole(db, 'editor', boardIdFrom.card), async (req, res) => {
+  const cardId = req.params.id;
+  
+  try {
+    await dbHelpers.transaction(db, async () => {
+      await dbHelpers.run(db, 'UPDATE cards SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?',
+        [req.user.id, cardId]);
+      const row = await dbHelpers.get(db, 'SELECT * FROM cards WHERE id = ?', [cardId]);
+      await revisions.recordEvent(db, row, req.user.id, 'delete');
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  
+  publishOp(req.boardId, 'card-deleted', cardId);
+  res.json({ success: true });
+});
+
+// Trash
+
+// Trashed boards the user owns and trashed cards they can restore, optionally
+// for one board (?board_id=)
+app.get('/api/trash', async (req, res) => {
+  try {
+    res.json(await trash.listTrash(db, req.user.id, { boardId: req.query.board_id || null }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete everything in the user's trash for good, or one board's trashed
+// cards - only what is on boards they own
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const { boards, cards, purgedCards } = await trash.emptyTrash(db, req.user.id,
+      { boardId: req.query.board_id || null });
+    purgedCards.forEach(card => publishOp(card.board_id, 'card-purged', card.id));
+    res.json({ boards, cards });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Put a trashed card back on its board
+app.post('/api/trash/cards/:id/restore', requireBoardRole(db, 'editor', boardIdFrom.trashedCard), async (req, res) => {
+  const cardId = req.params.id;
+  let card;
+  
+  try {
+    card = await dbHelpers.transaction(db, async () => {
+      await dbHelpers.run(db, 'UPDATE cards SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [cardId]);
+      const row = await dbHelpers.get(db, 'SELECT * FROM cards WHERE id = ?', [cardId]);
+      await revisions.recordEvent(db, row, req.user.id, 'undelete');
+      return row;
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  
+  card.tags = card.tags ? JSON.parse(card.tags) : [];
+  card.links = card.links ? JSON.parse(card.links) : [];
+  attachments.attachToCards(db, card.board_id, [card], (err) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    
+    publishOp(card.board_id, 'card-created', card);
+    res.json(card);
+  });
+});
+
+// Delete a trashed card for good (owner only)
+app.delete('/api/trash/cards/:id', requireBoardRole(db, 'owner', boardIdFrom.trashedCard), async (req, res) => {
+  try {
+    await trash.purgeCards(db, [req.params.id]);
+    publishOp(req.boardId, 'card-purged', req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bring a trashed board back with the cards it had
+app.post('/api/trash/boards/:id/restore', requireBoardRole(db, 'owner', boardIdFrom.trashedBoard, { includeDeleted: true }), (req, res) => {
+  const boardId = req.params.id;
+  
+  db.run('UPDATE boards SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [boardId], (err) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    
+    db.get('SELECT * FROM boards WHERE id = ?', [boardId], (err, board) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      sendBoardToMembers(board, 'restored');
+      res.json({ ...board, role: req.boardRole });
+    });
+  });
+});
+
+// Delete a trashed board for good
+app.delete('/api/trash/boards/:id', requireBoardRole(db, 'owner', boardIdFrom.trashedBoard, { includeDeleted: true }), async (req, res) => {
+  try {
+    await trash.purgeBoards(db, [req.params.id]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search cards across every board the user can see
+app.get('/api/search', (req, res) => {
+  const { error, options } = search.parseSearchParams(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-// Get all boards
-app.get('/api/boards', (req, res) => {
-  db.all('SELECT * FROM boards ORDER BY updated_at DESC', (err, rows) => {
+  search.searchCards(db, req.user.id, options, (err, results) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json({ query: options.query, results });
+  });
+});
+
+// Collaborators
+
+// List the owner and collaborators of a board
+app.get('/api/boards/:id/collaborators', requireBoardRole(db, 'viewer'), (req, res) => {
+  db.all(`SELECT u.id AS user_id, u.email, u.name, 'owner' AS role, b.created_at AS joined_at
+          FROM boards b JOIN users u ON u.id = b.owner_id
+          WHERE b.id = ?
+          UNION ALL
+          SELECT u.id AS user_id, u.email, u.name, c.role, c.joined_at
+          FROM board_collaborators c JOIN users u ON u.id = c.user_id
+          WHERE c.board_id = ?`,
+    [req.boardId, req.boardId], (err, rows) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
@@ -163,168 +980,245 @@ app.get('/api/boards', (req, res) => {
   });
 });
 
-// Get board with cards
-app.get('/api/boards/:id', (req, res) => {
-  const boardId = req.params.id;
-  
-  db.get('SELECT * FROM boards WHERE id = ?', [boardId], (err, board) => {
+// Who has the board open right now: each signed-in user once, whether they
+// are active or idle, and the card fields they are editing
+app.get('/api/boards/:id/presence', requireBoardRole(db, 'viewer'), (req, res) => {
+  res.json({ users: presence.list(req.boardId) });
+});
+
+// Invite a registered user by email
+app.post('/api/boards/:id/collaborators', requireBoardRole(db, 'owner'), (req, res) => {
+  const { email, role = 'viewer' } = req.body;
+
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+  }
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  db.get('SELECT id, email, name FROM users WHERE email = ?', [email.trim().toLowerCase()], (err, user) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (!board) {
-      return res.status(404).json({ error: 'Board not found' });
+    if (!user) {
+      return res.status(404).json({ error: 'No user with that email' });
     }
-    
-    db.all('SELECT * FROM cards WHERE board_id = ? ORDER BY z_index', [boardId], (err, cards) => {
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You already own this board' });
+    }
+
+    db.run('INSERT INTO board_collaborators (board_id, user_id, role) VALUES (?, ?, ?)',
+      [req.boardId, user.id, role], function(err) {
       if (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: 'That user is already a collaborator' });
+        }
         return res.status(500).json({ error: err.message });
       }
-      
-      // Parse tags and links for each card
-      cards.forEach(card => {
-        card.tags = card.tags ? JSON.parse(card.tags) : [];
-        card.links = card.links ? JSON.parse(card.links) : [];
-      });
-      
-      res.json({ ...board, cards });
+
+      sendBoardToUser(req.boardId, user.id, role, 'shared');
+      broadcastBoardChange(req.boardId, 'board-collaborators-changed', { boardId: req.boardId });
+      res.status(201).json({ user_id: user.id, email: user.email, name: user.name, role });
     });
   });
 });
 
-// Create board
-app.post('/api/boards', (req, res) => {
-  const { name, color } = req.body;
-  const boardId = uuidv4();
-  const shareToken = uuidv4();
-  
-  db.run('INSERT INTO boards (id, name, color, share_token) VALUES (?, ?, ?, ?)',
-    [boardId, name, color || '#8b6914', shareToken], function(err) {
+// Change a collaborator's role
+app.put('/api/boards/:id/collaborators/:userId', requireBoardRole(db, 'owner'), (req, res) => {
+  const { role } = req.body;
+
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+  }
+
+  db.run('UPDATE board_collaborators SET role = ? WHERE board_id = ? AND user_id = ?',
+    [role, req.boardId, req.params.userId], function(err) {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    res.json({ id: boardId, name, color, share_token: shareToken });
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    
+    // Their open sockets act on the new role straight away, and viewers stop
+    // editing whatever they had open
+    forEachBoardSocket(req.boardId, (socket) => {
+      if (socket.user && socket.user.id === req.params.userId) {
+        socket.boardRoles.set(req.boardId, role);
+        if (!hasRole(role, 'editor')) {
+          socket.stopEditing(req.boardId);
+        }
+      }
+    });
+    io.to(`user-${req.params.userId}`).emit('board-updated', { id: req.boardId, role });
+    broadcastBoardChange(req.boardId, 'board-collaborators-changed', { boardId: req.boardId });
+    res.json({ success: true });
   });
 });
 
-// Update board
-app.put('/api/boards/:id', (req, res) => {
-  const { name, color } = req.body;
-  const boardId = req.params.id;
-  
-  db.run('UPDATE boards SET name = ?, color = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [name, color, boardId], function(err) {
+// Remove a collaborator - owners can remove anyone, collaborators can leave
+app.delete('/api/boards/:id/collaborators/:userId', requireBoardRole(db, 'viewer'), (req, res) => {
+  if (req.boardRole !== 'owner' && req.params.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the board owner can remove collaborators' });
+  }
+
+  db.run('DELETE FROM board_collaborators WHERE board_id = ? AND user_id = ?',
+    [req.boardId, req.params.userId], function(err) {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    
+    const userId = req.params.userId;
+    io.to(`user-${userId}`).emit('board-removed', { id: req.boardId, by_owner: userId !== req.user.id });
+    forEachBoardSocket(req.boardId, (socket) => {
+      if (socket.user && socket.user.id === userId) {
+        socket.leaveBoardRoom(req.boardId);
+      }
+    });
+    broadcastBoardChange(req.boardId, 'board-collaborators-changed', { boardId: req.boardId });
     res.json({ success: true });
   });
 });
 
-// Delete board
-app.delete('/api/boards/:id', (req, res) => {
-  const boardId = req.params.id;
-  
-  db.run('DELETE FROM boards WHERE id = ?', [boardId], function(err) {
+// Sharing
+
+// Join a board through a share link - view links add the user as a viewer,
+// edit links as an editor. Existing access is never downgraded.
+app.post('/api/shared/:token/join', requireFeature('sharing', 'Sharing'), requireShareLink, (req, res) => {
+  const link = req.shareLink;
+  const grantedRole = link.permission === 'edit' ? 'editor' : 'viewer';
+
+  getBoardRole(db, link.board_id, req.user.id, (err, access) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    res.json({ success: true });
-  });
-});
+    if (!access.exists || access.deleted) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+    if (access.role && hasRole(access.role, grantedRole)) {
+      return res.json({ board_id: link.board_id, role: access.role });
+    }
 
-// Create card
-app.post('/api/cards', (req, res) => {
-  const { board_id, title, body, details, color, x, y, z_index, tags, due_date } = req.body;
-  const cardId = uuidv4();
-  
-  db.run(`INSERT INTO cards (id, board_id, title, body, details, color, x, y, z_index, tags, due_date)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [cardId, board_id, title, body, details, color, x, y, z_index, JSON.stringify(tags || []), due_date],
-    function(err) {
+    const sql = access.role ?
+      'UPDATE board_collaborators SET role = ? WHERE board_id = ? AND user_id = ?' :
+      'INSERT INTO board_collaborators (role, board_id, user_id) VALUES (?, ?, ?)';
+
+    db.run(sql, [grantedRole, link.board_id, req.user.id], function(err) {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
-      
-      const newCard = {
-        id: cardId,
-        board_id,
-        title,
-        body,
-        details,
-        color,
-        x,
-        y,
-        z_index,
-        tags: tags || [],
-        due_date
-      };
-      
-      // Broadcast to all clients in the board room
-      io.to(`board-${board_id}`).emit('card-created', newCard);
-      
-      res.json(newCard);
+      forEachBoardSocket(link.board_id, (socket) => {
+        if (socket.user && socket.user.id === req.user.id) {
+          socket.boardRoles.set(link.board_id, grantedRole);
+        }
+      });
+      sendBoardToUser(link.board_id, req.user.id, grantedRole, 'shared');
+      broadcastBoardChange(link.board_id, 'board-collaborators-changed', { boardId: link.board_id });
+      res.json({ board_id: link.board_id, role: grantedRole });
     });
+  });
 });
 
-// Update card
-app.put('/api/cards/:id', (req, res) => {
-  const cardId = req.params.id;
-  const updates = req.body;
-  
-  // Build dynamic update query
-  const fields = Object.keys(updates).filter(key => key !== 'id');
-  const setClause = fields.map(field => `${field} = ?`).join(', ');
-  const values = fields.map(field => {
-    if (field === 'tags' || field === 'links') {
-      return JSON.stringify(updates[field] || []);
+// List active share links
+app.get('/api/boards/:id/share', requireBoardRole(db, 'owner'), (req, res) => {
+  db.all(`SELECT * FROM share_links
+          WHERE board_id = ? AND revoked_at IS NULL
+          ORDER BY created_at DESC`, [req.boardId], (err, links) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
     }
-    return updates[field];
+    res.json(links.map(formatShareLink));
   });
-  values.push(cardId);
-  
-  db.run(`UPDATE cards SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-    values, function(err) {
+});
+
+// Create a share link
+app.post('/api/boards/:id/share', requireFeature('sharing', 'Sharing'), requireBoardRole(db, 'owner'), async (req, res) => {
+  const { permission = 'view', expires_at: expiresAt, password } = req.body;
+
+  if (!SHARE_PERMISSIONS.includes(permission)) {
+    return res.status(400).json({ error: `Permission must be one of: ${SHARE_PERMISSIONS.join(', ')}` });
+  }
+  if (expiresAt && !(new Date(expiresAt) > new Date())) {
+    return res.status(400).json({ error: 'Expiry must be a date in the future' });
+  }
+
+  try {
+    const link = {
+      id: uuidv4(),
+      board_id: req.boardId,
+      token: uuidv4(),
+      permission,
+      password_hash: password ? await auth.hashPassword(password) : null,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+      created_at: new Date().toISOString()
+    };
+
+    db.run(`INSERT INTO share_links (id, board_id, token, permission, password_hash, expires_at, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [link.id, link.board_id, link.token, link.permission, link.password_hash, link.expires_at, req.user.id, link.created_at],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.status(201).json(formatShareLink(link));
+      });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rotate a share link - same settings, new token; the old URL stops working
+app.post('/api/boards/:id/share/:linkId/rotate', requireBoardRole(db, 'owner'), (req, res) => {
+  db.get('SELECT * FROM share_links WHERE id = ? AND board_id = ? AND revoked_at IS NULL',
+    [req.params.linkId, req.boardId], (err, link) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    
-    // Get the board_id for broadcasting
-    db.get('SELECT board_id FROM cards WHERE id = ?', [cardId], (err, card) => {
-      if (!err && card) {
-        io.to(`board-${card.board_id}`).emit('card-updated', { id: cardId, ...updates });
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const newToken = uuidv4();
+    db.run('UPDATE share_links SET token = ? WHERE id = ?', [newToken, link.id], function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
       }
+      disconnectShareViewers([link.token]);
+      res.json(formatShareLink({ ...link, token: newToken }));
     });
-    
-    res.json({ success: true });
   });
 });
 
-// Delete card
-app.delete('/api/cards/:id', (req, res) => {
-  const cardId = req.params.id;
-  
-  // Get the board_id before deletion
-  db.get('SELECT board_id FROM cards WHERE id = ?', [cardId], (err, card) => {
+// Revoke one share link, or every link on the board when no link id is given
+app.delete('/api/boards/:id/share/:linkId?', requireBoardRole(db, 'owner'), (req, res) => {
+  const linkFilter = req.params.linkId ? ' AND id = ?' : '';
+  const params = req.params.linkId ? [req.boardId, req.params.linkId] : [req.boardId];
+
+  db.all(`SELECT token FROM share_links WHERE board_id = ? AND revoked_at IS NULL${linkFilter}`, params, (err, links) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    
-    db.run('DELETE FROM cards WHERE id = ?', [cardId], function(err) {
+    if (req.params.linkId && links.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    db.run(`UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE board_id = ? AND revoked_at IS NULL${linkFilter}`,
+      params, function(err) {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
-      
-      if (card) {
-        io.to(`board-${card.board_id}`).emit('card-deleted', cardId);
-      }
-      
-      res.json({ success: true });
+      disconnectShareViewers(links.map(link => link.token));
+      res.json({ success: true, revoked: this.changes });
     });
   });
 });
 
 // Upload attachment
-app.post('/api/cards/:id/attachments', upload.single('file'), async (req, res) => {
+app.post('/api/cards/:id/attachments', requireFeature('attachments', 'Attachments'), requireBoardRole(db, 'editor', boardIdFrom.card), uploadFile('file'), async (req, res) => {
   try {
     const cardId = req.params.id;
     const file = req.file;
@@ -332,120 +1226,543 @@ app.post('/api/cards/:id/attachments', upload.single('file'), async (req, res) =
     if (!file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+
+    const { errors } = validate('attachment', {
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size: file.size
+    });
+    if (errors) {
+      attachments.removeFiles([file.filename]);
+      return res.status(400).json({ error: 'Invalid attachment', fields: errors });
+    }
     
-    // Process image if it's an image file
+    // Images keep their original; renditions are generated alongside it
+    let size = file.size;
+    let renditions = null;
+    let renditionFiles = [];
     if (file.mimetype.startsWith('image/')) {
-      const processedPath = `./uploads/processed-${file.filename}`;
-      await sharp(file.path)
-        .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
-        .jpeg({ quality: 85 })
-        .toFile(processedPath);
-      
-      // Replace original with processed image
-      fs.unlinkSync(file.path);
-      fs.renameSync(processedPath, file.path);
+      try {
+        ({ size, renditions, files: renditionFiles } = await images.processImage(file.path, file.filename));
+      } catch (error) {
+        attachments.removeFiles([file.filename]);
+        return res.status(400).json({ error: 'The file could not be read as an image' });
+      }
     }
     
     const attachmentId = uuidv4();
     
-    db.run(`INSERT INTO attachments (id, card_id, filename, original_name, mime_type, size)
-            VALUES (?, ?, ?, ?, ?, ?)`,
-      [attachmentId, cardId, file.filename, file.originalname, file.mimetype, file.size],
+    db.run(`INSERT INTO attachments (id, card_id, filename, original_name, mime_type, size, renditions)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [attachmentId, cardId, file.filename, file.originalname, file.mimetype, size,
+        renditions ? JSON.stringify(renditions) : null],
       function(err) {
         if (err) {
+          attachments.removeFiles([file.filename, ...renditionFiles]);
           return res.status(500).json({ error: err.message });
         }
         
-        res.json({
-          id: attachmentId,
-          filename: file.filename,
-          originalName: file.originalname,
-          mimeType: file.mimetype,
-          size: file.size,
-          url: `/uploads/${file.filename}`
+        db.get('SELECT * FROM attachments WHERE id = ?', [attachmentId], (err, row) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.json(attachments.toJSON(row));
         });
       });
   } catch (error) {
+    if (req.file) {
+      attachments.removeFiles([req.file.filename]);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get board by share token
-app.get('/api/shared/:token', (req, res) => {
-  const token = req.params.token;
-  
-  db.get('SELECT * FROM boards WHERE share_token = ?', [token], (err, board) => {
+// Delete attachment - removes the row and the file in uploads/
+app.delete('/api/attachments/:id', requireBoardRole(db, 'editor', boardIdFrom.attachment), (req, res) => {
+  attachments.deleteAttachment(db, req.params.id, (err, attachment) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (!board) {
-      return res.status(404).json({ error: 'Board not found' });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
     }
-    
-    db.all('SELECT * FROM cards WHERE board_id = ? ORDER BY z_index', [board.id], (err, cards) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
+    res.json({ success: true });
+  });
+});
+
+// Socket.io connection handling
+io.use((socket, next) => {
+  next(config.features.collaboration ? undefined : new Error('Collaboration is turned off'));
+});
+io.use(auth.authenticateSocket);
+
+// Work out what a socket may do on a board - signed-in users by their role,
+// share link visitors read-only on the link's board while the link is live
+function getSocketBoardRole(socket, boardId, callback) {
+  if (socket.user) {
+    return getBoardRole(db, boardId, socket.user.id, callback);
+  }
+
+  if (socket.share.boardId !== boardId) {
+    return callback(null, { exists: true, role: null });
+  }
+  db.get(`SELECT l.expires_at, b.deleted_at FROM share_links l JOIN boards b ON b.id = l.board_id
+          WHERE l.token = ? AND l.board_id = ? AND l.revoked_at IS NULL`,
+    [socket.share.token, boardId], (err, link) => {
+    if (err) {
+      return callback(err);
+    }
+    const active = link && (!link.expires_at || new Date(link.expires_at) > new Date());
+    callback(null, { exists: true, role: active ? 'viewer' : null, deleted: Boolean(link && link.deleted_at) });
+  });
+}
+
+// Card changes go out to the board room numbered by its operation log
+// (lib/board-ops.js). { boardId, seq } travels as a second argument so clients
+// can tell when they have missed something and ask for it with board-sync.
+function publishOp(boardId, type, data) {
+  return boardOps.appendOp(db, boardId, type, data)
+    .catch((err) => {
+      console.error(`Failed to log ${type} on board ${boardId}:`, err.message);
+      return null;
+    })
+    .then((seq) => {
+      const room = io.to(`board-${boardId}`);
+      if (seq === null) {
+        room.emit(type, data);
+      } else {
+        room.emit(type, data, { boardId, seq });
       }
-      
-      cards.forEach(card => {
-        card.tags = card.tags ? JSON.parse(card.tags) : [];
-        card.links = card.links ? JSON.parse(card.links) : [];
-      });
-      
-      res.json({ ...board, cards });
     });
+}
+
+// Send a socket what happened on a board after operation since: the
+// operations while the log still has them all, otherwise the board's cards
+async function sendCatchUp(socket, boardId, since) {
+  try {
+    const log = await boardOps.opsSince(db, boardId, since);
+    if (!log) {
+      return;
+    }
+    if (log.ops) {
+      socket.emit('board-catch-up', { boardId, seq: log.seq, ops: log.ops });
+    } else {
+      socket.emit('board-snapshot', { boardId, seq: log.seq, cards: await loadBoardCards(boardId) });
+    }
+  } catch (err) {
+    console.error(`Failed to catch up on board ${boardId}:`, err.message);
+  }
+}
+
+// The board's roster (lib/presence.js) goes to everyone in the room whenever
+// someone arrives, leaves, goes idle or starts or stops editing
+function broadcastPresence(boardId) {
+  io.to(`board-${boardId}`).emit('presence', { boardId, users: presence.list(boardId) });
+}
+
+// Board-level changes go to every member wherever they are - each signed-in
+// socket is in a user-<id> room - and to anyone else in the board's room
+function boardMembers(boardId) {
+  return dbHelpers.all(db, `SELECT owner_id AS user_id, 'owner' AS role FROM boards WHERE id = ?
+                            UNION ALL
+                            SELECT user_id, role FROM board_collaborators WHERE board_id = ?`, [boardId, boardId]);
+}
+
+function broadcastBoardChange(boardId, event, data) {
+  return boardMembers(boardId)
+    .then(members => io.to([...members.map(member => `user-${member.user_id}`), `board-${boardId}`]).emit(event, data))
+    .catch(err => console.error(`Failed to send ${event} for board ${boardId}:`, err.message));
+}
+
+// Tell a user about a board they can now see, with their role on it. reason
+// is 'shared' or 'restored'.
+function sendBoardToUser(boardId, userId, role, reason) {
+  db.get('SELECT * FROM boards WHERE id = ? AND deleted_at IS NULL', [boardId], (err, board) => {
+    if (err || !board) {
+      return;
+    }
+    io.to(`user-${userId}`).emit('board-added', { ...board, role, reason });
   });
+}
+
+function sendBoardToMembers(board, reason) {
+  boardMembers(board.id)
+    .then(members => members.forEach(member => {
+      io.to(`user-${member.user_id}`).emit('board-added', { ...board, role: member.role, reason });
+    }))
+    .catch(err => console.error(`Failed to send board-added for board ${board.id}:`, err.message));
+}
+
+function forEachBoardSocket(boardId, callback) {
+  io.of('/').sockets.forEach((socket) => {
+    if (socket.boardRoles && socket.boardRoles.has(boardId)) {
+      callback(socket);
+    }
+  });
+}
+
+// Who holds an edit lease on a card field (lib/card-leases.js) goes to the
+// whole board; lease is null once nobody does
+function broadcastLease(boardId, cardId, field, lease) {
+  io.to(`board-${boardId}`).emit('card-lease', {
+    boardId,
+    cardId,
+    field,
+    lease: lease ? cardLeases.toJSON(lease) : null
+  });
+}
+
+cardLeases.onExpire((lease) => {
+  io.to(lease.socketId).emit('card-lease-revoked', { cardId: lease.cardId, field: lease.field, reason: 'expired' });
+  broadcastLease(lease.boardId, lease.cardId, lease.field, null);
 });
 
-// Socket.io connection handling
+cardText.onSave((session, updates) => {
+  publishOp(session.boardId, 'card-updated', { id: session.cardId, ...updates });
+});
+
+// Live text editing (lib/card-text.js) - the editors of a field share a room
+// and exchange operations; everyone else on the board gets the merged text a
+// few times a second
+const TEXT_BROADCAST_INTERVAL = 250;
+const pendingTextBroadcasts = new Map();
+
+function textRoom(session) {
+  return `text-${session.cardId}-${session.field}`;
+}
+
+function queueTextBroadcast(session) {
+  if (pendingTextBroadcasts.has(session)) {
+    return;
+  }
+  pendingTextBroadcasts.set(session, setTimeout(() => {
+    pendingTextBroadcasts.delete(session);
+    io.to(`board-${session.boardId}`).except(textRoom(session)).emit('card-text', {
+      cardId: session.cardId,
+      field: session.field,
+      text: session.text
+    });
+  }, TEXT_BROADCAST_INTERVAL));
+}
+
+// Keep open text sessions in step with card text written through the API
+function syncOpenText(cardId, values) {
+  cardText.TEXT_FIELDS.forEach(field => {
+    if (values[field] === undefined) {
+      return;
+    }
+    const change = cardText.replaceText(cardId, field, values[field]);
+    if (change) {
+      io.to(textRoom(change.session)).emit('card-text-op', {
+        cardId,
+        field,
+        op: change.op,
+        version: change.version,
+        user: null
+      });
+    }
+  });
+}
+
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  console.log('User connected:', socket.id, socket.user ? socket.user.email : 'via share link');
+  
+  // Role on each board room this socket has joined
+  socket.boardRoles = new Map();
+  
+  // Changes to the user's boards reach them whichever board they have open
+  if (socket.user) {
+    socket.join(`user-${socket.user.id}`);
+  }
+  
+  // Only relay events for rooms the socket was allowed into; share link
+  // visitors only ever listen
+  const canRelay = (data, requiredRole = 'viewer') =>
+    Boolean(socket.user && data && hasRole(socket.boardRoles.get(data.boardId), requiredRole));
+  
+  // Signed-in users are listed on the board; user-joined and user-left only go
+  // out for someone's first and last tab
+  const leavePresence = (boardId) => {
+    if (!socket.user) return;
+    const user = presence.leave(boardId, socket.id);
+    if (user) {
+      io.to(`board-${boardId}`).emit('user-left', user);
+    }
+    broadcastPresence(boardId);
+  };
+  
+  const releaseLeases = (boardId = null) => {
+    cardLeases.releaseSocket(socket.id, boardId)
+      .forEach(lease => broadcastLease(lease.boardId, lease.cardId, lease.field, null));
+  };
+  
+  const updatePresence = (boardId, changes) => {
+    if (presence.update(boardId, socket.id, changes)) {
+      broadcastPresence(boardId);
+    }
+  };
+  
+  // Join board room. A client that passes { since } - the last operation it
+  // has seen - is sent what it missed, and { idle } says whether it starts out
+  // idle.
+  socket.on('join-board', (boardId, options) => {
+    getSocketBoardRole(socket, boardId, (err, access) => {
+      if (err || !access.role || access.deleted) {
+        socket.emit('join-denied', { boardId, error: err ? err.message : 'Board not found' });
+        return;
+      }
+      
+      socket.boardRoles.set(boardId, access.role);
+      socket.join(`board-${boardId}`);
+      if (socket.user) {
+        if (presence.join(boardId, socket.id, socket.user, { idle: options && options.idle })) {
+          socket.to(`board-${boardId}`).emit('user-joined', presence.list(boardId).find(user => user.id === socket.user.id));
+        }
+        broadcastPresence(boardId);
+        socket.emit('card-leases', { boardId, leases: cardLeases.boardLeases(boardId).map(cardLeases.toJSON) });
+      }
+      if (options && options.since !== undefined) {
+        sendCatchUp(socket, boardId, options.since);
+      }
+    });
+  });
   
-  // Join board room
-  socket.on('join-board', (boardId) => {
-    socket.join(`board-${boardId}`);
-    socket.to(`board-${boardId}`).emit('user-joined', socket.id);
+  // A client that noticed a gap in the operations it was sent
+  socket.on('board-sync', (data) => {
+    if (!data || !socket.boardRoles.has(data.boardId)) return;
+    sendCatchUp(socket, data.boardId, data.since);
   });
   
-  // Leave board room
-  socket.on('leave-board', (boardId) => {
+  // Leave board room - also used when the board is deleted or the user loses
+  // access to it
+  socket.leaveBoardRoom = (boardId) => {
+    socket.boardRoles.delete(boardId);
     socket.leave(`board-${boardId}`);
-    socket.to(`board-${boardId}`).emit('user-left', socket.id);
+    socket.stopEditing(boardId);
+    leavePresence(boardId);
+  };
+  
+  socket.on('leave-board', (boardId) => {
+    socket.leaveBoardRoom(boardId);
+  });
+  
+  // The tab went into the background or came back
+  socket.on('presence-update', (data) => {
+    if (!canRelay(data)) return;
+    updatePresence(data.boardId, { idle: Boolean(data.idle) });
   });
   
   // Handle card position updates for real-time dragging
   socket.on('card-position-update', (data) => {
+    if (!canRelay(data, 'editor')) return;
     socket.to(`board-${data.boardId}`).emit('card-position-update', data);
   });
   
   // Handle cursor position for collaborative editing
   socket.on('cursor-update', (data) => {
+    if (!canRelay(data)) return;
     socket.to(`board-${data.boardId}`).emit('cursor-update', {
       ...data,
-      userId: socket.id
+      userId: socket.user.id
     });
   });
   
   // Handle typing indicators
   socket.on('typing-start', (data) => {
+    if (!canRelay(data, 'editor')) return;
     socket.to(`board-${data.boardId}`).emit('typing-start', {
       ...data,
-      userId: socket.id
+      userId: socket.user.id
     });
+    if (typeof data.cardId === 'string' && /^[\w-]+$/.test(data.cardId) &&
+      ['title', 'body', 'details'].includes(data.fieldType)) {
+      updatePresence(data.boardId, { editing: { cardId: data.cardId, field: data.fieldType } });
+    }
   });
   
   socket.on('typing-stop', (data) => {
+    if (!canRelay(data, 'editor')) return;
     socket.to(`board-${data.boardId}`).emit('typing-stop', {
       ...data,
-      userId: socket.id
+      userId: socket.user.id
+    });
+    updatePresence(data.boardId, { editing: null });
+  });
+  
+  // Live text editing - open a card field, send operations against the
+  // version last seen, and share the caret position
+  socket.textSessions = new Set();
+  
+  const closeText = (session) => {
+    socket.textSessions.delete(session);
+    socket.leave(textRoom(session));
+    socket.to(`board-${session.boardId}`).emit('card-text-caret', {
+      cardId: session.cardId,
+      field: session.field,
+      clientId: socket.id,
+      index: null
+    });
+    cardText.closeSession(db, session, socket.id)
+      .catch(err => console.error('Failed to close text session:', err.message));
+  };
+  
+  // Close the fields open on a board and let go of their leases - when
+  // leaving it or no longer being an editor there
+  socket.stopEditing = (boardId) => {
+    socket.textSessions.forEach(session => session.boardId === boardId && closeText(session));
+    releaseLeases(boardId);
+    updatePresence(boardId, { editing: null });
+  };
+  
+  // Fields are reopened right after a reconnect, possibly before the socket
+  // has rejoined the board room
+  const boardRole = (boardId) => new Promise((resolve, reject) => {
+    if (socket.boardRoles.has(boardId)) {
+      return resolve(socket.boardRoles.get(boardId));
+    }
+    getSocketBoardRole(socket, boardId, (err, access) => (err ? reject(err) : resolve(access.deleted ? null : access.role)));
+  });
+  
+  socket.on('card-text-open', async (data, ack) => {
+    if (typeof ack !== 'function') return;
+    if (!socket.user || !data) return ack({ error: 'Sign in to edit cards' });
+    
+    try {
+      const session = await cardText.openSession(db, data.cardId, data.field);
+      if (!hasRole(await boardRole(session.boardId), 'editor')) {
+        cardText.closeSession(db, session, socket.id).catch(() => {});
+        return ack({ error: 'You cannot edit cards on this board' });
+      }
+      
+      cardText.addEditor(session, socket.id, socket.user.id);
+      socket.textSessions.add(session);
+      socket.join(textRoom(session));
+      ack({ session: session.id, version: session.version, text: session.text });
+    } catch (err) {
+      ack({ error: err.message });
+    }
+  });
+  
+  socket.on('card-text-op', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    const session = data && cardText.getSession(data.cardId, data.field);
+    if (!session || !socket.textSessions.has(session)) {
+      return ack({ error: 'The field is not open', resync: true });
+    }
+    // A field reopened after a reconnect can get here before the board room
+    // is rejoined; it was opened with the role checked
+    if (socket.boardRoles.has(session.boardId) && !hasRole(socket.boardRoles.get(session.boardId), 'editor')) {
+      closeText(session);
+      return ack({ error: 'You cannot edit cards on this board' });
+    }
+    try {
+      const result = cardText.applyOperation(db, session, {
+        sessionId: data.session,
+        version: data.version,
+        op: data.op,
+        userId: socket.user.id
+      });
+      socket.to(textRoom(session)).emit('card-text-op', {
+        cardId: session.cardId,
+        field: session.field,
+        op: result.op,
+        version: result.version,
+        user: { id: socket.user.id, name: socket.user.name }
+      });
+      ack({ version: result.version });
+      queueTextBroadcast(session);
+    } catch (err) {
+      ack({ error: err.message, resync: Boolean(err.resync) });
+    }
+  });
+  
+  // Edit leases - ask before opening a field, again while typing to keep it,
+  // and let go when done. Board owners can pass force to take a field over.
+  socket.on('card-lease-acquire', async (data, ack) => {
+    if (typeof ack !== 'function') return;
+    if (!socket.user || !data) return ack({ error: 'Sign in to edit cards' });
+    if (!cardText.TEXT_FIELDS.includes(data.field)) return ack({ error: `${data.field} cannot be leased` });
+    
+    try {
+      const card = await dbHelpers.get(db, 'SELECT board_id FROM cards WHERE id = ? AND deleted_at IS NULL', [data.cardId]);
+      if (!card) {
+        return ack({ error: 'Card not found' });
+      }
+      const role = await boardRole(card.board_id);
+      if (!hasRole(role, 'editor')) {
+        return ack({ error: 'You cannot edit cards on this board' });
+      }
+      if (data.force && role !== 'owner') {
+        return ack({ error: 'Only the board owner can take over editing' });
+      }
+      
+      const result = cardLeases.acquire({
+        boardId: card.board_id,
+        cardId: data.cardId,
+        field: data.field,
+        socketId: socket.id,
+        user: socket.user,
+        force: Boolean(data.force)
+      });
+      if (result.held) {
+        return ack({ granted: false, lease: cardLeases.toJSON(result.held), canOverride: role === 'owner' });
+      }
+      
+      ack({ granted: true, lease: cardLeases.toJSON(result.lease) });
+      if (result.previous) {
+        io.to(result.previous.socketId).emit('card-lease-revoked', {
+          cardId: data.cardId,
+          field: data.field,
+          reason: 'taken',
+          user: result.lease.user
+        });
+      }
+      if (!result.renewed) {
+        broadcastLease(card.board_id, data.cardId, data.field, result.lease);
+      }
+    } catch (err) {
+      ack({ error: err.message });
+    }
+  });
+  
+  socket.on('card-lease-release', (data) => {
+    const lease = data && cardLeases.release(data.cardId, data.field, socket.id);
+    if (lease) {
+      broadcastLease(lease.boardId, lease.cardId, lease.field, null);
+    }
+  });
+  
+  socket.on('card-text-caret', (data) => {
+    if (!canRelay(data, 'editor')) return;
+    socket.to(`board-${data.boardId}`).emit('card-text-caret', {
+      cardId: data.cardId,
+      field: data.field,
+      index: Number.isInteger(data.index) ? data.index : null,
+      clientId: socket.id,
+      user: { id: socket.user.id, name: socket.user.name }
     });
   });
   
+  socket.on('card-text-close', (data) => {
+    const session = data && cardText.getSession(data.cardId, data.field);
+    if (session && socket.textSessions.has(session)) {
+      closeText(session);
+    }
+  });
+  
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    socket.textSessions.forEach(closeText);
+    releaseLeases();
+    socket.boardRoles.forEach((role, boardId) => leavePresence(boardId));
   });
 });
 
+// Read-only shared board page
+app.get('/s/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'shared.html'));
+});
+
 // Serve the main app
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -458,19 +1775,31 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-server.listen(PORT, () => {
-  console.log(`Corkboard Pro server running on port ${PORT}`);
-});
+migrations.migrateUp(db)
+  .then((applied) => {
+    applied.forEach(migration => console.log(`Applied migration ${migration.version}-${migration.name}`));
+    server.listen(PORT, () => {
+      console.log(`Corkboard Pro server running on port ${PORT}`);
+    });
+    trash.startPurgeSchedule(db);
+  })
+  .catch((error) => {
+    console.error('Database migration failed:', error);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    db.close((err) => {
-      if (err) {
-        console.error('Error closing database:', err);
-      }
-      process.exit(0);
+  // Text still being typed has not been saved to the cards yet
+  cardText.saveAll(db).finally(() => {
+    server.close(() => {
+      db.close((err) => {
+        if (err) {
+          console.error('Error closing database:', err);
+        }
+        process.exit(0);
+      });
     });
   });
 });
\ No newline at end of file